@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const repl = require("repl");
+const index_1 = require("../index");
+const USAGE = `Usage: syncs <url> <command> [arguments] [options]
+
+Commands:
+  subscribe <event>                 prints data of incoming events, patterns are allowed
+  publish <event> <json>            publishes an event
+  call <function> [json...]         calls a remote function and prints its result
+  watch global <name>               prints global level shared object and its changes
+  watch group <group> <name>        prints group level shared object and its changes
+  watch client <name>               prints client level shared object and its changes
+  set <name> <key> <value>          changes property of client level shared object
+  repl                              starts interactive shell with connected client as io
+
+Options:
+  --codec <uri|json|msgpack>        frame codec, default is uri
+  --header <name:value>             adds handshake header, can be repeated
+  --timeout <ms>                    time limit of one-shot commands, default is 10000
+  --frames                          prints decoded input and output frames
+  --help                            prints this help`;
+const CODECS = { uri: index_1.uriJsonCodec, json: index_1.jsonCodec, msgpack: index_1.msgpackCodec };
+/**
+ * parses command line arguments
+ * @param {string[]} argv
+ * @return {CliArguments}
+ */
+function parseArguments(argv) {
+    let parsed = { url: null, command: null, args: [], codec: 'uri', headers: {}, timeout: 10000, frames: false, help: false };
+    let positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        switch (arg) {
+            case '--codec':
+                parsed.codec = argv[++i];
+                break;
+            case '--header':
+                let header = argv[++i] || '';
+                let separator = header.indexOf(':');
+                if (separator > 0) {
+                    parsed.headers[header.substring(0, separator).trim()] = header.substring(separator + 1).trim();
+                }
+                break;
+            case '--timeout':
+                parsed.timeout = Number(argv[++i]);
+                break;
+            case '--frames':
+                parsed.frames = true;
+                break;
+            case '--help':
+            case '-h':
+                parsed.help = true;
+                break;
+            default:
+                positional.push(arg);
+        }
+    }
+    parsed.url = positional[0] || null;
+    parsed.command = positional[1] || null;
+    parsed.args = positional.slice(2);
+    return parsed;
+}
+/**
+ * parses JSON argument, arguments which are not valid JSON are used as strings
+ * @param {string} value
+ * @return {any}
+ */
+function parseValue(value) {
+    try {
+        return JSON.parse(value);
+    }
+    catch (e) {
+        return value;
+    }
+}
+/**
+ * prints value as JSON line
+ * @param {any} value
+ */
+function print(value) {
+    console.log(JSON.stringify(value));
+}
+/**
+ * logger which prints frames like debug mode of earlier versions and forwards other logs to stderr
+ * @param {boolean} frames
+ * @return {SyncsLogger}
+ */
+function createLogger(frames) {
+    return {
+        debug: (message, fields) => {
+            if (frames && message == 'input command') {
+                console.error("\u2B07", 'INPUT COMMAND:', JSON.stringify(fields.command));
+            }
+            else if (frames && message == 'output command') {
+                console.error("\u2B06", 'OUTPUT COMMAND:', JSON.stringify(fields.command));
+            }
+        },
+        info: () => { },
+        warn: (message, fields) => console.error('warning:', message, JSON.stringify(fields)),
+        error: (message, fields) => console.error('error:', message, fields && fields.error ? String(fields.error) : '')
+    };
+}
+/**
+ * exits with error message
+ * @param {string} message
+ */
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+/**
+ * closes client and exits when it is closed
+ * @param {Syncs} io
+ * @param {number} code
+ */
+function exit(io, code = 0) {
+    io.onClose(() => process.exit(code));
+    io.disconnect();
+    setTimeout(() => process.exit(code), 1000).unref();
+}
+/**
+ * runs a one-shot command which fails if it does not finish before timeout
+ * @param {Syncs} io
+ * @param {number} timeout
+ * @param {() => Promise<any>} action
+ */
+function runOnce(io, timeout, action) {
+    let timer = setTimeout(() => {
+        console.error(`timed out after ${timeout} ms`);
+        exit(io, 1);
+    }, timeout);
+    action().then(() => {
+        clearTimeout(timer);
+        exit(io, 0);
+    }, error => {
+        clearTimeout(timer);
+        console.error(error && error.message ? `${error.name}: ${error.message}` : String(error));
+        exit(io, 1);
+    });
+}
+/**
+ * resolves when client is online and queued messages are sent
+ * @param {Syncs} io
+ * @return {Promise<void>}
+ */
+function whenOpen(io) {
+    if (io.online) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => io.once('open', () => resolve()));
+}
+/**
+ * prints shared object snapshot when it is ready and after each change
+ * @param {any} shared
+ */
+function watchShared(shared) {
+    shared.$ready.then(() => print({ snapshot: shared }));
+    shared((event) => print({ by: event.by, values: event.values, path: event.path, snapshot: shared }));
+}
+/**
+ * runs command line client
+ * @param {string[]} argv
+ */
+function main(argv) {
+    let cli = parseArguments(argv);
+    if (cli.help || !cli.url || !cli.command) {
+        console.log(USAGE);
+        process.exit(cli.help ? 0 : 1);
+    }
+    if (!CODECS[cli.codec]) {
+        fail(`unknown codec '${cli.codec}'`);
+    }
+    let configs = {
+        codec: CODECS[cli.codec],
+        headers: cli.headers,
+        rmiTimeout: cli.timeout,
+        debug: cli.frames,
+        logger: createLogger(cli.frames)
+    };
+    let io = new index_1.Syncs(cli.url, configs);
+    let args = cli.args;
+    switch (cli.command) {
+        case 'subscribe':
+            if (args.length < 1) {
+                fail('subscribe needs an event name');
+            }
+            io.subscribe(args[0], (data, event) => print({ event: event, data: data }));
+            break;
+        case 'publish':
+            if (args.length < 1) {
+                fail('publish needs an event name');
+            }
+            runOnce(io, cli.timeout, () => {
+                io.publish(args[0], args.length > 1 ? parseValue(args[1]) : null);
+                return whenOpen(io);
+            });
+            break;
+        case 'call':
+            if (args.length < 1) {
+                fail('call needs a function name');
+            }
+            runOnce(io, cli.timeout, () => io.remote[args[0]](...args.slice(1).map(parseValue)).then(print));
+            break;
+        case 'watch':
+            if (args[0] == 'global' && args.length == 2) {
+                watchShared(io.globalShared(args[1]));
+            }
+            else if (args[0] == 'group' && args.length == 3) {
+                watchShared(io.groupShared(args[1], args[2]));
+            }
+            else if (args[0] == 'client' && args.length == 2) {
+                watchShared(io.shared(args[1]));
+            }
+            else {
+                fail('usage: watch global <name> | watch group <group> <name> | watch client <name>');
+            }
+            break;
+        case 'set':
+            if (args.length < 3) {
+                fail('set needs shared object name, key and value');
+            }
+            runOnce(io, cli.timeout, () => {
+                io.shared(args[0])[args[1]] = parseValue(args[2]);
+                return whenOpen(io);
+            });
+            break;
+        case 'repl':
+            let shell = repl.start({ prompt: 'syncs> ' });
+            shell.context['io'] = io;
+            shell.on('exit', () => exit(io, 0));
+            break;
+        default:
+            fail(`unknown command '${cli.command}'\n\n${USAGE}`);
+    }
+    process.on('SIGINT', () => exit(io, 0));
+}
+main(process.argv.slice(2));
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3luY3MuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzeW5jcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFDQSw2QkFBNkI7QUFDN0Isb0NBQTRHO0FBRTVHLE1BQU0sS0FBSyxHQUFHOzs7Ozs7Ozs7Ozs7Ozs7OztxREFpQnVDLENBQUM7QUFFdEQsTUFBTSxNQUFNLEdBQWlDLEVBQUMsR0FBRyxFQUFFLG9CQUFZLEVBQUUsSUFBSSxFQUFFLGlCQUFTLEVBQUUsT0FBTyxFQUFFLG9CQUFZLEVBQUMsQ0FBQztBQWdCekc7Ozs7R0FJRztBQUNILHdCQUF3QixJQUFjO0lBQ2xDLElBQUksTUFBTSxHQUFpQixFQUFDLEdBQUcsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBQyxDQUFDO0lBQ3ZJLElBQUksVUFBVSxHQUFhLEVBQUUsQ0FBQztJQUM5QixHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztRQUNuQyxJQUFJLEdBQUcsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDbEIsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztZQUNWLEtBQUssU0FBUztnQkFDVixNQUFNLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2dCQUN6QixLQUFLLENBQUM7WUFDVixLQUFLLFVBQVU7Z0JBQ1gsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO2dCQUM3QixJQUFJLFNBQVMsR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUNwQyxFQUFFLENBQUMsQ0FBQyxTQUFTLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztvQkFDaEIsTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxTQUFTLENBQUMsU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO2dCQUNuRyxDQUFDO2dCQUNELEtBQUssQ0FBQztZQUNWLEtBQUssV0FBVztnQkFDWixNQUFNLENBQUMsT0FBTyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNuQyxLQUFLLENBQUM7WUFDVixLQUFLLFVBQVU7Z0JBQ1gsTUFBTSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUM7Z0JBQ3JCLEtBQUssQ0FBQztZQUNWLEtBQUssUUFBUSxDQUFDO1lBQ2QsS0FBSyxJQUFJO2dCQUNMLE1BQU0sQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDO2dCQUNuQixLQUFLLENBQUM7WUFDVjtnQkFDSSxVQUFVLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzdCLENBQUM7SUFDTCxDQUFDO0lBQ0QsTUFBTSxDQUFDLEdBQUcsR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDO0lBQ25DLE1BQU0sQ0FBQyxPQUFPLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQztJQUN2QyxNQUFNLENBQUMsSUFBSSxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDbEMsTUFBTSxDQUFDLE1BQU0sQ0FBQztBQUNsQixDQUFDO0FBRUQ7Ozs7R0FJRztBQUNILG9CQUFvQixLQUFhO0lBQzdCLElBQUksQ0FBQztRQUNELE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQzdCLENBQUM7SUFBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ1QsTUFBTSxDQUFDLEtBQUssQ0FBQztJQUNqQixDQUFDO0FBQ0wsQ0FBQztBQUVEOzs7R0FHRztBQUNILGVBQWUsS0FBVTtJQUNyQixPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztBQUN2QyxDQUFDO0FBRUQ7Ozs7R0FJRztBQUNILHNCQUFzQixNQUFlO0lBQ2pDLE1BQU0sQ0FBQztRQUNILEtBQUssRUFBRSxDQUFDLE9BQWUsRUFBRSxNQUFXO1lBQ2hDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sSUFBSSxPQUFPLElBQUksZUFBZSxDQUFDLENBQUMsQ0FBQztnQkFDdkMsT0FBTyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsZ0JBQWdCLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM5RSxDQUFDO1lBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sSUFBSSxPQUFPLElBQUksZ0JBQWdCLENBQUMsQ0FBQyxDQUFDO2dCQUMvQyxPQUFPLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxpQkFBaUIsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1lBQy9FLENBQUM7UUFDTCxDQUFDO1FBQ0QsSUFBSSxFQUFFLFFBQU8sQ0FBQztRQUNkLElBQUksRUFBRSxDQUFDLE9BQWUsRUFBRSxNQUFXLEtBQUssT0FBTyxDQUFDLEtBQUssQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDbEcsS0FBSyxFQUFFLENBQUMsT0FBZSxFQUFFLE1BQVcsS0FBSyxPQUFPLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsTUFBTSxJQUFJLE1BQU0sQ0FBQyxLQUFLLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxFQUFFLENBQUM7S0FDaEksQ0FBQztBQUNOLENBQUM7QUFFRDs7O0dBR0c7QUFDSCxjQUFjLE9BQWU7SUFDekIsT0FBTyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUN2QixPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ3BCLENBQUM7QUFFRDs7OztHQUlHO0FBQ0gsY0FBYyxFQUFTLEVBQUUsSUFBSSxHQUFHLENBQUM7SUFDN0IsRUFBRSxDQUFDLE9BQU8sQ0FBQyxNQUFNLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztJQUNyQyxFQUFFLENBQUMsVUFBVSxFQUFFLENBQUM7SUFDaEIsVUFBVSxDQUFDLE1BQU0sT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxLQUFLLEVBQUUsQ0FBQztBQUN2RCxDQUFDO0FBRUQ7Ozs7O0dBS0c7QUFDSCxpQkFBaUIsRUFBUyxFQUFFLE9BQWUsRUFBRSxNQUEwQjtJQUNuRSxJQUFJLEtBQUssR0FBRyxVQUFVLENBQUM7UUFDbkIsT0FBTyxDQUFDLEtBQUssQ0FBQyxtQkFBbUIsT0FBTyxLQUFLLENBQUMsQ0FBQztRQUMvQyxJQUFJLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ2hCLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUNaLE1BQU0sRUFBRSxDQUFDLElBQUksQ0FBQztRQUNWLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNwQixJQUFJLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ2hCLENBQUMsRUFBRSxLQUFLO1FBQ0osWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3BCLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxJQUFJLEtBQUssQ0FBQyxPQUFPLEdBQUcsR0FBRyxLQUFLLENBQUMsSUFBSSxLQUFLLEtBQUssQ0FBQyxPQUFPLEVBQUUsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUMxRixJQUFJLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ2hCLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVEOzs7O0dBSUc7QUFDSCxrQkFBa0IsRUFBUztJQUN2QixFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUNaLE1BQU0sQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDN0IsQ0FBQztJQUNELE1BQU0sQ0FBQyxJQUFJLE9BQU8sQ0FBTyxPQUFPLElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsTUFBTSxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUM7QUFDMUUsQ0FBQztBQUVEOzs7R0FHRztBQUNILHFCQUFxQixNQUFXO0lBQzVCLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUMsUUFBUSxFQUFFLE1BQU0sRUFBQyxDQUFDLENBQUMsQ0FBQztJQUNwRCxNQUFNLENBQUMsQ0FBQyxLQUFVLEtBQUssS0FBSyxDQUFDLEVBQUMsRUFBRSxFQUFFLEtBQUssQ0FBQyxFQUFFLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxNQUFNLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBQyxDQUFDLENBQUMsQ0FBQztBQUM1RyxDQUFDO0FBRUQ7OztHQUdHO0FBQ0gsY0FBYyxJQUFjO0lBQ3hCLElBQUksR0FBRyxHQUFHLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUMvQixFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ3ZDLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbkIsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUNuQyxDQUFDO0lBQ0QsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNyQixJQUFJLENBQUMsa0JBQWtCLEdBQUcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDO0lBQ3pDLENBQUM7SUFDRCxJQUFJLE9BQU8sR0FBZ0I7UUFDdkIsS0FBSyxFQUFFLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDO1FBQ3hCLE9BQU8sRUFBRSxHQUFHLENBQUMsT0FBTztRQUNwQixVQUFVLEVBQUUsR0FBRyxDQUFDLE9BQU87UUFDdkIsS0FBSyxFQUFFLEdBQUcsQ0FBQyxNQUFNO1FBQ2pCLE1BQU0sRUFBRSxZQUFZLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQztLQUNuQyxDQUFDO0lBQ0YsSUFBSSxFQUFFLEdBQUcsSUFBSSxhQUFLLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUNyQyxJQUFJLElBQUksR0FBRyxHQUFHLENBQUMsSUFBSSxDQUFDO0lBQ3BCLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ2xCLEtBQUssV0FBVztZQUNaLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDbEIsSUFBSSxDQUFDLCtCQUErQixDQUFDLENBQUM7WUFDMUMsQ0FBQztZQUNELEVBQUUsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsSUFBUyxFQUFFLEtBQWEsS0FBSyxLQUFLLENBQUMsRUFBQyxLQUFLLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUMsQ0FBQyxDQUFDLENBQUM7WUFDdkYsS0FBSyxDQUFDO1FBQ1YsS0FBSyxTQUFTO1lBQ1YsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNsQixJQUFJLENBQUMsNkJBQTZCLENBQUMsQ0FBQztZQUN4QyxDQUFDO1lBQ0QsT0FBTyxDQUFDLEVBQUUsRUFBRSxHQUFHLENBQUMsT0FBTyxFQUFFO2dCQUNyQixFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7Z0JBQ2xFLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDeEIsQ0FBQyxDQUFDLENBQUM7WUFDSCxLQUFLLENBQUM7UUFDVixLQUFLLE1BQU07WUFDUCxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ2xCLElBQUksQ0FBQyw0QkFBNEIsQ0FBQyxDQUFDO1lBQ3ZDLENBQUM7WUFDRCxPQUFPLENBQUMsRUFBRSxFQUFFLEdBQUcsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUNqRyxLQUFLLENBQUM7UUFDVixLQUFLLE9BQU87WUFDUixFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksUUFBUSxJQUFJLElBQUksQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDMUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUMxQyxDQUFDO1lBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxPQUFPLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNoRCxXQUFXLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNsRCxDQUFDO1lBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxRQUFRLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNqRCxXQUFXLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3BDLENBQUM7WUFBQyxJQUFJLENBQUMsQ0FBQztnQkFDSixJQUFJLENBQUMsK0VBQStFLENBQUMsQ0FBQztZQUMxRixDQUFDO1lBQ0QsS0FBSyxDQUFDO1FBQ1YsS0FBSyxLQUFLO1lBQ04sRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNsQixJQUFJLENBQUMsNkNBQTZDLENBQUMsQ0FBQztZQUN4RCxDQUFDO1lBQ0QsT0FBTyxDQUFDLEVBQUUsRUFBRSxHQUFHLENBQUMsT0FBTyxFQUFFO2dCQUNyQixFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDbEQsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUN4QixDQUFDLENBQUMsQ0FBQztZQUNILEtBQUssQ0FBQztRQUNWLEtBQUssTUFBTTtZQUNQLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBQyxNQUFNLEVBQUUsU0FBUyxFQUFDLENBQUMsQ0FBQztZQUN0QyxLQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQztZQUNoQyxLQUFLLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxNQUFNLElBQUksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNwQyxLQUFLLENBQUM7UUFDVjtZQUNJLElBQUksQ0FBQyxvQkFBb0IsR0FBRyxDQUFDLE9BQU8sUUFBUSxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQzdELENBQUM7SUFDRCxPQUFPLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxNQUFNLElBQUksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUM1QyxDQUFDO0FBRUQsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
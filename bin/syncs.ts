@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+import * as repl from 'repl';
+import {Syncs, SyncsConfig, jsonCodec, msgpackCodec, uriJsonCodec, SyncsLogger, SyncsCodec} from '../index';
+
+const USAGE = `Usage: syncs <url> <command> [arguments] [options]
+
+Commands:
+  subscribe <event>                 prints data of incoming events, patterns are allowed
+  publish <event> <json>            publishes an event
+  call <function> [json...]         calls a remote function and prints its result
+  watch global <name>               prints global level shared object and its changes
+  watch group <group> <name>        prints group level shared object and its changes
+  watch client <name>               prints client level shared object and its changes
+  set <name> <key> <value>          changes property of client level shared object
+  repl                              starts interactive shell with connected client as io
+
+Options:
+  --codec <uri|json|msgpack>        frame codec, default is uri
+  --header <name:value>             adds handshake header, can be repeated
+  --timeout <ms>                    time limit of one-shot commands, default is 10000
+  --frames                          prints decoded input and output frames
+  --help                            prints this help`;
+
+const CODECS: {[name: string]: SyncsCodec} = {uri: uriJsonCodec, json: jsonCodec, msgpack: msgpackCodec};
+
+/**
+ * parsed command line
+ */
+interface CliArguments {
+    url: string;
+    command: string;
+    args: string[];
+    codec: string;
+    headers: {[name: string]: string};
+    timeout: number;
+    frames: boolean;
+    help: boolean;
+}
+
+/**
+ * parses command line arguments
+ * @param {string[]} argv
+ * @return {CliArguments}
+ */
+function parseArguments(argv: string[]): CliArguments {
+    let parsed: CliArguments = {url: null, command: null, args: [], codec: 'uri', headers: {}, timeout: 10000, frames: false, help: false};
+    let positional: string[] = [];
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        switch (arg) {
+            case '--codec':
+                parsed.codec = argv[++i];
+                break;
+            case '--header':
+                let header = argv[++i] || '';
+                let separator = header.indexOf(':');
+                if (separator > 0) {
+                    parsed.headers[header.substring(0, separator).trim()] = header.substring(separator + 1).trim();
+                }
+                break;
+            case '--timeout':
+                parsed.timeout = Number(argv[++i]);
+                break;
+            case '--frames':
+                parsed.frames = true;
+                break;
+            case '--help':
+            case '-h':
+                parsed.help = true;
+                break;
+            default:
+                positional.push(arg);
+        }
+    }
+    parsed.url = positional[0] || null;
+    parsed.command = positional[1] || null;
+    parsed.args = positional.slice(2);
+    return parsed;
+}
+
+/**
+ * parses JSON argument, arguments which are not valid JSON are used as strings
+ * @param {string} value
+ * @return {any}
+ */
+function parseValue(value: string): any {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * prints value as JSON line
+ * @param {any} value
+ */
+function print(value: any) {
+    console.log(JSON.stringify(value));
+}
+
+/**
+ * logger which prints frames like debug mode of earlier versions and forwards other logs to stderr
+ * @param {boolean} frames
+ * @return {SyncsLogger}
+ */
+function createLogger(frames: boolean): SyncsLogger {
+    return {
+        debug: (message: string, fields: any) => {
+            if (frames && message == 'input command') {
+                console.error("\u2B07", 'INPUT COMMAND:', JSON.stringify(fields.command));
+            } else if (frames && message == 'output command') {
+                console.error("\u2B06", 'OUTPUT COMMAND:', JSON.stringify(fields.command));
+            }
+        },
+        info: () => {},
+        warn: (message: string, fields: any) => console.error('warning:', message, JSON.stringify(fields)),
+        error: (message: string, fields: any) => console.error('error:', message, fields && fields.error ? String(fields.error) : '')
+    };
+}
+
+/**
+ * exits with error message
+ * @param {string} message
+ */
+function fail(message: string) {
+    console.error(message);
+    process.exit(1);
+}
+
+/**
+ * closes client and exits when it is closed
+ * @param {Syncs} io
+ * @param {number} code
+ */
+function exit(io: Syncs, code = 0) {
+    io.onClose(() => process.exit(code));
+    io.disconnect();
+    setTimeout(() => process.exit(code), 1000).unref();
+}
+
+/**
+ * runs a one-shot command which fails if it does not finish before timeout
+ * @param {Syncs} io
+ * @param {number} timeout
+ * @param {() => Promise<any>} action
+ */
+function runOnce(io: Syncs, timeout: number, action: () => Promise<any>) {
+    let timer = setTimeout(() => {
+        console.error(`timed out after ${timeout} ms`);
+        exit(io, 1);
+    }, timeout);
+    action().then(() => {
+        clearTimeout(timer);
+        exit(io, 0);
+    }, error => {
+        clearTimeout(timer);
+        console.error(error && error.message ? `${error.name}: ${error.message}` : String(error));
+        exit(io, 1);
+    });
+}
+
+/**
+ * resolves when client is online and queued messages are sent
+ * @param {Syncs} io
+ * @return {Promise<void>}
+ */
+function whenOpen(io: Syncs): Promise<void> {
+    if (io.online) {
+        return Promise.resolve();
+    }
+    return new Promise<void>(resolve => io.once('open', () => resolve()));
+}
+
+/**
+ * prints shared object snapshot when it is ready and after each change
+ * @param {any} shared
+ */
+function watchShared(shared: any) {
+    shared.$ready.then(() => print({snapshot: shared}));
+    shared((event: any) => print({by: event.by, values: event.values, path: event.path, snapshot: shared}));
+}
+
+/**
+ * runs command line client
+ * @param {string[]} argv
+ */
+function main(argv: string[]) {
+    let cli = parseArguments(argv);
+    if (cli.help || !cli.url || !cli.command) {
+        console.log(USAGE);
+        process.exit(cli.help ? 0 : 1);
+    }
+    if (!CODECS[cli.codec]) {
+        fail(`unknown codec '${cli.codec}'`);
+    }
+    let configs: SyncsConfig = {
+        codec: CODECS[cli.codec],
+        headers: cli.headers,
+        rmiTimeout: cli.timeout,
+        debug: cli.frames,
+        logger: createLogger(cli.frames)
+    };
+    let io = new Syncs(cli.url, configs);
+    let args = cli.args;
+    switch (cli.command) {
+        case 'subscribe':
+            if (args.length < 1) {
+                fail('subscribe needs an event name');
+            }
+            io.subscribe(args[0], (data: any, event: string) => print({event: event, data: data}));
+            break;
+        case 'publish':
+            if (args.length < 1) {
+                fail('publish needs an event name');
+            }
+            runOnce(io, cli.timeout, () => {
+                io.publish(args[0], args.length > 1 ? parseValue(args[1]) : null);
+                return whenOpen(io);
+            });
+            break;
+        case 'call':
+            if (args.length < 1) {
+                fail('call needs a function name');
+            }
+            runOnce(io, cli.timeout, () => io.remote[args[0]](...args.slice(1).map(parseValue)).then(print));
+            break;
+        case 'watch':
+            if (args[0] == 'global' && args.length == 2) {
+                watchShared(io.globalShared(args[1]));
+            } else if (args[0] == 'group' && args.length == 3) {
+                watchShared(io.groupShared(args[1], args[2]));
+            } else if (args[0] == 'client' && args.length == 2) {
+                watchShared(io.shared(args[1]));
+            } else {
+                fail('usage: watch global <name> | watch group <group> <name> | watch client <name>');
+            }
+            break;
+        case 'set':
+            if (args.length < 3) {
+                fail('set needs shared object name, key and value');
+            }
+            runOnce(io, cli.timeout, () => {
+                io.shared(args[0])[args[1]] = parseValue(args[2]);
+                return whenOpen(io);
+            });
+            break;
+        case 'repl':
+            let shell = repl.start({prompt: 'syncs> '});
+            (<any>shell).context['io'] = io;
+            shell.on('exit', () => exit(io, 0));
+            break;
+        default:
+            fail(`unknown command '${cli.command}'\n\n${USAGE}`);
+    }
+    process.on('SIGINT', () => exit(io, 0));
+}
+
+main(process.argv.slice(2));
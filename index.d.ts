@@ -1,4 +1,10 @@
 import { Syncs } from "./lib/syncs";
-import { SyncsConfig } from "./lib/syncs";
+import { SyncsConfig, SyncsContract } from "./lib/syncs";
 export * from "./lib/syncs";
-export default function syncs(path: string, config?: SyncsConfig): Syncs;
+export * from "./lib/errors";
+export * from "./lib/codec";
+export * from "./lib/storage";
+export * from "./lib/schema";
+export * from "./lib/logger";
+export * from "./lib/metrics";
+export default function syncs<C extends SyncsContract = SyncsContract>(path: string | string[], config?: SyncsConfig): Syncs<C>;
@@ -5,8 +5,14 @@ function __export(m) {
 Object.defineProperty(exports, "__esModule", { value: true });
 const syncs_1 = require("./lib/syncs");
 __export(require("./lib/syncs"));
+__export(require("./lib/errors"));
+__export(require("./lib/codec"));
+__export(require("./lib/storage"));
+__export(require("./lib/schema"));
+__export(require("./lib/logger"));
+__export(require("./lib/metrics"));
 function syncs(path, config = {}) {
     return new syncs_1.Syncs(path, config);
 }
 exports.default = syncs;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7OztBQUFBLHVDQUFrQztBQUVsQyxpQ0FBNEI7QUFJNUIsZUFBOEIsSUFBVyxFQUFDLFNBQW1CLEVBQUU7SUFDM0QsTUFBTSxDQUFDLElBQUksYUFBSyxDQUFDLElBQUksRUFBQyxNQUFNLENBQUMsQ0FBQztBQUNsQyxDQUFDO0FBRkQsd0JBRUMifQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7OztBQUFBLHVDQUFrQztBQUVsQyxpQ0FBNEI7QUFDNUIsa0NBQTZCO0FBQzdCLGlDQUE0QjtBQUM1QixtQ0FBOEI7QUFDOUIsa0NBQTZCO0FBQzdCLGtDQUE2QjtBQUM3QixtQ0FBOEI7QUFJOUIsZUFBdUUsSUFBc0IsRUFBQyxTQUFtQixFQUFFO0lBQy9HLE1BQU0sQ0FBQyxJQUFJLGFBQUssQ0FBSSxJQUFJLEVBQUMsTUFBTSxDQUFDLENBQUM7QUFDckMsQ0FBQztBQUZELHdCQUVDIn0=
\ No newline at end of file
@@ -1,9 +1,15 @@
 import {Syncs} from "./lib/syncs";
-import {SyncsConfig} from "./lib/syncs";
+import {SyncsConfig, SyncsContract} from "./lib/syncs";
 export * from "./lib/syncs";
+export * from "./lib/errors";
+export * from "./lib/codec";
+export * from "./lib/storage";
+export * from "./lib/schema";
+export * from "./lib/logger";
+export * from "./lib/metrics";
 
 
 
-export default function syncs(path:string,config:SyncsConfig={}):Syncs{
-    return new Syncs(path,config);
+export default function syncs<C extends SyncsContract = SyncsContract>(path:string | string[],config:SyncsConfig={}):Syncs<C>{
+    return new Syncs<C>(path,config);
 }
\ No newline at end of file
@@ -0,0 +1,37 @@
+/// <reference types="node" />
+/**
+ * Serializes messages to WebSocket frames and back
+ */
+export interface SyncsCodec {
+    /**
+     * name of codec
+     */
+    name: string;
+    /**
+     * converts message to frame data, Buffer results are sent as binary frames
+     * @param {any} message
+     * @return {string|Buffer}
+     */
+    encode(message: any): string | Buffer;
+    /**
+     * converts received frame data to message
+     * @param {string|Buffer} data
+     * @return {any}
+     */
+    decode(data: string | Buffer): any;
+}
+/**
+ * URI encoded JSON text frames
+ * default codec which is compatible with all Syncs servers
+ */
+export declare const uriJsonCodec: SyncsCodec;
+/**
+ * plain JSON text frames
+ */
+export declare const jsonCodec: SyncsCodec;
+/**
+ * MessagePack binary frames
+ * Buffer values are sent as bin, Date as timestamp extension,
+ * Map as extension type 1 and BigInt as extension type 2
+ */
+export declare const msgpackCodec: SyncsCodec;
@@ -0,0 +1,439 @@
+/**
+ * Serializes messages to WebSocket frames and back
+ */
+export interface SyncsCodec {
+
+    /**
+     * name of codec
+     */
+    name: string;
+
+    /**
+     * converts message to frame data, Buffer results are sent as binary frames
+     * @param {any} message
+     * @return {string|Buffer}
+     */
+    encode(message: any): string | Buffer;
+
+    /**
+     * converts received frame data to message
+     * @param {string|Buffer} data
+     * @return {any}
+     */
+    decode(data: string | Buffer): any;
+}
+
+/**
+ * URI encoded JSON text frames
+ * default codec which is compatible with all Syncs servers
+ */
+export const uriJsonCodec: SyncsCodec = {
+    name: 'uri-json',
+    encode: (message: any) => encodeURI(JSON.stringify(message)),
+    decode: (data: string | Buffer) => JSON.parse(decodeURI(data.toString()))
+};
+
+/**
+ * plain JSON text frames
+ */
+export const jsonCodec: SyncsCodec = {
+    name: 'json',
+    encode: (message: any) => JSON.stringify(message),
+    decode: (data: string | Buffer) => JSON.parse(data.toString())
+};
+
+/**
+ * MessagePack binary frames
+ * Buffer values are sent as bin, Date as timestamp extension,
+ * Map as extension type 1 and BigInt as extension type 2
+ */
+export const msgpackCodec: SyncsCodec = {
+    name: 'msgpack',
+    encode: (message: any) => new MessagePackEncoder().encode(message),
+    decode: (data: string | Buffer) => new MessagePackDecoder(typeof data == 'string' ? Buffer.from(data) : data).decode()
+};
+
+const TIMESTAMP_EXT = -1;
+const MAP_EXT = 1;
+const BIGINT_EXT = 2;
+const UINT32 = 0x100000000;
+
+/**
+ * MessagePack encoder which collects encoded chunks
+ */
+class MessagePackEncoder {
+    private chunks: Buffer[] = [];
+
+    /**
+     * encodes value to MessagePack buffer
+     * @param {any} value
+     * @return {Buffer}
+     */
+    public encode(value: any): Buffer {
+        this.write(value);
+        return Buffer.concat(this.chunks);
+    }
+
+    private write(value: any) {
+        if (value === null || value === undefined) {
+            this.bytes(0xc0);
+        } else if (value === false) {
+            this.bytes(0xc2);
+        } else if (value === true) {
+            this.bytes(0xc3);
+        } else if (typeof value == 'number') {
+            this.writeNumber(value);
+        } else if (typeof value == 'string') {
+            this.writeString(value);
+        } else if (<string>typeof value == 'bigint') {
+            this.writeExt(BIGINT_EXT, Buffer.from(value.toString()));
+        } else if (Buffer.isBuffer(value)) {
+            this.writeBinary(value);
+        } else if (value instanceof ArrayBuffer) {
+            this.writeBinary(Buffer.from(value));
+        } else if (ArrayBuffer.isView(value)) {
+            this.writeBinary(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+        } else if (value instanceof Date) {
+            this.writeDate(value);
+        } else if (value instanceof Map) {
+            let encoder = new MessagePackEncoder();
+            this.writeExt(MAP_EXT, encoder.encode(Array.from(value.entries())));
+        } else if (Array.isArray(value)) {
+            this.writeHeader(value.length, 0x90, 0xdc, 0xdd, 16);
+            for (let item of value) {
+                this.write(item);
+            }
+        } else if (typeof value.toJSON == 'function') {
+            this.write(value.toJSON());
+        } else if (typeof value == 'object') {
+            let keys = Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] != 'function');
+            this.writeHeader(keys.length, 0x80, 0xde, 0xdf, 16);
+            for (let key of keys) {
+                this.writeString(key);
+                this.write(value[key]);
+            }
+        } else {
+            this.bytes(0xc0);
+        }
+    }
+
+    private writeNumber(value: number) {
+        if (Math.floor(value) !== value || Math.abs(value) > Number.MAX_SAFE_INTEGER || (value === 0 && 1 / value < 0)) {
+            let buffer = Buffer.alloc(9);
+            buffer[0] = 0xcb;
+            buffer.writeDoubleBE(value, 1);
+            this.chunks.push(buffer);
+        } else if (value >= 0) {
+            if (value < 0x80) {
+                this.bytes(value);
+            } else if (value < 0x100) {
+                this.bytes(0xcc, value);
+            } else if (value < 0x10000) {
+                this.fixed(0xcd, 2, buffer => buffer.writeUInt16BE(value, 1));
+            } else if (value < UINT32) {
+                this.fixed(0xce, 4, buffer => buffer.writeUInt32BE(value, 1));
+            } else {
+                this.fixed(0xcf, 8, buffer => {
+                    buffer.writeUInt32BE(Math.floor(value / UINT32), 1);
+                    buffer.writeUInt32BE(value % UINT32, 5);
+                });
+            }
+        } else {
+            if (value >= -0x20) {
+                this.bytes(0x100 + value);
+            } else if (value >= -0x80) {
+                this.fixed(0xd0, 1, buffer => buffer.writeInt8(value, 1));
+            } else if (value >= -0x8000) {
+                this.fixed(0xd1, 2, buffer => buffer.writeInt16BE(value, 1));
+            } else if (value >= -0x80000000) {
+                this.fixed(0xd2, 4, buffer => buffer.writeInt32BE(value, 1));
+            } else {
+                this.fixed(0xd3, 8, buffer => {
+                    let high = Math.floor(value / UINT32);
+                    buffer.writeInt32BE(high, 1);
+                    buffer.writeUInt32BE(value - high * UINT32, 5);
+                });
+            }
+        }
+    }
+
+    private writeString(value: string) {
+        let data = Buffer.from(value, 'utf8');
+        if (data.length < 32) {
+            this.bytes(0xa0 | data.length);
+        } else {
+            this.writeHeader(data.length, null, 0xda, 0xdb, 0, 0xd9);
+        }
+        this.chunks.push(data);
+    }
+
+    private writeBinary(value: Buffer) {
+        this.writeHeader(value.length, null, 0xc5, 0xc6, 0, 0xc4);
+        this.chunks.push(value);
+    }
+
+    private writeDate(value: Date) {
+        let time = value.getTime();
+        let seconds = Math.floor(time / 1000);
+        let nanoseconds = (time - seconds * 1000) * 1000000;
+        let data = Buffer.alloc(12);
+        data.writeUInt32BE(nanoseconds, 0);
+        let high = Math.floor(seconds / UINT32);
+        data.writeInt32BE(high, 4);
+        data.writeUInt32BE(seconds - high * UINT32, 8);
+        this.writeExt(TIMESTAMP_EXT, data);
+    }
+
+    private writeExt(type: number, data: Buffer) {
+        let fixedCodes: any = {1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8};
+        if (fixedCodes[data.length]) {
+            this.bytes(fixedCodes[data.length], type & 0xff);
+        } else {
+            this.writeHeader(data.length, null, 0xc8, 0xc9, 0, 0xc7);
+            this.bytes(type & 0xff);
+        }
+        this.chunks.push(data);
+    }
+
+    /**
+     * writes length header of a container
+     * @param {number} length
+     * @param {number} fixCode code of fix format or null
+     * @param {number} code16
+     * @param {number} code32
+     * @param {number} fixLimit maximum length of fix format
+     * @param {number} code8 code of 8 bit length format or undefined
+     */
+    private writeHeader(length: number, fixCode: number, code16: number, code32: number, fixLimit: number, code8?: number) {
+        if (fixCode !== null && length < fixLimit) {
+            this.bytes(fixCode | length);
+        } else if (code8 !== undefined && length < 0x100) {
+            this.bytes(code8, length);
+        } else if (length < 0x10000) {
+            this.fixed(code16, 2, buffer => buffer.writeUInt16BE(length, 1));
+        } else {
+            this.fixed(code32, 4, buffer => buffer.writeUInt32BE(length, 1));
+        }
+    }
+
+    private fixed(code: number, size: number, write: (buffer: Buffer) => void) {
+        let buffer = Buffer.alloc(size + 1);
+        buffer[0] = code;
+        write(buffer);
+        this.chunks.push(buffer);
+    }
+
+    private bytes(...values: number[]) {
+        this.chunks.push(Buffer.from(values));
+    }
+}
+
+/**
+ * MessagePack decoder which reads a buffer from start to end
+ */
+class MessagePackDecoder {
+    private buffer: Buffer;
+    private offset = 0;
+
+    /**
+     * @constructor
+     * @param {Buffer} buffer
+     */
+    constructor(buffer: Buffer) {
+        this.buffer = buffer;
+    }
+
+    /**
+     * decodes buffer to value
+     * @return {any}
+     */
+    public decode(): any {
+        let value = this.read();
+        if (this.offset != this.buffer.length) {
+            throw new Error('unexpected data after MessagePack value');
+        }
+        return value;
+    }
+
+    private read(): any {
+        let code = this.uint(1);
+        if (code < 0x80) {
+            return code;
+        }
+        if (code < 0x90) {
+            return this.readMap(code & 0x0f);
+        }
+        if (code < 0xa0) {
+            return this.readArray(code & 0x0f);
+        }
+        if (code < 0xc0) {
+            return this.readString(code & 0x1f);
+        }
+        if (code >= 0xe0) {
+            return code - 0x100;
+        }
+        switch (code) {
+            case 0xc0:
+                return null;
+            case 0xc2:
+                return false;
+            case 0xc3:
+                return true;
+            case 0xc4:
+                return this.readBinary(this.uint(1));
+            case 0xc5:
+                return this.readBinary(this.uint(2));
+            case 0xc6:
+                return this.readBinary(this.uint(4));
+            case 0xc7:
+                return this.readExt(this.uint(1));
+            case 0xc8:
+                return this.readExt(this.uint(2));
+            case 0xc9:
+                return this.readExt(this.uint(4));
+            case 0xca:
+                return this.take(4).readFloatBE(0);
+            case 0xcb:
+                return this.take(8).readDoubleBE(0);
+            case 0xcc:
+                return this.uint(1);
+            case 0xcd:
+                return this.uint(2);
+            case 0xce:
+                return this.uint(4);
+            case 0xcf:
+                return this.int64(false);
+            case 0xd0:
+                return this.take(1).readInt8(0);
+            case 0xd1:
+                return this.take(2).readInt16BE(0);
+            case 0xd2:
+                return this.take(4).readInt32BE(0);
+            case 0xd3:
+                return this.int64(true);
+            case 0xd4:
+                return this.readExt(1);
+            case 0xd5:
+                return this.readExt(2);
+            case 0xd6:
+                return this.readExt(4);
+            case 0xd7:
+                return this.readExt(8);
+            case 0xd8:
+                return this.readExt(16);
+            case 0xd9:
+                return this.readString(this.uint(1));
+            case 0xda:
+                return this.readString(this.uint(2));
+            case 0xdb:
+                return this.readString(this.uint(4));
+            case 0xdc:
+                return this.readArray(this.uint(2));
+            case 0xdd:
+                return this.readArray(this.uint(4));
+            case 0xde:
+                return this.readMap(this.uint(2));
+            case 0xdf:
+                return this.readMap(this.uint(4));
+        }
+        throw new Error(`invalid MessagePack code 0x${code.toString(16)}`);
+    }
+
+    private readMap(size: number): any {
+        let result: any = {};
+        for (let i = 0; i < size; i++) {
+            let key = this.read();
+            let value = this.read();
+            // own '__proto__' property like JSON.parse, so peers can't change prototype of decoded objects
+            if (key === '__proto__') {
+                Object.defineProperty(result, key, {value: value, enumerable: true, writable: true, configurable: true});
+            } else {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    private readArray(size: number): any[] {
+        let result: any[] = [];
+        for (let i = 0; i < size; i++) {
+            result.push(this.read());
+        }
+        return result;
+    }
+
+    private readString(size: number): string {
+        return this.take(size).toString('utf8');
+    }
+
+    private readBinary(size: number): Buffer {
+        return Buffer.from(this.take(size));
+    }
+
+    private readExt(size: number): any {
+        let type = this.take(1).readInt8(0);
+        let data = this.take(size);
+        switch (type) {
+            case TIMESTAMP_EXT:
+                return this.readTimestamp(data);
+            case MAP_EXT:
+                return new Map(new MessagePackDecoder(data).decode());
+            case BIGINT_EXT:
+                let big = toBigInt(data.toString());
+                return big === null ? data.toString() : big;
+        }
+        return {type: type, data: Buffer.from(data)};
+    }
+
+    private readTimestamp(data: Buffer): Date {
+        let seconds: number;
+        let nanoseconds = 0;
+        if (data.length == 4) {
+            seconds = data.readUInt32BE(0);
+        } else if (data.length == 8) {
+            let high = data.readUInt32BE(0);
+            nanoseconds = high >>> 2;
+            seconds = (high & 0x3) * UINT32 + data.readUInt32BE(4);
+        } else {
+            nanoseconds = data.readUInt32BE(0);
+            seconds = data.readInt32BE(4) * UINT32 + data.readUInt32BE(8);
+        }
+        return new Date(seconds * 1000 + Math.floor(nanoseconds / 1000000));
+    }
+
+    private int64(signed: boolean): any {
+        let data = this.take(8);
+        let high = signed ? data.readInt32BE(0) : data.readUInt32BE(0);
+        let low = data.readUInt32BE(4);
+        let value = high * UINT32 + low;
+        if (Math.abs(value) <= Number.MAX_SAFE_INTEGER) {
+            return value;
+        }
+        let big = toBigInt(high.toString());
+        return big === null ? value : big * toBigInt(UINT32.toString()) + toBigInt(low.toString());
+    }
+
+    private uint(size: number): number {
+        let data = this.take(size);
+        return size == 1 ? data[0] : size == 2 ? data.readUInt16BE(0) : data.readUInt32BE(0);
+    }
+
+    private take(size: number): Buffer {
+        if (this.offset + size > this.buffer.length) {
+            throw new Error('unexpected end of MessagePack data');
+        }
+        let data = this.buffer.slice(this.offset, this.offset + size);
+        this.offset += size;
+        return data;
+    }
+}
+
+/**
+ * converts decimal string to BigInt if runtime supports it
+ * @param {string} value
+ * @return {any} BigInt or null
+ */
+function toBigInt(value: string): any {
+    let BigIntConstructor = (<any>global).BigInt;
+    return BigIntConstructor ? BigIntConstructor(value) : null;
+}
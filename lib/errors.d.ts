@@ -0,0 +1,164 @@
+/**
+ * Base class of errors raised by Syncs client
+ */
+export declare class SyncsError extends Error {
+    /**
+     * @constructor
+     * @param {string} message
+     */
+    constructor(message: string);
+}
+/**
+ * Syncs server rejected authenticate command
+ */
+export declare class AuthenticationError extends SyncsError {
+    data: any;
+    /**
+     * @constructor
+     * @param {any} error error sent by Syncs server
+     */
+    constructor(error: any);
+}
+/**
+ * value does not match registered schema
+ */
+export declare class ValidationError extends SyncsError {
+    code: string;
+    target: string;
+    errors: string[];
+    data: string[];
+    /**
+     * @constructor
+     * @param {string} target validated target e.g. 'shared object settings' or 'event chat'
+     * @param {string[]} errors validation error messages
+     */
+    constructor(target: string, errors: string[]);
+}
+/**
+ * Base class of errors which reject remote method calls
+ */
+export declare class RmiError extends SyncsError {
+    method: string;
+    id: string;
+    code: string;
+    /**
+     * @constructor
+     * @param {string} message
+     * @param {string} method remote method name
+     * @param {string} id rmi request id
+     */
+    constructor(message: string, method: string, id: string);
+}
+/**
+ * called method is not declared on remote side
+ */
+export declare class RemoteMethodNotFoundError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method: string, id: string);
+}
+/**
+ * called method threw or rejected on remote side
+ * name, code, data and stack of remote error are kept on the instance
+ */
+export declare class RemoteExecutionError extends RmiError {
+    remoteName: string;
+    data: any;
+    remoteStack: string;
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     * @param {RmiErrorEnvelope} envelope
+     */
+    constructor(method: string, id: string, envelope: RmiErrorEnvelope);
+}
+/**
+ * remote method call did not receive result in time
+ */
+export declare class RmiTimeoutError extends RmiError {
+    timeout: number;
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     * @param {number} timeout
+     */
+    constructor(method: string, id: string, timeout: number);
+}
+/**
+ * remote method call is cancelled by abort signal
+ */
+export declare class RmiCancelledError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method: string, id: string);
+}
+/**
+ * connection closed before remote method call received result
+ */
+export declare class RmiDisconnectedError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method: string, id: string);
+}
+/**
+ * remote method call is dropped from outbound queue before it was sent
+ */
+export declare class RmiDroppedError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method: string, id: string);
+}
+/**
+ * snapshot of shared object is not received because fetch timed out or client closed
+ */
+export declare class SharedFetchError extends SyncsError {
+    code: string;
+    sharedName: string;
+    /**
+     * @constructor
+     * @param {string} sharedName name of shared object
+     * @param {string} code 'FETCH_TIMEOUT' or 'FETCH_CLOSED'
+     * @param {string} message
+     */
+    constructor(sharedName: string, code: string, message: string);
+}
+/**
+ * error object which is sent in rmi-result command
+ */
+export interface RmiErrorEnvelope {
+    name: string;
+    message: string;
+    code?: string;
+    data?: any;
+    stack?: string;
+}
+/**
+ * converts thrown value of a local function to rmi-result error envelope
+ * @param {any} error
+ * @param {boolean} includeStack
+ * @return {RmiErrorEnvelope}
+ */
+export declare function toErrorEnvelope(error: any, includeStack: boolean): RmiErrorEnvelope;
+/**
+ * converts error of incoming rmi-result command to error instance
+ * string errors of older Syncs servers are also supported
+ * @param {any} error
+ * @param {string} method
+ * @param {string} id
+ * @return {RmiError}
+ */
+export declare function fromErrorEnvelope(error: any, method: string, id: string): RmiError;
@@ -0,0 +1,236 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * Base class of errors raised by Syncs client
+ */
+class SyncsError extends Error {
+    /**
+     * @constructor
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'SyncsError';
+    }
+}
+exports.SyncsError = SyncsError;
+/**
+ * Syncs server rejected authenticate command
+ */
+class AuthenticationError extends SyncsError {
+    /**
+     * @constructor
+     * @param {any} error error sent by Syncs server
+     */
+    constructor(error) {
+        super(error && error.message ? error.message : String(error || 'authentication failed'));
+        this.name = 'AuthenticationError';
+        this.data = error;
+    }
+}
+exports.AuthenticationError = AuthenticationError;
+/**
+ * value does not match registered schema
+ */
+class ValidationError extends SyncsError {
+    /**
+     * @constructor
+     * @param {string} target validated target e.g. 'shared object settings' or 'event chat'
+     * @param {string[]} errors validation error messages
+     */
+    constructor(target, errors) {
+        super(`invalid ${target}: ${errors.join(', ')}`);
+        this.code = 'VALIDATION_ERROR';
+        this.name = 'ValidationError';
+        this.target = target;
+        this.errors = errors;
+        this.data = errors;
+    }
+}
+exports.ValidationError = ValidationError;
+/**
+ * Base class of errors which reject remote method calls
+ */
+class RmiError extends SyncsError {
+    /**
+     * @constructor
+     * @param {string} message
+     * @param {string} method remote method name
+     * @param {string} id rmi request id
+     */
+    constructor(message, method, id) {
+        super(message);
+        this.code = 'RMI_ERROR';
+        this.name = 'RmiError';
+        this.method = method;
+        this.id = id;
+    }
+}
+exports.RmiError = RmiError;
+/**
+ * called method is not declared on remote side
+ */
+class RemoteMethodNotFoundError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method, id) {
+        super(`remote method '${method}' is not defined`, method, id);
+        this.name = 'RemoteMethodNotFoundError';
+        this.code = 'METHOD_NOT_FOUND';
+    }
+}
+exports.RemoteMethodNotFoundError = RemoteMethodNotFoundError;
+/**
+ * called method threw or rejected on remote side
+ * name, code, data and stack of remote error are kept on the instance
+ */
+class RemoteExecutionError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     * @param {RmiErrorEnvelope} envelope
+     */
+    constructor(method, id, envelope) {
+        super(envelope.message, method, id);
+        this.name = 'RemoteExecutionError';
+        this.code = envelope.code || 'EXECUTION_ERROR';
+        this.remoteName = envelope.name;
+        this.data = envelope.data;
+        this.remoteStack = envelope.stack;
+    }
+}
+exports.RemoteExecutionError = RemoteExecutionError;
+/**
+ * remote method call did not receive result in time
+ */
+class RmiTimeoutError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     * @param {number} timeout
+     */
+    constructor(method, id, timeout) {
+        super(`remote method '${method}' timed out after ${timeout} ms`, method, id);
+        this.name = 'RmiTimeoutError';
+        this.code = 'RMI_TIMEOUT';
+        this.timeout = timeout;
+    }
+}
+exports.RmiTimeoutError = RmiTimeoutError;
+/**
+ * remote method call is cancelled by abort signal
+ */
+class RmiCancelledError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method, id) {
+        super(`remote method '${method}' is cancelled`, method, id);
+        this.name = 'RmiCancelledError';
+        this.code = 'RMI_CANCELLED';
+    }
+}
+exports.RmiCancelledError = RmiCancelledError;
+/**
+ * connection closed before remote method call received result
+ */
+class RmiDisconnectedError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method, id) {
+        super(`connection closed before remote method '${method}' returned`, method, id);
+        this.name = 'RmiDisconnectedError';
+        this.code = 'RMI_DISCONNECTED';
+    }
+}
+exports.RmiDisconnectedError = RmiDisconnectedError;
+/**
+ * remote method call is dropped from outbound queue before it was sent
+ */
+class RmiDroppedError extends RmiError {
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method, id) {
+        super(`remote method '${method}' is dropped from outbound queue`, method, id);
+        this.name = 'RmiDroppedError';
+        this.code = 'RMI_DROPPED';
+    }
+}
+exports.RmiDroppedError = RmiDroppedError;
+/**
+ * snapshot of shared object is not received because fetch timed out or client closed
+ */
+class SharedFetchError extends SyncsError {
+    /**
+     * @constructor
+     * @param {string} sharedName name of shared object
+     * @param {string} code 'FETCH_TIMEOUT' or 'FETCH_CLOSED'
+     * @param {string} message
+     */
+    constructor(sharedName, code, message) {
+        super(message);
+        this.name = 'SharedFetchError';
+        this.code = code;
+        this.sharedName = sharedName;
+    }
+}
+exports.SharedFetchError = SharedFetchError;
+/**
+ * converts thrown value of a local function to rmi-result error envelope
+ * @param {any} error
+ * @param {boolean} includeStack
+ * @return {RmiErrorEnvelope}
+ */
+function toErrorEnvelope(error, includeStack) {
+    if (!(error instanceof Error)) {
+        return { name: 'Error', message: String(error), code: 'EXECUTION_ERROR', data: error };
+    }
+    let envelope = {
+        name: error.name,
+        message: error.message,
+        code: error.code || 'EXECUTION_ERROR'
+    };
+    if (error.data !== undefined) {
+        envelope.data = error.data;
+    }
+    if (includeStack) {
+        envelope.stack = error.stack;
+    }
+    return envelope;
+}
+exports.toErrorEnvelope = toErrorEnvelope;
+/**
+ * converts error of incoming rmi-result command to error instance
+ * string errors of older Syncs servers are also supported
+ * @param {any} error
+ * @param {string} method
+ * @param {string} id
+ * @return {RmiError}
+ */
+function fromErrorEnvelope(error, method, id) {
+    if (typeof error == 'string') {
+        if (error == 'undefined') {
+            return new RemoteMethodNotFoundError(method, id);
+        }
+        return new RemoteExecutionError(method, id, { name: 'Error', message: error });
+    }
+    if (error.code == 'METHOD_NOT_FOUND') {
+        return new RemoteMethodNotFoundError(method, id);
+    }
+    return new RemoteExecutionError(method, id, error);
+}
+exports.fromErrorEnvelope = fromErrorEnvelope;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXJyb3JzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZXJyb3JzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBQUE7O0dBRUc7QUFDSCxnQkFBd0IsU0FBUSxLQUFLO0lBRWpDOzs7T0FHRztJQUNILFlBQVksT0FBZTtRQUN2QixLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDZixJQUFJLENBQUMsSUFBSSxHQUFHLFlBQVksQ0FBQztJQUM3QixDQUFDO0NBQ0o7QUFWRCxnQ0FVQztBQUVEOztHQUVHO0FBQ0gseUJBQWlDLFNBQVEsVUFBVTtJQUcvQzs7O09BR0c7SUFDSCxZQUFZLEtBQVU7UUFDbEIsS0FBSyxDQUFDLEtBQUssSUFBSSxLQUFLLENBQUMsT0FBTyxHQUFHLEtBQUssQ0FBQyxPQUFPLEdBQUcsTUFBTSxDQUFDLEtBQUssSUFBSSx1QkFBdUIsQ0FBQyxDQUFDLENBQUM7UUFDekYsSUFBSSxDQUFDLElBQUksR0FBRyxxQkFBcUIsQ0FBQztRQUNsQyxJQUFJLENBQUMsSUFBSSxHQUFHLEtBQUssQ0FBQztJQUN0QixDQUFDO0NBQ0o7QUFaRCxrREFZQztBQUVEOztHQUVHO0FBQ0gscUJBQTZCLFNBQVEsVUFBVTtJQU0zQzs7OztPQUlHO0lBQ0gsWUFBWSxNQUFjLEVBQUUsTUFBZ0I7UUFDeEMsS0FBSyxDQUFDLFdBQVcsTUFBTSxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBWDlDLFNBQUksR0FBRyxrQkFBa0IsQ0FBQztRQVk3QixJQUFJLENBQUMsSUFBSSxHQUFHLGlCQUFpQixDQUFDO1FBQzlCLElBQUksQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDO1FBQ3JCLElBQUksQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDO1FBQ3JCLElBQUksQ0FBQyxJQUFJLEdBQUcsTUFBTSxDQUFDO0lBQ3ZCLENBQUM7Q0FDSjtBQWxCRCwwQ0FrQkM7QUFFRDs7R0FFRztBQUNILGNBQXNCLFNBQVEsVUFBVTtJQUtwQzs7Ozs7T0FLRztJQUNILFlBQVksT0FBZSxFQUFFLE1BQWMsRUFBRSxFQUFVO1FBQ25ELEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztRQVRaLFNBQUksR0FBVyxXQUFXLENBQUM7UUFVOUIsSUFBSSxDQUFDLElBQUksR0FBRyxVQUFVLENBQUM7UUFDdkIsSUFBSSxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUM7UUFDckIsSUFBSSxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUM7SUFDakIsQ0FBQztDQUNKO0FBakJELDRCQWlCQztBQUVEOztHQUVHO0FBQ0gsK0JBQXVDLFNBQVEsUUFBUTtJQUVuRDs7OztPQUlHO0lBQ0gsWUFBWSxNQUFjLEVBQUUsRUFBVTtRQUNsQyxLQUFLLENBQUMsa0JBQWtCLE1BQU0sa0JBQWtCLEVBQUUsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzlELElBQUksQ0FBQyxJQUFJLEdBQUcsMkJBQTJCLENBQUM7UUFDeEMsSUFBSSxDQUFDLElBQUksR0FBRyxrQkFBa0IsQ0FBQztJQUNuQyxDQUFDO0NBQ0o7QUFaRCw4REFZQztBQUVEOzs7R0FHRztBQUNILDBCQUFrQyxTQUFRLFFBQVE7SUFLOUM7Ozs7O09BS0c7SUFDSCxZQUFZLE1BQWMsRUFBRSxFQUFVLEVBQUUsUUFBMEI7UUFDOUQsS0FBSyxDQUFDLFFBQVEsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3BDLElBQUksQ0FBQyxJQUFJLEdBQUcsc0JBQXNCLENBQUM7UUFDbkMsSUFBSSxDQUFDLElBQUksR0FBRyxRQUFRLENBQUMsSUFBSSxJQUFJLGlCQUFpQixDQUFDO1FBQy9DLElBQUksQ0FBQyxVQUFVLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQztRQUNoQyxJQUFJLENBQUMsSUFBSSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUM7UUFDMUIsSUFBSSxDQUFDLFdBQVcsR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDO0lBQ3RDLENBQUM7Q0FDSjtBQW5CRCxvREFtQkM7QUFFRDs7R0FFRztBQUNILHFCQUE2QixTQUFRLFFBQVE7SUFHekM7Ozs7O09BS0c7SUFDSCxZQUFZLE1BQWMsRUFBRSxFQUFVLEVBQUUsT0FBZTtRQUNuRCxLQUFLLENBQUMsa0JBQWtCLE1BQU0scUJBQXFCLE9BQU8sS0FBSyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsQ0FBQztRQUM3RSxJQUFJLENBQUMsSUFBSSxHQUFHLGlCQUFpQixDQUFDO1FBQzlCLElBQUksQ0FBQyxJQUFJLEdBQUcsYUFBYSxDQUFDO1FBQzFCLElBQUksQ0FBQyxPQUFPLEdBQUcsT0FBTyxDQUFDO0lBQzNCLENBQUM7Q0FDSjtBQWZELDBDQWVDO0FBRUQ7O0dBRUc7QUFDSCx1QkFBK0IsU0FBUSxRQUFRO0lBRTNDOzs7O09BSUc7SUFDSCxZQUFZLE1BQWMsRUFBRSxFQUFVO1FBQ2xDLEtBQUssQ0FBQyxrQkFBa0IsTUFBTSxnQkFBZ0IsRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDNUQsSUFBSSxDQUFDLElBQUksR0FBRyxtQkFBbUIsQ0FBQztRQUNoQyxJQUFJLENBQUMsSUFBSSxHQUFHLGVBQWUsQ0FBQztJQUNoQyxDQUFDO0NBQ0o7QUFaRCw4Q0FZQztBQUVEOztHQUVHO0FBQ0gsMEJBQWtDLFNBQVEsUUFBUTtJQUU5Qzs7OztPQUlHO0lBQ0gsWUFBWSxNQUFjLEVBQUUsRUFBVTtRQUNsQyxLQUFLLENBQUMsMkNBQTJDLE1BQU0sWUFBWSxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsQ0FBQztRQUNqRixJQUFJLENBQUMsSUFBSSxHQUFHLHNCQUFzQixDQUFDO1FBQ25DLElBQUksQ0FBQyxJQUFJLEdBQUcsa0JBQWtCLENBQUM7SUFDbkMsQ0FBQztDQUNKO0FBWkQsb0RBWUM7QUFFRDs7R0FFRztBQUNILHFCQUE2QixTQUFRLFFBQVE7SUFFekM7Ozs7T0FJRztJQUNILFlBQVksTUFBYyxFQUFFLEVBQVU7UUFDbEMsS0FBSyxDQUFDLGtCQUFrQixNQUFNLGtDQUFrQyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsQ0FBQztRQUM5RSxJQUFJLENBQUMsSUFBSSxHQUFHLGlCQUFpQixDQUFDO1FBQzlCLElBQUksQ0FBQyxJQUFJLEdBQUcsYUFBYSxDQUFDO0lBQzlCLENBQUM7Q0FDSjtBQVpELDBDQVlDO0FBRUQ7O0dBRUc7QUFDSCxzQkFBOEIsU0FBUSxVQUFVO0lBSTVDOzs7OztPQUtHO0lBQ0gsWUFBWSxVQUFrQixFQUFFLElBQVksRUFBRSxPQUFlO1FBQ3pELEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNmLElBQUksQ0FBQyxJQUFJLEdBQUcsa0JBQWtCLENBQUM7UUFDL0IsSUFBSSxDQUFDLElBQUksR0FBRyxJQUFJLENBQUM7UUFDakIsSUFBSSxDQUFDLFVBQVUsR0FBRyxVQUFVLENBQUM7SUFDakMsQ0FBQztDQUNKO0FBaEJELDRDQWdCQztBQWFEOzs7OztHQUtHO0FBQ0gseUJBQWdDLEtBQVUsRUFBRSxZQUFxQjtJQUM3RCxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxZQUFZLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM1QixNQUFNLENBQUMsRUFBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsSUFBSSxFQUFFLGlCQUFpQixFQUFFLElBQUksRUFBRSxLQUFLLEVBQUMsQ0FBQztJQUN6RixDQUFDO0lBQ0QsSUFBSSxRQUFRLEdBQXFCO1FBQzdCLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSTtRQUNoQixPQUFPLEVBQUUsS0FBSyxDQUFDLE9BQU87UUFDdEIsSUFBSSxFQUFRLEtBQU0sQ0FBQyxJQUFJLElBQUksaUJBQWlCO0tBQy9DLENBQUM7SUFDRixFQUFFLENBQUMsQ0FBTyxLQUFNLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFDbEMsUUFBUSxDQUFDLElBQUksR0FBUyxLQUFNLENBQUMsSUFBSSxDQUFDO0lBQ3RDLENBQUM7SUFDRCxFQUFFLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDO1FBQ2YsUUFBUSxDQUFDLEtBQUssR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDO0lBQ2pDLENBQUM7SUFDRCxNQUFNLENBQUMsUUFBUSxDQUFDO0FBQ3BCLENBQUM7QUFoQkQsMENBZ0JDO0FBRUQ7Ozs7Ozs7R0FPRztBQUNILDJCQUFrQyxLQUFVLEVBQUUsTUFBYyxFQUFFLEVBQVU7SUFDcEUsRUFBRSxDQUFDLENBQUMsT0FBTyxLQUFLLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQztRQUMzQixFQUFFLENBQUMsQ0FBQyxLQUFLLElBQUksV0FBVyxDQUFDLENBQUMsQ0FBQztZQUN2QixNQUFNLENBQUMsSUFBSSx5QkFBeUIsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDckQsQ0FBQztRQUNELE1BQU0sQ0FBQyxJQUFJLG9CQUFvQixDQUFDLE1BQU0sRUFBRSxFQUFFLEVBQUUsRUFBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUMsQ0FBQyxDQUFDO0lBQ2pGLENBQUM7SUFDRCxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxJQUFJLGtCQUFrQixDQUFDLENBQUMsQ0FBQztRQUNuQyxNQUFNLENBQUMsSUFBSSx5QkFBeUIsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFDckQsQ0FBQztJQUNELE1BQU0sQ0FBQyxJQUFJLG9CQUFvQixDQUFDLE1BQU0sRUFBRSxFQUFFLEVBQUUsS0FBSyxDQUFDLENBQUM7QUFDdkQsQ0FBQztBQVhELDhDQVdDIn0=
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * Base class of errors raised by Syncs client
+ */
+export class SyncsError extends Error {
+
+    /**
+     * @constructor
+     * @param {string} message
+     */
+    constructor(message: string) {
+        super(message);
+        this.name = 'SyncsError';
+    }
+}
+
+/**
+ * Syncs server rejected authenticate command
+ */
+export class AuthenticationError extends SyncsError {
+    public data: any;
+
+    /**
+     * @constructor
+     * @param {any} error error sent by Syncs server
+     */
+    constructor(error: any) {
+        super(error && error.message ? error.message : String(error || 'authentication failed'));
+        this.name = 'AuthenticationError';
+        this.data = error;
+    }
+}
+
+/**
+ * value does not match registered schema
+ */
+export class ValidationError extends SyncsError {
+    public code = 'VALIDATION_ERROR';
+    public target: string;
+    public errors: string[];
+    public data: string[];
+
+    /**
+     * @constructor
+     * @param {string} target validated target e.g. 'shared object settings' or 'event chat'
+     * @param {string[]} errors validation error messages
+     */
+    constructor(target: string, errors: string[]) {
+        super(`invalid ${target}: ${errors.join(', ')}`);
+        this.name = 'ValidationError';
+        this.target = target;
+        this.errors = errors;
+        this.data = errors;
+    }
+}
+
+/**
+ * Base class of errors which reject remote method calls
+ */
+export class RmiError extends SyncsError {
+    public method: string;
+    public id: string;
+    public code: string = 'RMI_ERROR';
+
+    /**
+     * @constructor
+     * @param {string} message
+     * @param {string} method remote method name
+     * @param {string} id rmi request id
+     */
+    constructor(message: string, method: string, id: string) {
+        super(message);
+        this.name = 'RmiError';
+        this.method = method;
+        this.id = id;
+    }
+}
+
+/**
+ * called method is not declared on remote side
+ */
+export class RemoteMethodNotFoundError extends RmiError {
+
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method: string, id: string) {
+        super(`remote method '${method}' is not defined`, method, id);
+        this.name = 'RemoteMethodNotFoundError';
+        this.code = 'METHOD_NOT_FOUND';
+    }
+}
+
+/**
+ * called method threw or rejected on remote side
+ * name, code, data and stack of remote error are kept on the instance
+ */
+export class RemoteExecutionError extends RmiError {
+    public remoteName: string;
+    public data: any;
+    public remoteStack: string;
+
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     * @param {RmiErrorEnvelope} envelope
+     */
+    constructor(method: string, id: string, envelope: RmiErrorEnvelope) {
+        super(envelope.message, method, id);
+        this.name = 'RemoteExecutionError';
+        this.code = envelope.code || 'EXECUTION_ERROR';
+        this.remoteName = envelope.name;
+        this.data = envelope.data;
+        this.remoteStack = envelope.stack;
+    }
+}
+
+/**
+ * remote method call did not receive result in time
+ */
+export class RmiTimeoutError extends RmiError {
+    public timeout: number;
+
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     * @param {number} timeout
+     */
+    constructor(method: string, id: string, timeout: number) {
+        super(`remote method '${method}' timed out after ${timeout} ms`, method, id);
+        this.name = 'RmiTimeoutError';
+        this.code = 'RMI_TIMEOUT';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * remote method call is cancelled by abort signal
+ */
+export class RmiCancelledError extends RmiError {
+
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method: string, id: string) {
+        super(`remote method '${method}' is cancelled`, method, id);
+        this.name = 'RmiCancelledError';
+        this.code = 'RMI_CANCELLED';
+    }
+}
+
+/**
+ * connection closed before remote method call received result
+ */
+export class RmiDisconnectedError extends RmiError {
+
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method: string, id: string) {
+        super(`connection closed before remote method '${method}' returned`, method, id);
+        this.name = 'RmiDisconnectedError';
+        this.code = 'RMI_DISCONNECTED';
+    }
+}
+
+/**
+ * remote method call is dropped from outbound queue before it was sent
+ */
+export class RmiDroppedError extends RmiError {
+
+    /**
+     * @constructor
+     * @param {string} method
+     * @param {string} id
+     */
+    constructor(method: string, id: string) {
+        super(`remote method '${method}' is dropped from outbound queue`, method, id);
+        this.name = 'RmiDroppedError';
+        this.code = 'RMI_DROPPED';
+    }
+}
+
+/**
+ * snapshot of shared object is not received because fetch timed out or client closed
+ */
+export class SharedFetchError extends SyncsError {
+    public code: string;
+    public sharedName: string;
+
+    /**
+     * @constructor
+     * @param {string} sharedName name of shared object
+     * @param {string} code 'FETCH_TIMEOUT' or 'FETCH_CLOSED'
+     * @param {string} message
+     */
+    constructor(sharedName: string, code: string, message: string) {
+        super(message);
+        this.name = 'SharedFetchError';
+        this.code = code;
+        this.sharedName = sharedName;
+    }
+}
+
+/**
+ * error object which is sent in rmi-result command
+ */
+export interface RmiErrorEnvelope {
+    name: string;
+    message: string;
+    code?: string;
+    data?: any;
+    stack?: string;
+}
+
+/**
+ * converts thrown value of a local function to rmi-result error envelope
+ * @param {any} error
+ * @param {boolean} includeStack
+ * @return {RmiErrorEnvelope}
+ */
+export function toErrorEnvelope(error: any, includeStack: boolean): RmiErrorEnvelope {
+    if (!(error instanceof Error)) {
+        return {name: 'Error', message: String(error), code: 'EXECUTION_ERROR', data: error};
+    }
+    let envelope: RmiErrorEnvelope = {
+        name: error.name,
+        message: error.message,
+        code: (<any>error).code || 'EXECUTION_ERROR'
+    };
+    if ((<any>error).data !== undefined) {
+        envelope.data = (<any>error).data;
+    }
+    if (includeStack) {
+        envelope.stack = error.stack;
+    }
+    return envelope;
+}
+
+/**
+ * converts error of incoming rmi-result command to error instance
+ * string errors of older Syncs servers are also supported
+ * @param {any} error
+ * @param {string} method
+ * @param {string} id
+ * @return {RmiError}
+ */
+export function fromErrorEnvelope(error: any, method: string, id: string): RmiError {
+    if (typeof error == 'string') {
+        if (error == 'undefined') {
+            return new RemoteMethodNotFoundError(method, id);
+        }
+        return new RemoteExecutionError(method, id, {name: 'Error', message: error});
+    }
+    if (error.code == 'METHOD_NOT_FOUND') {
+        return new RemoteMethodNotFoundError(method, id);
+    }
+    return new RemoteExecutionError(method, id, error);
+}
@@ -0,0 +1,25 @@
+/**
+ * log levels from most to least verbose
+ */
+export declare type SyncsLogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+/**
+ * Logger which receives Syncs client logs
+ * fields is an object of structured values related to message
+ */
+export interface SyncsLogger {
+    debug(message: string, fields?: any): void;
+    info(message: string, fields?: any): void;
+    warn(message: string, fields?: any): void;
+    error(message: string, fields?: any): void;
+}
+/**
+ * writes logs to console
+ */
+export declare const consoleLogger: SyncsLogger;
+/**
+ * checks if a log of level should be written when logger is configured with minimum level
+ * @param {SyncsLogLevel} level
+ * @param {SyncsLogLevel} minimum
+ * @return {boolean}
+ */
+export declare function isLogLevelEnabled(level: SyncsLogLevel, minimum: SyncsLogLevel): boolean;
@@ -0,0 +1,23 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+/**
+ * writes logs to console
+ */
+exports.consoleLogger = {
+    debug: (message, fields) => console.log('[syncs]', message, fields === undefined ? '' : fields),
+    info: (message, fields) => console.info('[syncs]', message, fields === undefined ? '' : fields),
+    warn: (message, fields) => console.warn('[syncs]', message, fields === undefined ? '' : fields),
+    error: (message, fields) => console.error('[syncs]', message, fields === undefined ? '' : fields)
+};
+/**
+ * checks if a log of level should be written when logger is configured with minimum level
+ * @param {SyncsLogLevel} level
+ * @param {SyncsLogLevel} minimum
+ * @return {boolean}
+ */
+function isLogLevelEnabled(level, minimum) {
+    return level != 'silent' && LEVELS.indexOf(level) >= LEVELS.indexOf(minimum);
+}
+exports.isLogLevelEnabled = isLogLevelEnabled;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibG9nZ2VyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibG9nZ2VyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBS0EsTUFBTSxNQUFNLEdBQUcsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsUUFBUSxDQUFDLENBQUM7QUFhNUQ7O0dBRUc7QUFDVSxRQUFBLGFBQWEsR0FBZ0I7SUFDdEMsS0FBSyxFQUFFLENBQUMsT0FBZSxFQUFFLE1BQVksS0FBSyxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsRUFBRSxPQUFPLEVBQUUsTUFBTSxLQUFLLFNBQVMsR0FBRyxFQUFFLEdBQUcsTUFBTSxDQUFDO0lBQzdHLElBQUksRUFBRSxDQUFDLE9BQWUsRUFBRSxNQUFZLEtBQUssT0FBTyxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsT0FBTyxFQUFFLE1BQU0sS0FBSyxTQUFTLEdBQUcsRUFBRSxHQUFHLE1BQU0sQ0FBQztJQUM3RyxJQUFJLEVBQUUsQ0FBQyxPQUFlLEVBQUUsTUFBWSxLQUFLLE9BQU8sQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLE9BQU8sRUFBRSxNQUFNLEtBQUssU0FBUyxHQUFHLEVBQUUsR0FBRyxNQUFNLENBQUM7SUFDN0csS0FBSyxFQUFFLENBQUMsT0FBZSxFQUFFLE1BQVksS0FBSyxPQUFPLENBQUMsS0FBSyxDQUFDLFNBQVMsRUFBRSxPQUFPLEVBQUUsTUFBTSxLQUFLLFNBQVMsR0FBRyxFQUFFLEdBQUcsTUFBTSxDQUFDO0NBQ2xILENBQUM7QUFFRjs7Ozs7R0FLRztBQUNILDJCQUFrQyxLQUFvQixFQUFFLE9BQXNCO0lBQzFFLE1BQU0sQ0FBQyxLQUFLLElBQUksUUFBUSxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztBQUNqRixDQUFDO0FBRkQsOENBRUMifQ==
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * log levels from most to least verbose
+ */
+export type SyncsLogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Logger which receives Syncs client logs
+ * fields is an object of structured values related to message
+ */
+export interface SyncsLogger {
+    debug(message: string, fields?: any): void;
+    info(message: string, fields?: any): void;
+    warn(message: string, fields?: any): void;
+    error(message: string, fields?: any): void;
+}
+
+/**
+ * writes logs to console
+ */
+export const consoleLogger: SyncsLogger = {
+    debug: (message: string, fields?: any) => console.log('[syncs]', message, fields === undefined ? '' : fields),
+    info: (message: string, fields?: any) => console.info('[syncs]', message, fields === undefined ? '' : fields),
+    warn: (message: string, fields?: any) => console.warn('[syncs]', message, fields === undefined ? '' : fields),
+    error: (message: string, fields?: any) => console.error('[syncs]', message, fields === undefined ? '' : fields)
+};
+
+/**
+ * checks if a log of level should be written when logger is configured with minimum level
+ * @param {SyncsLogLevel} level
+ * @param {SyncsLogLevel} minimum
+ * @return {boolean}
+ */
+export function isLogLevelEnabled(level: SyncsLogLevel, minimum: SyncsLogLevel): boolean {
+    return level != 'silent' && LEVELS.indexOf(level) >= LEVELS.indexOf(minimum);
+}
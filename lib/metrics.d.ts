@@ -0,0 +1,123 @@
+/**
+ * counters of frames and bytes
+ */
+export interface SyncsTrafficStats {
+    frames: number;
+    bytes: number;
+}
+/**
+ * histogram of durations in milliseconds
+ * buckets contains number of values which are less than or equal to each bound
+ */
+export interface SyncsHistogram {
+    count: number;
+    sum: number;
+    min: number;
+    max: number;
+    buckets: {
+        [bound: string]: number;
+    };
+}
+/**
+ * snapshot of client metrics
+ */
+export interface SyncsStats {
+    /**
+     * received frames and bytes, byType contains counters of each command type
+     * plain messages are counted as 'message' and unknown command types as 'other'
+     */
+    inbound: SyncsTrafficStats & {
+        byType: {
+            [type: string]: SyncsTrafficStats;
+        };
+    };
+    /**
+     * sent frames and bytes, byType contains counters of each command type
+     */
+    outbound: SyncsTrafficStats & {
+        byType: {
+            [type: string]: SyncsTrafficStats;
+        };
+    };
+    /**
+     * number of scheduled reconnect attempts
+     */
+    reconnects: number;
+    /**
+     * remote method calls which are sent, failed and waiting for result
+     * latency is measured from call to result
+     */
+    rmi: {
+        calls: number;
+        errors: number;
+        pending: number;
+        latency: SyncsHistogram;
+    };
+    /**
+     * number of messages waiting in outbound queue
+     */
+    queued: number;
+    /**
+     * last heartbeat round-trip time
+     */
+    latency: number;
+    online: boolean;
+}
+/**
+ * default bounds of rmi latency histogram in milliseconds
+ */
+export declare const DEFAULT_LATENCY_BUCKETS: number[];
+/**
+ * Collects counters of Syncs client
+ */
+export declare class SyncsMetrics {
+    private inbound;
+    private outbound;
+    private reconnects;
+    private rmiCalls;
+    private rmiErrors;
+    private latency;
+    private bounds;
+    /**
+     * @constructor
+     * @param {number[]} bounds bounds of rmi latency histogram
+     */
+    constructor(bounds?: number[]);
+    /**
+     * counts received frame
+     * @param {string} type command type
+     * @param {number} bytes
+     */
+    recordInbound(type: string, bytes: number): void;
+    /**
+     * counts sent frame
+     * @param {string} type command type
+     * @param {number} bytes
+     */
+    recordOutbound(type: string, bytes: number): void;
+    /**
+     * counts reconnection
+     */
+    recordReconnect(): void;
+    /**
+     * counts remote method call
+     */
+    recordRmiCall(): void;
+    /**
+     * records duration of finished remote method call
+     * @param {number} duration
+     * @param {boolean} failed
+     */
+    recordRmiResult(duration: number, failed: boolean): void;
+    /**
+     * returns copy of collected counters merged with current state values
+     * @param {{pending: number, queued: number, latency: number, online: boolean}} state
+     * @return {SyncsStats}
+     */
+    snapshot(state: {
+        pending: number;
+        queued: number;
+        latency: number;
+        online: boolean;
+    }): SyncsStats;
+}
@@ -0,0 +1,134 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * default bounds of rmi latency histogram in milliseconds
+ */
+exports.DEFAULT_LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+/**
+ * command types which are counted separately in byType, other types are counted as 'other'
+ * 'message' is used for plain messages and 'invalid' for frames which can't be decoded
+ */
+const COMMAND_TYPES = [
+    'message', 'invalid', 'getSocketId', 'setSocketId', 'reportSocketId', 'authenticate', 'authenticated', 'authenticate-error',
+    'groupJoin', 'groupLeave', 'event', 'sync', 'sync-ack', 'fetchShared', 'rmi', 'rmi-result', 'rmi-stream', 'rmi-cancel',
+    'ping', 'pong'
+];
+/**
+ * Collects counters of Syncs client
+ */
+class SyncsMetrics {
+    /**
+     * @constructor
+     * @param {number[]} bounds bounds of rmi latency histogram
+     */
+    constructor(bounds = exports.DEFAULT_LATENCY_BUCKETS) {
+        this.inbound = createTraffic();
+        this.outbound = createTraffic();
+        this.reconnects = 0;
+        this.rmiCalls = 0;
+        this.rmiErrors = 0;
+        this.bounds = bounds.slice().sort((a, b) => a - b);
+        this.latency = { count: 0, sum: 0, min: null, max: null, buckets: {} };
+        for (let bound of this.bounds) {
+            this.latency.buckets[bound] = 0;
+        }
+        this.latency.buckets['+Inf'] = 0;
+    }
+    /**
+     * counts received frame
+     * @param {string} type command type
+     * @param {number} bytes
+     */
+    recordInbound(type, bytes) {
+        countTraffic(this.inbound, type, bytes);
+    }
+    /**
+     * counts sent frame
+     * @param {string} type command type
+     * @param {number} bytes
+     */
+    recordOutbound(type, bytes) {
+        countTraffic(this.outbound, type, bytes);
+    }
+    /**
+     * counts reconnection
+     */
+    recordReconnect() {
+        this.reconnects++;
+    }
+    /**
+     * counts remote method call
+     */
+    recordRmiCall() {
+        this.rmiCalls++;
+    }
+    /**
+     * records duration of finished remote method call
+     * @param {number} duration
+     * @param {boolean} failed
+     */
+    recordRmiResult(duration, failed) {
+        if (failed) {
+            this.rmiErrors++;
+        }
+        let histogram = this.latency;
+        histogram.count++;
+        histogram.sum += duration;
+        histogram.min = histogram.min === null ? duration : Math.min(histogram.min, duration);
+        histogram.max = histogram.max === null ? duration : Math.max(histogram.max, duration);
+        for (let bound of this.bounds) {
+            if (duration <= bound) {
+                histogram.buckets[bound]++;
+            }
+        }
+        histogram.buckets['+Inf']++;
+    }
+    /**
+     * returns copy of collected counters merged with current state values
+     * @param {{pending: number, queued: number, latency: number, online: boolean}} state
+     * @return {SyncsStats}
+     */
+    snapshot(state) {
+        return {
+            inbound: JSON.parse(JSON.stringify(this.inbound)),
+            outbound: JSON.parse(JSON.stringify(this.outbound)),
+            reconnects: this.reconnects,
+            rmi: {
+                calls: this.rmiCalls,
+                errors: this.rmiErrors,
+                pending: state.pending,
+                latency: JSON.parse(JSON.stringify(this.latency))
+            },
+            queued: state.queued,
+            latency: state.latency,
+            online: state.online
+        };
+    }
+}
+exports.SyncsMetrics = SyncsMetrics;
+/**
+ * creates empty traffic counters
+ * @return {SyncsTrafficStats & {byType: {}}}
+ */
+function createTraffic() {
+    return { frames: 0, bytes: 0, byType: Object.create(null) };
+}
+/**
+ * adds frame to traffic counters
+ * @param traffic
+ * @param {string} type
+ * @param {number} bytes
+ */
+function countTraffic(traffic, type, bytes) {
+    traffic.frames++;
+    traffic.bytes += bytes;
+    if (COMMAND_TYPES.indexOf(type) == -1) {
+        type = 'other';
+    }
+    if (!traffic.byType[type]) {
+        traffic.byType[type] = { frames: 0, bytes: 0 };
+    }
+    traffic.byType[type].frames++;
+    traffic.byType[type].bytes += bytes;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWV0cmljcy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIm1ldHJpY3MudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7QUE0REE7O0dBRUc7QUFDVSxRQUFBLHVCQUF1QixHQUFHLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDO0FBRS9GOzs7R0FHRztBQUNILE1BQU0sYUFBYSxHQUFHO0lBQ2xCLFNBQVMsRUFBRSxTQUFTLEVBQUUsYUFBYSxFQUFFLGFBQWEsRUFBRSxnQkFBZ0IsRUFBRSxjQUFjLEVBQUUsZUFBZSxFQUFFLG9CQUFvQjtJQUMzSCxXQUFXLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxZQUFZO0lBQ3RILE1BQU0sRUFBRSxNQUFNO0NBQ2pCLENBQUM7QUFFRjs7R0FFRztBQUNIO0lBU0k7OztPQUdHO0lBQ0gsWUFBWSxTQUFtQiwrQkFBdUI7UUFaOUMsWUFBTyxHQUFHLGFBQWEsRUFBRSxDQUFDO1FBQzFCLGFBQVEsR0FBRyxhQUFhLEVBQUUsQ0FBQztRQUMzQixlQUFVLEdBQUcsQ0FBQyxDQUFDO1FBQ2YsYUFBUSxHQUFHLENBQUMsQ0FBQztRQUNiLGNBQVMsR0FBRyxDQUFDLENBQUM7UUFTbEIsSUFBSSxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUMsS0FBSyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDbkQsSUFBSSxDQUFDLE9BQU8sR0FBRyxFQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBQyxDQUFDO1FBQ3JFLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1lBQzVCLElBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNwQyxDQUFDO1FBQ0QsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3JDLENBQUM7SUFFRDs7OztPQUlHO0lBQ0ksYUFBYSxDQUFDLElBQVksRUFBRSxLQUFhO1FBQzVDLFlBQVksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQztJQUM1QyxDQUFDO0lBRUQ7Ozs7T0FJRztJQUNJLGNBQWMsQ0FBQyxJQUFZLEVBQUUsS0FBYTtRQUM3QyxZQUFZLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxJQUFJLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDN0MsQ0FBQztJQUVEOztPQUVHO0lBQ0ksZUFBZTtRQUNsQixJQUFJLENBQUMsVUFBVSxFQUFFLENBQUM7SUFDdEIsQ0FBQztJQUVEOztPQUVHO0lBQ0ksYUFBYTtRQUNoQixJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDcEIsQ0FBQztJQUVEOzs7O09BSUc7SUFDSSxlQUFlLENBQUMsUUFBZ0IsRUFBRSxNQUFlO1FBQ3BELEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7WUFDVCxJQUFJLENBQUMsU0FBUyxFQUFFLENBQUM7UUFDckIsQ0FBQztRQUNELElBQUksU0FBUyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUM7UUFDN0IsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ2xCLFNBQVMsQ0FBQyxHQUFHLElBQUksUUFBUSxDQUFDO1FBQzFCLFNBQVMsQ0FBQyxHQUFHLEdBQUcsU0FBUyxDQUFDLEdBQUcsS0FBSyxJQUFJLEdBQUcsUUFBUSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxRQUFRLENBQUMsQ0FBQztRQUN0RixTQUFTLENBQUMsR0FBRyxHQUFHLFNBQVMsQ0FBQyxHQUFHLEtBQUssSUFBSSxHQUFHLFFBQVEsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsUUFBUSxDQUFDLENBQUM7UUFDdEYsR0FBRyxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7WUFDNUIsRUFBRSxDQUFDLENBQUMsUUFBUSxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUM7Z0JBQ3BCLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQztZQUMvQixDQUFDO1FBQ0wsQ0FBQztRQUNELFNBQVMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztJQUNoQyxDQUFDO0lBRUQ7Ozs7T0FJRztJQUNJLFFBQVEsQ0FBQyxLQUEwRTtRQUN0RixNQUFNLENBQUM7WUFDSCxPQUFPLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUNqRCxRQUFRLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUNuRCxVQUFVLEVBQUUsSUFBSSxDQUFDLFVBQVU7WUFDM0IsR0FBRyxFQUFFO2dCQUNELEtBQUssRUFBRSxJQUFJLENBQUMsUUFBUTtnQkFDcEIsTUFBTSxFQUFFLElBQUksQ0FBQyxTQUFTO2dCQUN0QixPQUFPLEVBQUUsS0FBSyxDQUFDLE9BQU87Z0JBQ3RCLE9BQU8sRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2FBQ3BEO1lBQ0QsTUFBTSxFQUFFLEtBQUssQ0FBQyxNQUFNO1lBQ3BCLE9BQU8sRUFBRSxLQUFLLENBQUMsT0FBTztZQUN0QixNQUFNLEVBQUUsS0FBSyxDQUFDLE1BQU07U0FDdkIsQ0FBQztJQUNOLENBQUM7Q0FDSjtBQWpHRCxvQ0FpR0M7QUFFRDs7O0dBR0c7QUFDSDtJQUNJLE1BQU0sQ0FBQyxFQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBQyxDQUFDO0FBQzlELENBQUM7QUFFRDs7Ozs7R0FLRztBQUNILHNCQUFzQixPQUEwRSxFQUFFLElBQVksRUFBRSxLQUFhO0lBQ3pILE9BQU8sQ0FBQyxNQUFNLEVBQUUsQ0FBQztJQUNqQixPQUFPLENBQUMsS0FBSyxJQUFJLEtBQUssQ0FBQztJQUN2QixFQUFFLENBQUMsQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNwQyxJQUFJLEdBQUcsT0FBTyxDQUFDO0lBQ25CLENBQUM7SUFDRCxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3hCLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUMsQ0FBQztJQUNqRCxDQUFDO0lBQ0QsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQztJQUM5QixPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssSUFBSSxLQUFLLENBQUM7QUFDeEMsQ0FBQyJ9
\ No newline at end of file
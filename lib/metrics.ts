@@ -0,0 +1,203 @@
+/**
+ * counters of frames and bytes
+ */
+export interface SyncsTrafficStats {
+    frames: number;
+    bytes: number;
+}
+
+/**
+ * histogram of durations in milliseconds
+ * buckets contains number of values which are less than or equal to each bound
+ */
+export interface SyncsHistogram {
+    count: number;
+    sum: number;
+    min: number;
+    max: number;
+    buckets: {[bound: string]: number};
+}
+
+/**
+ * snapshot of client metrics
+ */
+export interface SyncsStats {
+
+    /**
+     * received frames and bytes, byType contains counters of each command type
+     * plain messages are counted as 'message' and unknown command types as 'other'
+     */
+    inbound: SyncsTrafficStats & {byType: {[type: string]: SyncsTrafficStats}};
+
+    /**
+     * sent frames and bytes, byType contains counters of each command type
+     */
+    outbound: SyncsTrafficStats & {byType: {[type: string]: SyncsTrafficStats}};
+
+    /**
+     * number of scheduled reconnect attempts
+     */
+    reconnects: number;
+
+    /**
+     * remote method calls which are sent, failed and waiting for result
+     * latency is measured from call to result
+     */
+    rmi: {calls: number, errors: number, pending: number, latency: SyncsHistogram};
+
+    /**
+     * number of messages waiting in outbound queue
+     */
+    queued: number;
+
+    /**
+     * last heartbeat round-trip time
+     */
+    latency: number;
+
+    online: boolean;
+}
+
+/**
+ * default bounds of rmi latency histogram in milliseconds
+ */
+export const DEFAULT_LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * command types which are counted separately in byType, other types are counted as 'other'
+ * 'message' is used for plain messages and 'invalid' for frames which can't be decoded
+ */
+const COMMAND_TYPES = [
+    'message', 'invalid', 'getSocketId', 'setSocketId', 'reportSocketId', 'authenticate', 'authenticated', 'authenticate-error',
+    'groupJoin', 'groupLeave', 'event', 'sync', 'sync-ack', 'fetchShared', 'rmi', 'rmi-result', 'rmi-stream', 'rmi-cancel',
+    'ping', 'pong'
+];
+
+/**
+ * Collects counters of Syncs client
+ */
+export class SyncsMetrics {
+    private inbound = createTraffic();
+    private outbound = createTraffic();
+    private reconnects = 0;
+    private rmiCalls = 0;
+    private rmiErrors = 0;
+    private latency: SyncsHistogram;
+    private bounds: number[];
+
+    /**
+     * @constructor
+     * @param {number[]} bounds bounds of rmi latency histogram
+     */
+    constructor(bounds: number[] = DEFAULT_LATENCY_BUCKETS) {
+        this.bounds = bounds.slice().sort((a, b) => a - b);
+        this.latency = {count: 0, sum: 0, min: null, max: null, buckets: {}};
+        for (let bound of this.bounds) {
+            this.latency.buckets[bound] = 0;
+        }
+        this.latency.buckets['+Inf'] = 0;
+    }
+
+    /**
+     * counts received frame
+     * @param {string} type command type
+     * @param {number} bytes
+     */
+    public recordInbound(type: string, bytes: number) {
+        countTraffic(this.inbound, type, bytes);
+    }
+
+    /**
+     * counts sent frame
+     * @param {string} type command type
+     * @param {number} bytes
+     */
+    public recordOutbound(type: string, bytes: number) {
+        countTraffic(this.outbound, type, bytes);
+    }
+
+    /**
+     * counts reconnection
+     */
+    public recordReconnect() {
+        this.reconnects++;
+    }
+
+    /**
+     * counts remote method call
+     */
+    public recordRmiCall() {
+        this.rmiCalls++;
+    }
+
+    /**
+     * records duration of finished remote method call
+     * @param {number} duration
+     * @param {boolean} failed
+     */
+    public recordRmiResult(duration: number, failed: boolean) {
+        if (failed) {
+            this.rmiErrors++;
+        }
+        let histogram = this.latency;
+        histogram.count++;
+        histogram.sum += duration;
+        histogram.min = histogram.min === null ? duration : Math.min(histogram.min, duration);
+        histogram.max = histogram.max === null ? duration : Math.max(histogram.max, duration);
+        for (let bound of this.bounds) {
+            if (duration <= bound) {
+                histogram.buckets[bound]++;
+            }
+        }
+        histogram.buckets['+Inf']++;
+    }
+
+    /**
+     * returns copy of collected counters merged with current state values
+     * @param {{pending: number, queued: number, latency: number, online: boolean}} state
+     * @return {SyncsStats}
+     */
+    public snapshot(state: {pending: number, queued: number, latency: number, online: boolean}): SyncsStats {
+        return {
+            inbound: JSON.parse(JSON.stringify(this.inbound)),
+            outbound: JSON.parse(JSON.stringify(this.outbound)),
+            reconnects: this.reconnects,
+            rmi: {
+                calls: this.rmiCalls,
+                errors: this.rmiErrors,
+                pending: state.pending,
+                latency: JSON.parse(JSON.stringify(this.latency))
+            },
+            queued: state.queued,
+            latency: state.latency,
+            online: state.online
+        };
+    }
+}
+
+/**
+ * creates empty traffic counters
+ * @return {SyncsTrafficStats & {byType: {}}}
+ */
+function createTraffic(): SyncsTrafficStats & {byType: {[type: string]: SyncsTrafficStats}} {
+    return {frames: 0, bytes: 0, byType: Object.create(null)};
+}
+
+/**
+ * adds frame to traffic counters
+ * @param traffic
+ * @param {string} type
+ * @param {number} bytes
+ */
+function countTraffic(traffic: SyncsTrafficStats & {byType: {[type: string]: SyncsTrafficStats}}, type: string, bytes: number) {
+    traffic.frames++;
+    traffic.bytes += bytes;
+    if (COMMAND_TYPES.indexOf(type) == -1) {
+        type = 'other';
+    }
+    if (!traffic.byType[type]) {
+        traffic.byType[type] = {frames: 0, bytes: 0};
+    }
+    traffic.byType[type].frames++;
+    traffic.byType[type].bytes += bytes;
+}
@@ -0,0 +1,41 @@
+/**
+ * validator function which returns true for valid value
+ * false or error messages are returned for invalid value
+ */
+export declare type SyncsValidator = (value: any) => boolean | string | string[];
+/**
+ * subset of JSON Schema which is supported by Syncs client
+ */
+export interface JsonSchema {
+    type?: string | string[];
+    enum?: any[];
+    const?: any;
+    properties?: {
+        [name: string]: JsonSchema;
+    };
+    required?: string[];
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema;
+    minItems?: number;
+    maxItems?: number;
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    anyOf?: JsonSchema[];
+    allOf?: JsonSchema[];
+    not?: JsonSchema;
+}
+/**
+ * schema of shared object data, event data or rmi function arguments
+ */
+export declare type SyncsSchema = JsonSchema | SyncsValidator;
+/**
+ * validates value and returns error messages
+ * empty array is returned for valid value
+ * @param {SyncsSchema} schema
+ * @param {any} value
+ * @return {string[]}
+ */
+export declare function validate(schema: SyncsSchema, value: any): string[];
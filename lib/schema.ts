@@ -0,0 +1,206 @@
+/**
+ * validator function which returns true for valid value
+ * false or error messages are returned for invalid value
+ */
+export type SyncsValidator = (value: any) => boolean | string | string[];
+
+/**
+ * subset of JSON Schema which is supported by Syncs client
+ */
+export interface JsonSchema {
+    type?: string | string[];
+    enum?: any[];
+    const?: any;
+    properties?: {[name: string]: JsonSchema};
+    required?: string[];
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema;
+    minItems?: number;
+    maxItems?: number;
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    anyOf?: JsonSchema[];
+    allOf?: JsonSchema[];
+    not?: JsonSchema;
+}
+
+/**
+ * schema of shared object data, event data or rmi function arguments
+ */
+export type SyncsSchema = JsonSchema | SyncsValidator;
+
+/**
+ * validates value and returns error messages
+ * empty array is returned for valid value
+ * @param {SyncsSchema} schema
+ * @param {any} value
+ * @return {string[]}
+ */
+export function validate(schema: SyncsSchema, value: any): string[] {
+    if (typeof schema == 'function') {
+        return runValidator(schema, value);
+    }
+    return validateJsonSchema(schema, value, '$');
+}
+
+/**
+ * runs validator function and converts its result to error messages
+ * @param {SyncsValidator} validator
+ * @param {any} value
+ * @return {string[]}
+ */
+function runValidator(validator: SyncsValidator, value: any): string[] {
+    let result: boolean | string | string[];
+    try {
+        result = validator(value);
+    } catch (error) {
+        return [error && error.message ? error.message : String(error)];
+    }
+    if (result === true || result === undefined) {
+        return [];
+    }
+    if (result === false) {
+        return ['$ is invalid'];
+    }
+    return Array.isArray(result) ? result : [result];
+}
+
+/**
+ * returns JSON Schema type name of value
+ * @param {any} value
+ * @return {string}
+ */
+function getType(value: any): string {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value == 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+/**
+ * checks if value matches one of schema types
+ * integers are also numbers
+ * @param {string|string[]} type
+ * @param {any} value
+ * @return {boolean}
+ */
+function matchesType(type: string | string[], value: any): boolean {
+    let valueType = getType(value);
+    let types = Array.isArray(type) ? type : [type];
+    return types.some(type => type == valueType || (type == 'number' && valueType == 'integer'));
+}
+
+/**
+ * checks equality of JSON values
+ * @param {any} a
+ * @param {any} b
+ * @return {boolean}
+ */
+function isEqual(a: any, b: any): boolean {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * validates value against JSON Schema
+ * @param {JsonSchema} schema
+ * @param {any} value
+ * @param {string} path path of value used in error messages
+ * @return {string[]}
+ */
+function validateJsonSchema(schema: JsonSchema, value: any, path: string): string[] {
+    if (schema.type !== undefined && !matchesType(schema.type, value)) {
+        return [`${path} should be ${[].concat(schema.type).join(' or ')}`];
+    }
+    let errors: string[] = [];
+    if (schema.enum !== undefined && !schema.enum.some(item => isEqual(item, value))) {
+        errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && !isEqual(schema.const, value)) {
+        errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+    }
+    if (typeof value == 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} should be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} should be <= ${schema.maximum}`);
+        }
+    }
+    if (typeof value == 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} should have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} should have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} should match ${schema.pattern}`);
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} should have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateJsonSchema(schema.items, item, `${path}[${index}]`));
+            });
+        }
+    } else if (value !== null && typeof value == 'object') {
+        errors.push(...validateProperties(schema, value, path));
+    }
+    if (schema.anyOf && !schema.anyOf.some(item => validateJsonSchema(item, value, path).length == 0)) {
+        errors.push(`${path} should match one of allowed schemas`);
+    }
+    if (schema.allOf) {
+        for (let item of schema.allOf) {
+            errors.push(...validateJsonSchema(item, value, path));
+        }
+    }
+    if (schema.not && validateJsonSchema(schema.not, value, path).length == 0) {
+        errors.push(`${path} should not match schema`);
+    }
+    return errors;
+}
+
+/**
+ * validates properties of an object against JSON Schema
+ * @param {JsonSchema} schema
+ * @param {any} value
+ * @param {string} path
+ * @return {string[]}
+ */
+function validateProperties(schema: JsonSchema, value: any, path: string): string[] {
+    let errors: string[] = [];
+    let properties = schema.properties || {};
+    for (let name of schema.required || []) {
+        if (value[name] === undefined) {
+            errors.push(`${path}.${name} is required`);
+        }
+    }
+    for (let name of Object.keys(value)) {
+        if (value[name] === undefined) {
+            continue;
+        }
+        if (properties[name]) {
+            errors.push(...validateJsonSchema(properties[name], value[name], `${path}.${name}`));
+        } else if (schema.additionalProperties === false) {
+            errors.push(`${path}.${name} is not allowed`);
+        } else if (typeof schema.additionalProperties == 'object') {
+            errors.push(...validateJsonSchema(schema.additionalProperties, value[name], `${path}.${name}`));
+        }
+    }
+    return errors;
+}
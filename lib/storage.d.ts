@@ -0,0 +1,75 @@
+/**
+ * persisted client state
+ */
+export interface SyncsState {
+    /**
+     * socket id which is reported to server on reconnect
+     */
+    socketId?: string;
+    /**
+     * data of client level shared objects by name
+     */
+    shared?: {
+        [name: string]: any;
+    };
+    /**
+     * data of client level shared objects of namespaces by namespace and name
+     */
+    namespaces?: {
+        [namespace: string]: {
+            [name: string]: any;
+        };
+    };
+}
+/**
+ * Storage adapter to persist client state between restarts
+ * methods may return Promise for asynchronous storages
+ */
+export interface SyncsStorage {
+    /**
+     * returns persisted state or null if nothing is persisted
+     * @return {SyncsState|Promise<SyncsState>}
+     */
+    load(): SyncsState | Promise<SyncsState>;
+    /**
+     * persists state
+     * @param {SyncsState} state
+     * @return {void|Promise<void>}
+     */
+    save(state: SyncsState): void | Promise<void>;
+}
+/**
+ * keeps state in memory
+ * state survives recreating Syncs instance inside same process
+ */
+export declare class MemoryStorage implements SyncsStorage {
+    private state;
+    /**
+     * @return {SyncsState}
+     */
+    load(): SyncsState;
+    /**
+     * @param {SyncsState} state
+     */
+    save(state: SyncsState): void;
+}
+/**
+ * keeps state in a JSON file
+ */
+export declare class FileStorage implements SyncsStorage {
+    private path;
+    /**
+     * @constructor
+     * @param {string} path JSON file path
+     */
+    constructor(path: string);
+    /**
+     * @return {SyncsState}
+     */
+    load(): SyncsState;
+    /**
+     * writes state to a temporary file and renames it to keep file valid on crash
+     * @param {SyncsState} state
+     */
+    save(state: SyncsState): void;
+}
@@ -0,0 +1,57 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+/**
+ * keeps state in memory
+ * state survives recreating Syncs instance inside same process
+ */
+class MemoryStorage {
+    constructor() {
+        this.state = null;
+    }
+    /**
+     * @return {SyncsState}
+     */
+    load() {
+        return this.state === null ? null : JSON.parse(this.state);
+    }
+    /**
+     * @param {SyncsState} state
+     */
+    save(state) {
+        this.state = JSON.stringify(state);
+    }
+}
+exports.MemoryStorage = MemoryStorage;
+/**
+ * keeps state in a JSON file
+ */
+class FileStorage {
+    /**
+     * @constructor
+     * @param {string} path JSON file path
+     */
+    constructor(path) {
+        this.path = path;
+    }
+    /**
+     * @return {SyncsState}
+     */
+    load() {
+        if (!fs.existsSync(this.path)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+    /**
+     * writes state to a temporary file and renames it to keep file valid on crash
+     * @param {SyncsState} state
+     */
+    save(state) {
+        let temporaryPath = this.path + '.tmp';
+        fs.writeFileSync(temporaryPath, JSON.stringify(state));
+        fs.renameSync(temporaryPath, this.path);
+    }
+}
+exports.FileStorage = FileStorage;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3RvcmFnZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInN0b3JhZ2UudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7QUFBQSx5QkFBeUI7QUEyQ3pCOzs7R0FHRztBQUNIO0lBQUE7UUFDWSxVQUFLLEdBQVcsSUFBSSxDQUFDO0lBZWpDLENBQUM7SUFiRzs7T0FFRztJQUNJLElBQUk7UUFDUCxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssS0FBSyxJQUFJLEdBQUcsSUFBSSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQy9ELENBQUM7SUFFRDs7T0FFRztJQUNJLElBQUksQ0FBQyxLQUFpQjtRQUN6QixJQUFJLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDdkMsQ0FBQztDQUNKO0FBaEJELHNDQWdCQztBQUVEOztHQUVHO0FBQ0g7SUFHSTs7O09BR0c7SUFDSCxZQUFZLElBQVk7UUFDcEIsSUFBSSxDQUFDLElBQUksR0FBRyxJQUFJLENBQUM7SUFDckIsQ0FBQztJQUVEOztPQUVHO0lBQ0ksSUFBSTtRQUNQLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzVCLE1BQU0sQ0FBQyxJQUFJLENBQUM7UUFDaEIsQ0FBQztRQUNELE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQzFELENBQUM7SUFFRDs7O09BR0c7SUFDSSxJQUFJLENBQUMsS0FBaUI7UUFDekIsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLElBQUksR0FBRyxNQUFNLENBQUM7UUFDdkMsRUFBRSxDQUFDLGFBQWEsQ0FBQyxhQUFhLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQ3ZELEVBQUUsQ0FBQyxVQUFVLENBQUMsYUFBYSxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUM1QyxDQUFDO0NBQ0o7QUE5QkQsa0NBOEJDIn0=
\ No newline at end of file
@@ -0,0 +1,99 @@
+import * as fs from 'fs';
+
+/**
+ * persisted client state
+ */
+export interface SyncsState {
+
+    /**
+     * socket id which is reported to server on reconnect
+     */
+    socketId?: string;
+
+    /**
+     * data of client level shared objects by name
+     */
+    shared?: {[name: string]: any};
+
+    /**
+     * data of client level shared objects of namespaces by namespace and name
+     */
+    namespaces?: {[namespace: string]: {[name: string]: any}};
+}
+
+/**
+ * Storage adapter to persist client state between restarts
+ * methods may return Promise for asynchronous storages
+ */
+export interface SyncsStorage {
+
+    /**
+     * returns persisted state or null if nothing is persisted
+     * @return {SyncsState|Promise<SyncsState>}
+     */
+    load(): SyncsState | Promise<SyncsState>;
+
+    /**
+     * persists state
+     * @param {SyncsState} state
+     * @return {void|Promise<void>}
+     */
+    save(state: SyncsState): void | Promise<void>;
+}
+
+/**
+ * keeps state in memory
+ * state survives recreating Syncs instance inside same process
+ */
+export class MemoryStorage implements SyncsStorage {
+    private state: string = null;
+
+    /**
+     * @return {SyncsState}
+     */
+    public load(): SyncsState {
+        return this.state === null ? null : JSON.parse(this.state);
+    }
+
+    /**
+     * @param {SyncsState} state
+     */
+    public save(state: SyncsState) {
+        this.state = JSON.stringify(state);
+    }
+}
+
+/**
+ * keeps state in a JSON file
+ */
+export class FileStorage implements SyncsStorage {
+    private path: string;
+
+    /**
+     * @constructor
+     * @param {string} path JSON file path
+     */
+    constructor(path: string) {
+        this.path = path;
+    }
+
+    /**
+     * @return {SyncsState}
+     */
+    public load(): SyncsState {
+        if (!fs.existsSync(this.path)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+
+    /**
+     * writes state to a temporary file and renames it to keep file valid on crash
+     * @param {SyncsState} state
+     */
+    public save(state: SyncsState) {
+        let temporaryPath = this.path + '.tmp';
+        fs.writeFileSync(temporaryPath, JSON.stringify(state));
+        fs.renameSync(temporaryPath, this.path);
+    }
+}
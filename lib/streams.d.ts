@@ -0,0 +1,62 @@
+/// <reference types="node" />
+import { Readable } from 'stream';
+/**
+ * Bounded buffer which exposes pushed values as an async iterator
+ * oldest values are dropped when buffer is full
+ */
+export declare class AsyncBuffer<T> implements AsyncIterableIterator<T> {
+    private values;
+    private waiting;
+    private closed;
+    private ended;
+    private error;
+    private size;
+    private onClose;
+    /**
+     * @constructor
+     * @param {number} size maximum number of values waiting to be consumed
+     * @param {() => void} onClose called once when iteration ends
+     */
+    constructor(size: number, onClose: () => void);
+    /**
+     * adds value to buffer or passes it to waiting consumer
+     * @param {T} value
+     */
+    push(value: T): void;
+    /**
+     * returns next buffered value or waits for it
+     * after end, remaining values are returned before iteration finishes or end error is thrown
+     * @return {Promise<IteratorResult<T>>}
+     */
+    next(): Promise<IteratorResult<T>>;
+    /**
+     * ends buffer from producer side, onClose is not called
+     * buffered values can still be consumed, iteration throws error after them if it is given
+     * @param {Error} error
+     */
+    end(error?: Error): void;
+    /**
+     * ends iteration, called by for-await on break
+     * @return {Promise<IteratorResult<T>>}
+     */
+    return(): Promise<IteratorResult<T>>;
+    /**
+     * ends iteration and releases waiting consumers
+     */
+    close(): void;
+    [Symbol.asyncIterator](): this;
+}
+/**
+ * creates object mode Readable stream which reads values from buffer
+ * destroying the stream closes the buffer
+ * @param {AsyncBuffer<any>} buffer
+ * @param {number} highWaterMark
+ * @return {Readable}
+ */
+export declare function createBufferStream(buffer: AsyncBuffer<any>, highWaterMark: number): Readable;
+/**
+ * checks if value can be iterated by for-await
+ * @param {any} value
+ * @return {boolean}
+ */
+export declare function isAsyncIterable(value: any): boolean;
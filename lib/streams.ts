@@ -0,0 +1,163 @@
+import {Readable} from 'stream';
+
+/**
+ * Bounded buffer which exposes pushed values as an async iterator
+ * oldest values are dropped when buffer is full
+ */
+export class AsyncBuffer<T> implements AsyncIterableIterator<T> {
+    private values: T[] = [];
+    private waiting: {resolve: (result: IteratorResult<T>) => void, reject: (error: Error) => void}[] = [];
+    private closed = false;
+    private ended = false;
+    private error: Error = null;
+    private size: number;
+    private onClose: () => void;
+
+    /**
+     * @constructor
+     * @param {number} size maximum number of values waiting to be consumed
+     * @param {() => void} onClose called once when iteration ends
+     */
+    constructor(size: number, onClose: () => void) {
+        this.size = size;
+        this.onClose = onClose;
+    }
+
+    /**
+     * adds value to buffer or passes it to waiting consumer
+     * @param {T} value
+     */
+    public push(value: T) {
+        if (this.closed || this.ended) {
+            return;
+        }
+        if (this.waiting.length > 0) {
+            this.waiting.shift().resolve({value: value, done: false});
+            return;
+        }
+        this.values.push(value);
+        if (this.values.length > this.size) {
+            this.values.shift();
+        }
+    }
+
+    /**
+     * returns next buffered value or waits for it
+     * after end, remaining values are returned before iteration finishes or end error is thrown
+     * @return {Promise<IteratorResult<T>>}
+     */
+    public next(): Promise<IteratorResult<T>> {
+        if (this.values.length > 0) {
+            return Promise.resolve({value: this.values.shift(), done: false});
+        }
+        if (this.error) {
+            let error = this.error;
+            this.error = null;
+            return Promise.reject(error);
+        }
+        if (this.closed || this.ended) {
+            return Promise.resolve({value: undefined, done: true});
+        }
+        return new Promise((resolve, reject) => this.waiting.push({resolve: resolve, reject: reject}));
+    }
+
+    /**
+     * ends buffer from producer side, onClose is not called
+     * buffered values can still be consumed, iteration throws error after them if it is given
+     * @param {Error} error
+     */
+    public end(error: Error = null) {
+        if (this.closed || this.ended) {
+            return;
+        }
+        this.ended = true;
+        this.error = error;
+        let waiting = this.waiting;
+        this.waiting = [];
+        for (let waiter of waiting) {
+            if (this.error) {
+                waiter.reject(this.error);
+                this.error = null;
+            } else {
+                waiter.resolve({value: undefined, done: true});
+            }
+        }
+    }
+
+    /**
+     * ends iteration, called by for-await on break
+     * @return {Promise<IteratorResult<T>>}
+     */
+    public return(): Promise<IteratorResult<T>> {
+        this.close();
+        return Promise.resolve({value: undefined, done: true});
+    }
+
+    /**
+     * ends iteration and releases waiting consumers
+     */
+    public close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.values = [];
+        this.onClose();
+        for (let waiter of this.waiting) {
+            waiter.resolve({value: undefined, done: true});
+        }
+        this.waiting = [];
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
+
+/**
+ * creates object mode Readable stream which reads values from buffer
+ * destroying the stream closes the buffer
+ * @param {AsyncBuffer<any>} buffer
+ * @param {number} highWaterMark
+ * @return {Readable}
+ */
+export function createBufferStream(buffer: AsyncBuffer<any>, highWaterMark: number): Readable {
+    let reading = false;
+    let options: any = {
+        objectMode: true,
+        highWaterMark: highWaterMark,
+        read: function () {
+            if (reading) {
+                return;
+            }
+            reading = true;
+            buffer.next().then(result => {
+                reading = false;
+                this.push(result.done ? null : result.value);
+            }, error => {
+                reading = false;
+                if (typeof this.destroy == 'function') {
+                    this.destroy(error);
+                } else {
+                    this.emit('error', error);
+                }
+            });
+        },
+        destroy: (error: Error, callback: (error: Error) => void) => {
+            buffer.close();
+            callback(error);
+        }
+    };
+    let stream = new Readable(options);
+    stream.on('end', () => buffer.close());
+    return stream;
+}
+
+/**
+ * checks if value can be iterated by for-await
+ * @param {any} value
+ * @return {boolean}
+ */
+export function isAsyncIterable(value: any): boolean {
+    return value !== null && value !== undefined && typeof value[Symbol.asyncIterator] == 'function';
+}
@@ -1,33 +1,136 @@
-export declare class Syncs {
+/// <reference types="node" />
+/// <reference types="ws" />
+import * as WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { SyncsCodec } from './codec';
+import { SyncsStorage } from './storage';
+import { SyncsSchema } from './schema';
+import { SyncsLogger, SyncsLogLevel } from './logger';
+import { SyncsStats } from './metrics';
+/**
+ * Syncs client
+ * connection lifecycle events:
+ * 'open' (server: Syncs, resumed: boolean) connection is established, resumed is true if previous session is resumed
+ * 'reconnect' (server: Syncs) previous session is resumed after reconnecting
+ * 'socketId' (socketId: string) server assigned a new socket id
+ * 'disconnect' (server: Syncs) connection dropped and client will reconnect
+ * 'reconnecting' (info: {attempt: number, delay: number, url: string}) reconnect is scheduled
+ * 'close' (server: Syncs) connection closed and client will not reconnect
+ * 'error' (error: Error) socket error or ValidationError of rejected incoming data
+ * 'latency' (latency: number) heartbeat round-trip time in ms
+ * 'heartbeatTimeout' (server: Syncs) heartbeat is not answered and connection is terminated
+ * 'groupJoin' (group: string) client joined a group
+ * 'groupLeave' (group: string) client left a group
+ * 'conflict' (conflict: SharedObjectConflict) server changed a client level property which has unacknowledged local write
+ * 'drain' (server: Syncs) socket buffer dropped below highWaterMark after send or publish returned false
+ * namespace(name) returns a view with separate events, shared objects and functions over the same connection
+ * contract type parameter describes remote functions, local functions, events and shared objects, see SyncsContract
+ */
+export declare class Syncs<C extends SyncsContract = SyncsContract> extends EventEmitter {
     /*************** PROPERTIES ****************/
     private socket;
     private socketId;
     online: boolean;
-    private path;
+    private paths;
+    private pathIndex;
     private configs;
     private onMessageListeners;
     private handledClose;
-    private subscriptions;
-    private globalSharedObjects;
-    private groupSharedObjects;
-    private clientSharedObjects;
-    private onOpenListener;
-    private onDisconnectListener;
-    private onCloseListener;
-    private functionProxy;
-    private rmiFunctions;
-    private rmiResultCallbacks;
+    private rootScope;
+    private namespaceScopes;
+    private groupMemberships;
+    private reconnectAttempts;
+    private reconnectTimer;
+    private heartbeatTimer;
+    private heartbeatTimeoutTimer;
+    private pingSentAt;
+    latency: number;
+    private connecting;
+    private authCredentials;
+    private restorePromise;
+    private persistTimer;
+    private pendingRmiCalls;
+    private rmiStreams;
+    private outboundQueue;
+    private flowControl;
+    private transactionDepth;
+    private interceptors;
+    private commandHandlers;
+    private metrics;
+    private metricsTimer;
+    private handlerSpans;
+    private activeTrace;
     /**
      * @constructor
-     * @param {string} path Syncs server path
+     * @param {string|string[]} path Syncs server path or list of server paths to rotate on reconnect
      * @param {SyncsConfig} configs
      */
-    constructor(path: string, configs?: SyncsConfig);
+    constructor(path: string | string[], configs?: SyncsConfig);
     /**
      * initialize configuration with user inputs or default configurations
      * @param {SyncsConfig} configs
      */
     private initializeConfigs(configs);
+    /**
+     * registers schemas of schemas config
+     * @param {SyncsSchemas} schemas
+     */
+    private initializeSchemas(schemas);
+    /**
+     * validates value with schema and throws ValidationError if it is invalid
+     * @param {SyncsSchema} schema
+     * @param {any} value
+     * @param {string} target
+     */
+    private assertValid(schema, value, target);
+    /**
+     * reports incoming data which is rejected by schema
+     * @param {ValidationError} error
+     * @param command rejected command
+     */
+    private reportInvalidCommand(error, command);
+    /**
+     * writes log with configured logger if level is enabled
+     * debug mode enables all levels
+     * @param {SyncsLogLevel} level
+     * @param {string} message
+     * @param fields structured values related to message
+     */
+    private log(level, message, fields?);
+    /**
+     * returns snapshot of client metrics
+     * @return {SyncsStats}
+     */
+    stats(): SyncsStats;
+    /**
+     * starts calling metrics callback periodically
+     */
+    private startMetrics();
+    /**
+     * stops metrics timer and reports last snapshot
+     */
+    private stopMetrics();
+    /**
+     * trace context of incoming rmi or event command which is being handled
+     * outgoing rmi calls and events made while handling it carry this context if no tracer is configured
+     * @return {any}
+     */
+    readonly currentTrace: any;
+    /**
+     * starts span with configured tracer
+     * span context is used as trace of command, parent trace is kept if no tracer is configured
+     * @param {SyncsSpanInfo} info
+     * @return {SyncsSpan}
+     */
+    private startSpan(info);
+    /**
+     * runs callback while trace is current trace
+     * @param trace
+     * @param {() => any} callback
+     * @return {any}
+     */
+    private withTrace(trace, callback);
     /**
      * enables debug mode
      */
@@ -38,8 +141,35 @@ export declare class Syncs {
     disableDebugMode(): void;
     /**
      * connects to Syncs server
+     * auth hook is evaluated before each connection
      */
     connect(): void;
+    /**
+     * evaluates auth hook
+     * @return {Promise<SyncsAuth>}
+     */
+    private resolveAuth();
+    /**
+     * creates WebSocket connection with configured options
+     * @param {SyncsAuth} auth
+     */
+    private openSocket(auth);
+    /**
+     * starts sending heartbeats if heartbeatInterval is set
+     */
+    private startHeartbeat();
+    /**
+     * stops heartbeat timers
+     */
+    private stopHeartbeat();
+    /**
+     * sends ping frame or ping command and terminates connection if it is not answered in time
+     */
+    private sendHeartbeat();
+    /**
+     * handles pong frame or pong command and updates latency
+     */
+    private handlePong();
     /**
      * handles incoming messages
      */
@@ -48,32 +178,72 @@ export declare class Syncs {
      * handle connection close
      */
     private handleOnClose();
+    /**
+     * reconnects or closes client after connection is closed or failed
+     */
+    private handleClose();
+    /**
+     * emits error event if it has listener
+     * @param {Error} error
+     */
+    private emitError(error);
+    /**
+     * schedules next reconnect attempt
+     * servers are rotated after each failed attempt
+     */
+    private scheduleReconnect();
+    /**
+     * calculates exponential backoff delay of reconnect attempt with jitter
+     * @param {number} attempt
+     * @return {number}
+     */
+    private getReconnectDelay(attempt);
+    /**
+     * returns path of current Syncs server
+     * @return {string}
+     */
+    readonly url: string;
     /**
      * disconnect from Syncs server
      */
     disconnect(): void;
     /**
      * handle open event
-     * open event will emit on first connection
-     * @param { (server: Syncs) => {} } callback
+     * open event will emit on each established connection
+     * same as on('open', callback)
+     * @param { (server: Syncs, resumed: boolean) => {} } callback
      */
-    onOpen(callback: (server: Syncs) => void): void;
+    onOpen(callback: (server: Syncs, resumed?: boolean) => void): void;
     /**
      * handle close event
      * this event will emit on close
+     * same as on('close', callback)
      * @param { (server: Syncs) => {} } callback
      */
     onClose(callback: (server: Syncs) => void): void;
     /**
      * handle disconnect event
      * this event will emit on unhandled close
+     * same as on('disconnect', callback)
      * @param { (server: Syncs) => {} } callback
      */
     onDisconnect(callback: (server: Syncs) => void): void;
+    /**
+     * removes lifecycle event listener
+     * @param {string} event
+     * @param {Function} listener
+     * @return {this}
+     */
+    off(event: string, listener: (...args: any[]) => void): this;
+    /**
+     * emits open events after handshake is completed
+     * @param {boolean} resumed
+     */
+    private emitOpen(resumed);
     /**
      * parse incoming message
      * returns parsed object or false if message is not valid
-     * @param {string} message
+     * @param {string|Buffer} message
      * @return {any|false}
      */
     private parseMessage(message);
@@ -82,6 +252,32 @@ export declare class Syncs {
      * @param {any} command
      */
     private handleCommand(command);
+    /**
+     * passes command which is not handled by Syncs client to registered command handlers
+     * @param {any} command
+     */
+    private handleCustomCommand(command);
+    /**
+     * registers handler of a custom command type
+     * built-in command types are not passed to handlers, use an inbound interceptor to observe them
+     * returns a function which removes the handler
+     * @param {string} type
+     * @param {(command: any) => void} handler
+     * @return {() => void}
+     */
+    onCommand(type: string, handler: (command: any) => void): () => void;
+    /**
+     * adds interceptor to inbound and outbound command pipeline
+     * interceptors run in order of registration for both directions
+     * returns a function which removes the interceptor
+     * @param {SyncsInterceptor} interceptor
+     * @return {() => void}
+     */
+    use(interceptor: SyncsInterceptor): () => void;
+    /**
+     * reports socketId and emits open if previous session is resumed
+     */
+    private reportSocketId();
     /**
      * send socketId to Syncs server
      */
@@ -91,110 +287,580 @@ export declare class Syncs {
      * @param { (message: any) => void } listener
      */
     onMessage(listener: (message: any) => void): void;
+    /**
+     * returns async iterator of incoming messages
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncIterableIterator<any>}
+     */
+    messages(options?: SyncsStreamOptions): AsyncIterableIterator<any>;
+    /**
+     * returns object mode Readable stream of incoming messages
+     * @param {SyncsStreamOptions} options
+     * @return {Readable}
+     */
+    messageStream(options?: SyncsStreamOptions): Readable;
+    /**
+     * creates buffer which is filled by incoming messages
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncBuffer<any>}
+     */
+    private createMessageBuffer(options);
     /**
      * send message to Syncs server
+     * message will be queued while client is offline
+     * returns false if message is dropped or socket buffer is above highWaterMark
+     * message is still sent in the second case and 'drain' event is emitted when buffer is drained
      * @param {any} message
      * @return {boolean}
      */
     send(message: any): boolean;
     /**
      * send message as syncs-command
+     * command will be queued while client is offline
+     * returns false if command is dropped
      * @param {any} message
      * @return {boolean}
      */
     sendCommand(message: any): boolean;
+    /**
+     * queues message while client is offline, otherwise passes it to flow control
+     * which writes it now or when socket buffer and rate limits allow
+     * @param {any} message
+     * @param {boolean} command
+     * @param {string} coalesceKey
+     * @return {boolean}
+     */
+    private dispatch(message, command, coalesceKey);
+    /**
+     * resolves when socket buffer is below highWaterMark
+     * @return {Promise<void>}
+     */
+    drained(): Promise<void>;
+    /**
+     * returns number of messages waiting in outbound queue
+     * messages waiting for socket buffer or rate limits are counted too
+     * @return {number}
+     */
+    readonly queueLength: number;
+    /**
+     * removes all messages waiting in outbound queue
+     */
+    clearQueue(): void;
+    /**
+     * checks if messages can be written to socket
+     * @return {boolean}
+     */
+    private isWritable();
+    /**
+     * writes message to socket
+     * returns false if socket is not open, message which can't be encoded is dropped and reported by error event
+     * @param {any} message
+     * @return {boolean}
+     */
+    private write(message);
+    /**
+     * passes syncs-command through outbound interceptors and writes it to socket without queueing
+     * commands which are delayed by interceptors are queued if socket is not writable when they are released
+     * @param {any} message
+     * @return {boolean}
+     */
+    private writeCommand(message);
+    /**
+     * writes queued message, commands which are passed outbound interceptors before are not intercepted again
+     * @param {QueuedMessage} item
+     * @return {boolean}
+     */
+    private writeItem(item);
+    /**
+     * writes syncs-command which is passed outbound interceptors to socket
+     * @param {any} message
+     * @return {boolean}
+     */
+    private writeInterceptedCommand(message);
+    /**
+     * returns queue key of commands which only last value should be replayed
+     * client level shared object writes to the same key and events with latestOnly rate limit are coalesced
+     * @param {any} message
+     * @return {string}
+     */
+    private getCoalesceKey(message);
+    /**
+     * handles messages which are dropped from outbound queue
+     * @param {QueuedMessage} item
+     */
+    private onQueueDrop(item);
+    /**
+     * sends queued messages after connection is established
+     * messages are written by priority of flow control and in order inside each priority
+     */
+    private flushQueue();
     /**************  EVENT LAYER ******************/
     /**
      * handle incomming event
      * @param {any} command
      */
     private handleEvent(command);
+    /**
+     * passes incoming event to exact and pattern subscribers of scope
+     * @param {SyncsScope} scope
+     * @param {any} command
+     */
+    private dispatchEvent(scope, command);
     /**
      * subscribe on incoming event
-     * @param {string} event
-     * @param { (data: any) => void } callback
+     * event can be an exact name, a pattern or a regular expression
+     * in patterns '*' matches one dot separated segment and trailing '>' matches one or more segments
+     * e.g. 'room.*.chat' or 'room.>'
+     * callback receives event data and concrete event name
+     * returns a function which un-subscribes the callback
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     * @return {() => void}
+     */
+    subscribe<K extends keyof C['events']>(event: K, callback: (data: C['events'][K], event?: string) => void): () => void;
+    subscribe(event: string | RegExp, callback: (data: any, event?: string) => void): () => void;
+    /**
+     * subscribe on incoming event for first emit only
+     * returns a function which un-subscribes the callback
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     * @return {() => void}
      */
-    subscribe(event: string, callback: (data: any) => void): void;
+    subscribeOnce<K extends keyof C['events']>(event: K, callback: (data: C['events'][K], event?: string) => void): () => void;
+    subscribeOnce(event: string | RegExp, callback: (data: any, event?: string) => void): () => void;
     /**
      * un-subscribe from event
+     * @param {string|RegExp} event
+     * @param {callback: (data: any, event: string) => void} callback
+     */
+    unSubscribe(event: string | RegExp, callback: (data: any, event?: string) => void): void;
+    /**
+     * adds subscription to scope and returns a function which removes it
+     * @param {SyncsScope} scope
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     * @return {() => void}
+     */
+    private addSubscription(scope, event, callback);
+    /**
+     * adds subscription to scope which is removed after first emit
+     * @param {SyncsScope} scope
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     * @return {() => void}
+     */
+    private addOnceSubscription(scope, event, callback);
+    /**
+     * removes subscription from scope
+     * @param {SyncsScope} scope
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     */
+    private removeSubscription(scope, event, callback);
+    /**
+     * returns callbacks set of an event, pattern or regular expression in scope
+     * @param {SyncsScope} scope
+     * @param {string|RegExp} event
+     * @param {boolean} create creates empty set if event has no subscription
+     * @return {Set}
+     */
+    private getSubscriptionCallbacks(scope, event, create);
+    /**
+     * checks if event name contains wildcard segments
+     * @param {string} event
+     * @return {boolean}
+     */
+    private isEventPattern(event);
+    /**
+     * returns key of pattern subscription
+     * @param {string|RegExp} event
+     * @return {string}
+     */
+    private getPatternKey(event);
+    /**
+     * converts wildcard event pattern to regular expression
+     * @param {string} pattern
+     * @return {RegExp}
+     */
+    private compileEventPattern(pattern);
+    /**
+     * returns async iterator of incoming event data
+     * event can be a name, pattern or regular expression like subscribe
+     * @param {string|RegExp} event
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncIterableIterator<any>}
+     */
+    events(event: string | RegExp, options?: SyncsStreamOptions): AsyncIterableIterator<any>;
+    /**
+     * returns object mode Readable stream of incoming event data
+     * destroying the stream un-subscribes from event
+     * @param {string|RegExp} event
+     * @param {SyncsStreamOptions} options
+     * @return {Readable}
+     */
+    eventStream(event: string | RegExp, options?: SyncsStreamOptions): Readable;
+    /**
+     * creates buffer which is filled by event subscription
+     * @param {string|RegExp} event
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncBuffer<any>}
+     */
+    private createEventBuffer(event, options);
+    /**
+     * registers schema of event data
+     * incoming events with invalid data are dropped and publishing invalid data throws ValidationError
+     * null schema removes registered schema
      * @param {string} event
-     * @param {callback: (data: any) => void} callback
+     * @param {SyncsSchema} schema
      */
-    unSubscribe(event: string, callback: (data: any) => void): void;
+    eventSchema(event: string, schema: SyncsSchema): void;
     /**
      * publish an event to Syncs Server
+     * throws ValidationError if data does not match event schema
+     * returns false if event is dropped or socket buffer is above highWaterMark
+     * event is still sent in the second case and 'drain' event is emitted when buffer is drained
      * @param {string} event
      * @param {any} data
      * @return {boolean}
      */
-    publish(event: string, data: any): boolean;
+    publish<K extends keyof C['events']>(event: K, data: C['events'][K]): boolean;
+    /**
+     * publishes event of scope
+     * @param {SyncsScope} scope
+     * @param {string} event
+     * @param {any} data
+     * @return {boolean}
+     */
+    private publishEvent(scope, event, data);
     /**************  SHARED OBJECT LAYER ******************/
     /**
      * handle shared object sync command
      * @param command
      */
     private handleSync(command);
+    /**
+     * registers schema of shared object data
+     * schema is applied to global, group and client level shared objects with this name
+     * incoming changes which make data invalid are rejected and client changes throw ValidationError
+     * null schema removes registered schema
+     * @param {string} name
+     * @param {SyncsSchema} schema
+     */
+    sharedSchema(name: string, schema: SyncsSchema): void;
+    /**
+     * returns validator of shared object data which uses current schema of shared object in scope
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @return {(data: any) => void}
+     */
+    private getSharedValidator(scope, name);
     /**
      * changes global shared object value
+     * @param {SyncsScope} scope
      * @param command
      */
-    private setGlobalSharedObject(command);
+    private setGlobalSharedObject(scope, command);
     /**
      * changes group shared object value
+     * @param {SyncsScope} scope
      * @param command
      */
-    private setGroupSharedObject(command);
+    private setGroupSharedObject(scope, command);
     /**
      * changes client shared object value
+     * @param {SyncsScope} scope
      * @param command
      */
-    private setClientSharedObject(command);
+    private setClientSharedObject(scope, command);
     /**
      * returns client level shared object
      * @param {string} name
-     * @return {any}
+     * @return {SharedObjectProxy}
+     */
+    shared<K extends keyof C['shared']>(name: K): SharedObjectProxy<C['shared'][K]>;
+    /**
+     * returns client level shared object of scope
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @return {SharedObject}
      */
-    shared(name: string): any;
+    private getClientSharedObject(scope, name);
+    /**
+     * creates client level shared object with client batching and persistence settings
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @param {any} data initial data
+     * @return {SharedObject}
+     */
+    private createClientSharedObject(scope, name, data?);
+    /**
+     * creates global level shared object
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @return {SharedObject}
+     */
+    private createGlobalSharedObject(scope, name);
+    /**
+     * creates group level shared object
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @param {string} group
+     * @return {SharedObject}
+     */
+    private createGroupSharedObject(scope, name, group);
+    /**
+     * resolves conflict of client level shared object with configured policy
+     * and emits conflict event
+     * @param {SharedObjectConflict} conflict
+     * @return {any} resolved value
+     */
+    private resolveConflict(conflict);
+    /**
+     * runs callback and sends all client level shared object changes made inside it
+     * as one sync command per shared object with one change event
+     * if callback returns a Promise, changes are sent after it settles
+     * @param {() => any} callback
+     * @return {any} callback result
+     */
+    transaction(callback: () => any): any;
     /**
      * return group level shared object
      * @param {string} group
      * @param {string} name
-     * @return {any}
+     * @return {SharedObjectProxy}
+     */
+    groupShared<K extends keyof C['groupShared']>(group: string, name: K): SharedObjectProxy<C['groupShared'][K]>;
+    /**
+     * returns group level shared object of scope and fetches it when it is created
+     * @param {SyncsScope} scope
+     * @param {string} group
+     * @param {string} name
+     * @return {SharedObject}
      */
-    groupShared(group: string, name: string): any;
+    private getGroupSharedObject(scope, group, name);
     /**
-     *
+     * returns global level shared object
      * @param name
-     * @return {any}
+     * @return {SharedObjectProxy}
+     */
+    globalShared<K extends keyof C['globalShared']>(name: K): SharedObjectProxy<C['globalShared'][K]>;
+    /**
+     * returns global level shared object of scope and fetches it when it is created
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @return {SharedObject}
+     */
+    private getGlobalSharedObject(scope, name);
+    /**
+     * requests snapshot of shared object, failed request is only logged because $ready still waits for data
+     * @param {SharedObject} sharedObject
+     */
+    private fetchSharedObject(sharedObject);
+    /**
+     * returns groups which client is member of
+     * @return {ReadonlySet<string>}
+     */
+    readonly groups: ReadonlySet<string>;
+    /**
+     * handle group join event
+     * same as on('groupJoin', callback)
+     * @param { (group: string) => void } callback
+     */
+    onGroupJoin(callback: (group: string) => void): void;
+    /**
+     * handle group leave event
+     * same as on('groupLeave', callback)
+     * @param { (group: string) => void } callback
+     */
+    onGroupLeave(callback: (group: string) => void): void;
+    /**
+     * adds group membership and refreshes stale shared objects of group
+     * @param {string} group
+     */
+    private joinGroup(group);
+    /**
+     * removes group membership and releases or marks shared objects of group
+     * @param {string} group
+     */
+    private leaveGroup(group);
+    /**************  PERSISTENCE LAYER ******************/
+    /**
+     * restores socketId and client level shared objects from storage
+     * asynchronous storages are awaited before connecting
+     */
+    private restoreState();
+    /**
+     * applies restored state
+     * shared objects which are already created are not changed
+     * @param {SyncsState} state
+     */
+    private applyState(state);
+    /**
+     * creates restored client level shared objects of scope
+     * @param {SyncsScope} scope
+     * @param {{[name: string]: any}} shared
+     */
+    private restoreSharedObjects(scope, shared);
+    /**
+     * sends persisted client level shared objects to server if a new session is started
+     * server of a new session does not have client state
+     * @param {boolean} resumed
+     */
+    private reconcileRestoredState(resumed);
+    /**
+     * schedules persisting state after persistDelay
+     */
+    private schedulePersist();
+    /**
+     * persists socketId and client level shared objects immediately
+     * @return {Promise<void>}
      */
-    globalShared(name: string): any;
+    persist(): Promise<void>;
     /**************  RMI LAYER ******************/
     /**
      * returns functions array
      * functions array is the place to initialize rmi functions
      * @return {any}
      */
-    readonly functions: any;
+    readonly functions: C['functions'];
+    /**
+     * returns functions object of scope
+     * @param {SyncsScope} scope
+     * @return {any}
+     */
+    private getFunctions(scope);
+    /**
+     * registers schema of rmi function arguments
+     * schema validates arguments array, calls with invalid arguments are rejected with ValidationError
+     * null schema removes registered schema
+     * @param {string} name
+     * @param {SyncsSchema} schema
+     */
+    functionSchema(name: string, schema: SyncsSchema): void;
     /**
      * handle incoming rmi command
      * @param {string} command
      */
     private handleRMICommand(command);
+    /**
+     * sends result of local function
+     * async iterable results are streamed if caller requested a stream, otherwise they are sent as an array
+     * @param command incoming rmi command
+     * @param result
+     */
+    private sendRmiResult(command, result);
+    /**
+     * sends values of iterator with rmi-stream commands until it ends, fails or is cancelled
+     * @param {string} id
+     * @param {AsyncIterator<any>} iterator
+     * @param {string} namespace
+     */
+    private streamRmiResult(id, iterator, namespace);
+    /**
+     * collects values of iterator and sends them as one rmi-result
+     * @param {string} id
+     * @param {AsyncIterator<any>} iterator
+     * @param {any[]} values
+     * @param {string} namespace
+     */
+    private collectRmiResult(id, iterator, values, namespace);
+    /**
+     * stops streaming result of local function which is cancelled by Syncs server
+     * @param command
+     */
+    private handleRmiCancelCommand(command);
+    /**
+     * stops streaming result of local function
+     * returns false if stream is already finished
+     * @param {string} id
+     * @return {boolean}
+     */
+    private stopRmiStream(id);
     /**
      * returns an remote functions object
      * remote functions object is the place to call remote functions
      * called method will return Promise to get result from remote
+     * @return {SyncsRemote}
+     */
+    readonly remote: SyncsRemote<C['remote']>;
+    /**
+     * returns remote functions object which calls remote methods with streamed results
+     * called method returns an async iterator of values sent by rmi-stream commands
+     * stopping iteration cancels the call
+     * @return {any}
+     */
+    readonly remoteStream: any;
+    /**
+     * creates remote functions object which calls remote methods with given options
+     * remote.withOptions(options) returns a new remote object with merged options
+     * @param {RmiCallOptions} options
+     * @param {string} namespace namespace of called methods, null for root scope
      * @return {any}
      */
-    readonly remote: any;
+    private createRemoteProxy(options, namespace);
     /**
      * handles proxy get for remote method invocation
-     * @param target
      * @param property
-     * @param receiver
+     * @param {RmiCallOptions} options
+     * @param {string} namespace
      * @return {()=>Promise<T>}
      */
-    private onGetRemoteMethod(target, property, receiver);
+    private onGetRemoteMethod(property, options, namespace);
+    /**
+     * calls remote method and returns promise of result
+     * @param {string} name
+     * @param {any} args
+     * @param {RmiCallOptions} options
+     * @param {string} namespace
+     * @return {Promise<any>}
+     */
+    private callRemoteMethod(name, args, options, namespace);
+    /**
+     * calls remote method and returns async iterator of streamed results
+     * timeout is restarted by every received value and streamed calls are never retried
+     * @param {string} name
+     * @param {any} args
+     * @param {RmiCallOptions} options
+     * @param {string} namespace
+     * @return {AsyncIterableIterator<any>}
+     */
+    private callRemoteStream(name, args, options, namespace);
+    /**
+     * registers pending rmi call with its timeout and abort signal
+     * @param {string} id
+     * @param {string} name
+     * @param {any} args
+     * @param {RmiCallOptions} options
+     * @param {(result: any) => void} resolve
+     * @param {(error: any) => void} reject
+     * @return {PendingRmiCall}
+     */
+    private addPendingRmiCall(id, name, args, options, resolve, reject);
+    /**
+     * starts or restarts timeout of pending rmi call
+     * @param {PendingRmiCall} call
+     */
+    private startRmiTimer(call);
+    /**
+     * rejects pending rmi call and notifies Syncs server to cancel it
+     * @param {string} id
+     * @param {Error} error
+     */
+    private cancelRmiCall(id, error);
+    /**
+     * removes pending rmi call and releases its timer and abort listener
+     * returns removed call or undefined if call is not pending
+     * @param {string} id
+     * @return {PendingRmiCall}
+     */
+    private settleRmiCall(id);
+    /**
+     * rejects rmi calls which are sent over closed connection
+     * idempotent calls will be sent again after reconnect
+     * if client will not reconnect all calls are rejected and their queued commands are removed
+     * @param {boolean} closed true if client will not reconnect
+     */
+    private handlePendingRmiCallsOnClose(closed);
     /**
      * generates request id for RMI
      * @return {string}
@@ -205,20 +871,282 @@ export declare class Syncs {
      * @param command
      */
     private handleRmiResultCommand(command);
+    /**
+     * handles rmi-stream command which carries a value of streamed result or end of stream
+     * @param command
+     */
+    private handleRmiStreamCommand(command);
     /**
      * sends rmi calling command to Syncs server;
      * @param {string} name
      * @param {any} args
      * @param {string} id
      */
-    private sendRMICommand(name, args, id);
+    private sendRMICommand(name, args, id, stream?);
     /**
      * send rmi-result command to SyncsServer
      * @param result
      * @param error
      * @param id
+     * @param {string} namespace
+     */
+    private sendRmiResultCommand(result, error, id, namespace);
+    /**
+     * ends span of local function call
+     * @param {string} id
+     * @param {Error} error
+     */
+    private endHandlerSpan(id, error?);
+    /**************  NAMESPACE LAYER ******************/
+    /**
+     * returns view of a namespace
+     * events, shared objects and functions of namespace are separated from root scope and other namespaces
+     * commands of namespace are sent over the same connection with namespace property
+     * same view is returned for a name until it is closed
+     * @param {string} name
+     * @return {SyncsNamespace}
+     */
+    namespace<N extends SyncsContract = SyncsContract>(name: string): SyncsNamespace<N>;
+    /**
+     * returns names of open namespaces
+     * @return {string[]}
+     */
+    readonly namespaces: string[];
+    /**
+     * returns scope of namespace, scope is created if namespace is not open
+     * @param {string} name
+     * @return {SyncsScope}
+     */
+    private getNamespaceScope(name);
+    /**
+     * returns scope of incoming command
+     * returns null if namespace of command is not open
+     * @param {any} command
+     * @return {SyncsScope}
+     */
+    private getCommandScope(command);
+    /**
+     * calls callback for root scope and each namespace scope
+     * @param {(scope: SyncsScope) => void} callback
+     */
+    private forEachScope(callback);
+    /**
+     * rejects fetch requests of shared objects in scope which are waiting for snapshot
+     * @param {SyncsScope} scope
+     */
+    private rejectPendingFetches(scope);
+    /**
+     * creates view which runs Syncs methods in scope of namespace
+     * @param {SyncsScope} scope
+     * @return {SyncsNamespace}
+     */
+    private createNamespaceView(scope);
+    /**
+     * closes namespace and releases its subscriptions, shared objects and functions
+     * pending remote calls of namespace are rejected with RmiCancelledError
+     * and streamed results of its functions are ended with RmiCancelledError
+     * @param {SyncsScope} scope
      */
-    private sendRmiResultCommand(result, error, id);
+    private closeNamespace(scope);
+}
+/**
+ * shared object change event
+ * path and value are set for nested changes, values contains changed top level properties
+ */
+export interface SharedObjectChangeEvent<T = any> {
+    values: Partial<T>;
+    by: string;
+    path?: string[];
+    value?: any;
+}
+/**
+ * helpers of shared object proxy
+ */
+export interface SharedObjectMethods<T> {
+    /**
+     * resolves with shared object when first data is received from server
+     */
+    readonly $ready: Promise<SharedObjectProxy<T>>;
+    /**
+     * true if group of group level shared object is left
+     */
+    readonly $stale: boolean;
+    /**
+     * sets change handler, same as calling shared object as a function
+     */
+    $onChange(listener: (event: SharedObjectChangeEvent<T>) => void): SharedObjectProxy<T>;
+    /**
+     * returns async iterator of change events
+     */
+    $changes(options?: SyncsStreamOptions): AsyncIterableIterator<SharedObjectChangeEvent<T>>;
+    /**
+     * sends all changes made inside callback as one sync command
+     */
+    $batch<R>(callback: (data: SharedObjectProxy<T>) => R): R;
+    /**
+     * requests current snapshot from server
+     */
+    $fetch(): Promise<SharedObjectProxy<T>>;
+}
+/**
+ * shared object proxy with typed properties
+ * shared object can still be called as a function to set change handler, it is not part of this type
+ * because function members like name and length would hide properties of shared object
+ */
+export declare type SharedObjectProxy<T> = T & SharedObjectMethods<T>;
+/**
+ * remote functions object
+ */
+export interface SyncsRemoteMethods<R> {
+    /**
+     * returns remote functions object which calls remote methods with given options
+     */
+    withOptions(options: RmiCallOptions): SyncsRemote<R>;
+}
+/**
+ * remote functions object with typed methods
+ */
+export declare type SyncsRemote<R> = R & SyncsRemoteMethods<R>;
+/**
+ * view of a namespace which is returned by namespace method of Syncs client
+ * methods are same as methods of Syncs client in scope of namespace
+ * close releases subscriptions, shared objects and functions of namespace, view should not be used after close
+ */
+export interface SyncsNamespace<C extends SyncsContract = SyncsContract> {
+    readonly name: string;
+    subscribe<K extends keyof C['events']>(event: K, callback: (data: C['events'][K], event?: string) => void): () => void;
+    subscribe(event: string | RegExp, callback: (data: any, event?: string) => void): () => void;
+    subscribeOnce<K extends keyof C['events']>(event: K, callback: (data: C['events'][K], event?: string) => void): () => void;
+    subscribeOnce(event: string | RegExp, callback: (data: any, event?: string) => void): () => void;
+    unSubscribe(event: string | RegExp, callback: (data: any, event?: string) => void): void;
+    publish<K extends keyof C['events']>(event: K, data: C['events'][K]): boolean;
+    eventSchema(event: string, schema: SyncsSchema): void;
+    shared<K extends keyof C['shared']>(name: K): SharedObjectProxy<C['shared'][K]>;
+    groupShared<K extends keyof C['groupShared']>(group: string, name: K): SharedObjectProxy<C['groupShared'][K]>;
+    globalShared<K extends keyof C['globalShared']>(name: K): SharedObjectProxy<C['globalShared'][K]>;
+    sharedSchema(name: string, schema: SyncsSchema): void;
+    readonly functions: C['functions'];
+    functionSchema(name: string, schema: SyncsSchema): void;
+    readonly remote: SyncsRemote<C['remote']>;
+    readonly remoteStream: any;
+    close(): void;
+}
+/**
+ * contract of Syncs client which types values crossing the wire
+ * contracts should extend this interface, omitted members stay untyped
+ * remote: functions of Syncs server, methods should return Promise, e.g. {getUser(id: number): Promise<User>}
+ * functions: local functions which Syncs server can call, e.g. {add(a: number, b: number): number}
+ * events: data type of each event name, e.g. {chat: {text: string}}
+ * shared, groupShared, globalShared: data type of each client, group and global level shared object name
+ */
+export interface SyncsContract {
+    remote?: any;
+    functions?: any;
+    events?: any;
+    shared?: any;
+    groupShared?: any;
+    globalShared?: any;
+}
+/**
+ * options of async iterators and streams
+ */
+export interface SyncsStreamOptions {
+    /**
+     * maximum number of values waiting to be consumed, oldest values are dropped when full
+     * default is 100
+     */
+    bufferSize?: number;
+    /**
+     * Readable stream high water mark
+     * default is 16
+     */
+    highWaterMark?: number;
+    /**
+     * yield {event, data} objects instead of event data
+     */
+    includeEvent?: boolean;
+}
+/**
+ * result of auth hook
+ */
+export interface SyncsAuth {
+    /**
+     * HTTP headers of WebSocket handshake request e.g. Authorization
+     */
+    headers?: {
+        [key: string]: string;
+    };
+    /**
+     * credentials which are sent with authenticate command
+     */
+    credentials?: any;
+}
+/**
+ * concurrent change of a client level shared object property by client and server
+ */
+export interface SharedObjectConflict {
+    name: string;
+    key: string;
+    localValue: any;
+    serverValue: any;
+    localVersion: number;
+    serverVersion: number;
+    localTime: number;
+    serverTime: number;
+    resolved?: any;
+}
+/**
+ * schemas by shared object name, event name and rmi function name
+ */
+export interface SyncsSchemas {
+    shared?: {
+        [name: string]: SyncsSchema;
+    };
+    events?: {
+        [event: string]: SyncsSchema;
+    };
+    functions?: {
+        [name: string]: SyncsSchema;
+    };
+}
+/**
+ * interceptor of inbound and outbound syncs-commands
+ * each function receives command and returns it, a changed command or a Promise of it to delay the command
+ * returning undefined keeps command as it is and returning null or false drops it
+ */
+export interface SyncsInterceptor {
+    /**
+     * called for commands received from server before they are handled
+     */
+    inbound?: (command: any, server: Syncs) => any;
+    /**
+     * called for commands before they are written to socket
+     */
+    outbound?: (command: any, server: Syncs) => any;
+}
+/**
+ * information of a traced rmi call, handled rmi call or event
+ * trace is context of incoming command or parent context of outgoing command
+ */
+export interface SyncsSpanInfo {
+    kind: 'rmi-call' | 'rmi-handle' | 'event-publish' | 'event-receive';
+    name: string;
+    id?: string;
+    trace: any;
+}
+/**
+ * span started by tracer
+ * context is sent with outgoing command as trace and is current trace while incoming command is handled
+ */
+export interface SyncsSpan {
+    context?: any;
+    end(error?: Error): void;
+}
+/**
+ * tracer which connects rmi calls and events to server side spans
+ */
+export interface SyncsTracer {
+    startSpan(info: SyncsSpanInfo): SyncsSpan;
 }
 export interface SyncsConfig {
     /**
@@ -233,12 +1161,241 @@ export interface SyncsConfig {
      */
     autoReconnect?: boolean;
     /**
-     * time to destroy client after disconnect
+     * time to wait before first reconnect attempt
      * default is 1,000 ms
      */
     reconnectDelay?: number;
+    /**
+     * reconnect delay is multiplied by this value after each failed attempt
+     * default is 1 (fixed delay)
+     */
+    reconnectMultiplier?: number;
+    /**
+     * maximum reconnect delay
+     * default is 30,000 ms
+     */
+    maxReconnectDelay?: number;
+    /**
+     * random factor between 0 and 1 which spreads reconnect delay
+     * e.g. 0.5 picks a delay between 50% and 150% of calculated delay
+     * default is 0
+     */
+    reconnectJitter?: number;
+    /**
+     * number of failed reconnect attempts before client gives up and emits close
+     * default is 0 (unlimited)
+     */
+    maxReconnectAttempts?: number;
+    /**
+     * time between heartbeats which detect dead connections
+     * default is 0 (disabled)
+     */
+    heartbeatInterval?: number;
+    /**
+     * time to wait for heartbeat answer before connection is terminated and reconnected
+     * default is heartbeatInterval
+     */
+    heartbeatTimeout?: number;
+    /**
+     * 'ping' sends WebSocket ping frames, 'command' sends Syncs ping commands
+     * default is 'ping'
+     */
+    heartbeatMode?: 'ping' | 'command';
+    /**
+     * options which are passed to ws WebSocket constructor
+     * e.g. agent, ca, cert, key, rejectUnauthorized
+     */
+    wsOptions?: WebSocket.IClientOptions;
+    /**
+     * WebSocket subprotocols
+     */
+    protocols?: string | string[];
+    /**
+     * HTTP headers of WebSocket handshake request
+     */
+    headers?: {
+        [key: string]: string;
+    };
+    /**
+     * hook which is evaluated before each connection and reconnection
+     * returned headers are added to handshake request
+     * returned credentials are sent with authenticate command before client becomes online
+     */
+    auth?: () => SyncsAuth | Promise<SyncsAuth>;
+    /**
+     * serializes messages to frames
+     * built-in codecs are uriJsonCodec, jsonCodec and msgpackCodec
+     * server should use the same codec
+     * default is uriJsonCodec
+     */
+    codec?: SyncsCodec;
+    /**
+     * request snapshot of global and group level shared objects when they are created
+     * with fetchShared command, server answers with a sync command marked as snapshot
+     * default is false
+     */
+    fetchShared?: boolean;
+    /**
+     * time in ms to wait for snapshot of shared object before fetch is rejected with SharedFetchError
+     * default is 10000, 0 means no timeout
+     */
+    fetchTimeout?: number;
+    /**
+     * what happens to group level shared objects when client leaves their group
+     * 'remove' releases them, 'mark' keeps them and only sets their $stale flag
+     * shared objects are marked stale in both cases
+     * default is 'remove'
+     */
+    groupCleanup?: 'remove' | 'mark';
+    /**
+     * storage adapter which persists socketId and client level shared objects
+     * built-in adapters are MemoryStorage and FileStorage
+     */
+    storage?: SyncsStorage;
+    /**
+     * time to wait after a change before state is persisted
+     * default is 100 ms
+     */
+    persistDelay?: number;
+    /**
+     * adds base version and write time to client level sync commands
+     * and detects server changes of properties which have unacknowledged local writes
+     * server should answer client writes with sync-ack commands
+     * default is false
+     */
+    conflictDetection?: boolean;
+    /**
+     * how conflicts are resolved: 'last-writer-wins', 'server-wins', 'client-wins'
+     * or a function which returns resolved value
+     * default is 'last-writer-wins'
+     */
+    conflictPolicy?: 'last-writer-wins' | 'server-wins' | 'client-wins' | ((conflict: SharedObjectConflict) => any);
+    /**
+     * schemas of shared objects, events and rmi function arguments
+     * JSON Schema objects or validator functions are supported
+     * schemas can also be registered with sharedSchema, eventSchema and functionSchema methods
+     */
+    schemas?: SyncsSchemas;
+    /**
+     * logger which receives client logs with structured fields
+     * default is consoleLogger
+     */
+    logger?: SyncsLogger;
+    /**
+     * minimum level of written logs, debug mode enables all levels
+     * default is 'silent'
+     */
+    logLevel?: SyncsLogLevel;
+    /**
+     * callback which periodically receives metrics snapshot while client is connected
+     */
+    metrics?: (stats: SyncsStats) => void;
+    /**
+     * time in ms between metrics callback calls
+     * default is 10000
+     */
+    metricsInterval?: number;
+    /**
+     * bounds of rmi latency histogram in ms
+     */
+    latencyBuckets?: number[];
+    /**
+     * tracer which starts spans of rmi calls and events
+     * span context is sent as trace of rmi and event commands
+     */
+    tracer?: SyncsTracer;
     /**
      * enables debug mode
      */
     debug?: boolean;
+    /**
+     * maximum number of messages to hold while client is offline
+     * default is 100, 0 disables queueing
+     */
+    queueSize?: number;
+    /**
+     * time in ms that a queued message stays valid
+     * default is 0 (never expires)
+     */
+    queueTTL?: number;
+    /**
+     * which message to drop when queue is full
+     * 'oldest' removes first queued message, 'newest' rejects new message
+     * default is 'oldest'
+     */
+    queueDropPolicy?: 'oldest' | 'newest';
+    /**
+     * socket buffer size in bytes which send and publish return false above it
+     * messages are held by client until buffer is drained, rmi commands are sent before other messages and events
+     * default is 0 (disabled)
+     */
+    highWaterMark?: number;
+    /**
+     * rate limits of published events by event name
+     * e.g. {'mouse-move': {limit: 10, interval: 1000, latestOnly: true}}
+     */
+    rateLimits?: {
+        [event: string]: SyncsRateLimit;
+    };
+    /**
+     * time in ms to wait for remote method result before rejecting with RmiTimeoutError
+     * can be overridden per call using remote.withOptions({timeout})
+     * default is 0 (no timeout)
+     */
+    rmiTimeout?: number;
+    /**
+     * merge client level shared object changes made in the same tick
+     * into one sync command and one change event
+     * default is false
+     */
+    autoBatch?: boolean;
+}
+/**
+ * rate limit of an event
+ */
+export interface SyncsRateLimit {
+    /**
+     * maximum number of events sent in interval, extra events wait until limit allows
+     */
+    limit: number;
+    /**
+     * time window in ms
+     * default is 1000
+     */
+    interval?: number;
+    /**
+     * only the latest waiting value of event is sent, earlier waiting values are dropped
+     */
+    latestOnly?: boolean;
+}
+/**
+ * options of a remote method call
+ */
+export interface RmiCallOptions {
+    /**
+     * time in ms to wait for result, overrides rmiTimeout config
+     */
+    timeout?: number;
+    /**
+     * signal to cancel the call, Syncs server is notified with rmi-cancel command
+     */
+    signal?: RmiAbortSignal;
+    /**
+     * call is safe to be sent again if connection drops before result arrives
+     * idempotent calls are retried after reconnect instead of being rejected
+     */
+    idempotent?: boolean;
+    /**
+     * call returns async iterator of streamed results instead of Promise
+     * remoteStream object sets this option
+     */
+    stream?: boolean;
+}
+/**
+ * minimal AbortSignal interface accepted by remote method calls
+ */
+export interface RmiAbortSignal {
+    aborted: boolean;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
 }
@@ -1,34 +1,97 @@
 import * as WebSocket from 'ws';
-export class Syncs {
+import {EventEmitter} from 'events';
+import {Readable} from 'stream';
+import {AsyncBuffer, createBufferStream, isAsyncIterable} from './streams';
+import {SyncsCodec, uriJsonCodec} from './codec';
+import {SyncsState, SyncsStorage} from './storage';
+import {SyncsSchema, validate} from './schema';
+import {consoleLogger, isLogLevelEnabled, SyncsLogger, SyncsLogLevel} from './logger';
+import {SyncsMetrics, SyncsStats} from './metrics';
+import {
+    AuthenticationError, fromErrorEnvelope, RemoteMethodNotFoundError, RmiCancelledError, RmiDisconnectedError, RmiDroppedError,
+    RmiTimeoutError, SharedFetchError, toErrorEnvelope, ValidationError
+} from './errors';
+
+/**
+ * Syncs client
+ * connection lifecycle events:
+ * 'open' (server: Syncs, resumed: boolean) connection is established, resumed is true if previous session is resumed
+ * 'reconnect' (server: Syncs) previous session is resumed after reconnecting
+ * 'socketId' (socketId: string) server assigned a new socket id
+ * 'disconnect' (server: Syncs) connection dropped and client will reconnect
+ * 'reconnecting' (info: {attempt: number, delay: number, url: string}) reconnect is scheduled
+ * 'close' (server: Syncs) connection closed and client will not reconnect
+ * 'error' (error: Error) socket error or ValidationError of rejected incoming data
+ * 'latency' (latency: number) heartbeat round-trip time in ms
+ * 'heartbeatTimeout' (server: Syncs) heartbeat is not answered and connection is terminated
+ * 'groupJoin' (group: string) client joined a group
+ * 'groupLeave' (group: string) client left a group
+ * 'conflict' (conflict: SharedObjectConflict) server changed a client level property which has unacknowledged local write
+ * 'drain' (server: Syncs) socket buffer dropped below highWaterMark after send or publish returned false
+ * namespace(name) returns a view with separate events, shared objects and functions over the same connection
+ * contract type parameter describes remote functions, local functions, events and shared objects, see SyncsContract
+ */
+export class Syncs<C extends SyncsContract = SyncsContract> extends EventEmitter {
 
     /*************** PROPERTIES ****************/
     private socket: WebSocket;
     private socketId: string = null;
     public online: boolean = false;
-    private path:string;
+    private paths: string[];
+    private pathIndex = 0;
     private configs: SyncsConfig = {};
     private onMessageListeners: any[] = [];
     private handledClose = false;
-    private subscriptions: Map<string,Set<(data: any) => void> > = new Map();
-    private globalSharedObjects: Map<string,SharedObject > = new Map();
-    private groupSharedObjects: Map<string, Map<string,SharedObject> > = new Map();
-    private clientSharedObjects: Map< string,SharedObject > = new Map();
-    private onOpenListener: (server: Syncs) => void;
-    private onDisconnectListener: (server: Syncs) => void;
-    private onCloseListener: (server: Syncs) => void;
-    private functionProxy: any;
-    private rmiFunctions: any = {};
-    private rmiResultCallbacks: Map<string, [Function, Function] > = new Map();
+    private rootScope: SyncsScope = new SyncsScope(null);
+    private namespaceScopes: Map<string, SyncsScope> = new Map();
+    private groupMemberships: Set<string> = new Set();
+    private reconnectAttempts = 0;
+    private reconnectTimer: any = null;
+    private heartbeatTimer: any = null;
+    private heartbeatTimeoutTimer: any = null;
+    private pingSentAt = 0;
+    public latency: number = null;
+    private connecting = false;
+    private authCredentials: any;
+    private restorePromise: Promise<void> = null;
+    private persistTimer: any = null;
+    private pendingRmiCalls: Map<string, PendingRmiCall> = new Map();
+    private rmiStreams: Map<string, RmiStream> = new Map();
+    private outboundQueue: OutboundQueue;
+    private flowControl: FlowController;
+    private transactionDepth = 0;
+    private interceptors: InterceptorPipeline;
+    private commandHandlers: Map<string, Set<(command: any) => void>> = new Map();
+    private metrics: SyncsMetrics;
+    private metricsTimer: any = null;
+    private handlerSpans: Map<string, SyncsSpan> = new Map();
+    private activeTrace: any = undefined;
 
 
     /**
      * @constructor
-     * @param {string} path Syncs server path
+     * @param {string|string[]} path Syncs server path or list of server paths to rotate on reconnect
      * @param {SyncsConfig} configs
      */
-    constructor(path:string,configs:SyncsConfig={}) {
-        this.path=path;
+    constructor(path:string | string[],configs:SyncsConfig={}) {
+        super();
+        this.paths = Array.isArray(path) ? path.slice() : [path];
         this.initializeConfigs(configs);
+        this.initializeSchemas(this.configs.schemas);
+        this.outboundQueue = new OutboundQueue(this.configs, item => this.onQueueDrop(item));
+        this.flowControl = new FlowController(
+            this.configs,
+            () => this.isWritable() ? this.socket : null,
+            item => this.writeItem(item),
+            () => this.emit('drain', this),
+            item => this.onQueueDrop(item)
+        );
+        this.interceptors = new InterceptorPipeline(this, error => {
+            this.log('error', 'interceptor failed', {error: error});
+            this.emitError(error);
+        });
+        this.metrics = new SyncsMetrics(this.configs.latencyBuckets);
+        this.restoreState();
         if(this.configs.autoConnect){
             this.connect();
         }
@@ -42,9 +105,178 @@ export class Syncs {
         this.configs.autoConnect = configs.autoConnect==undefined ? true : configs.autoConnect;
         this.configs.autoReconnect = configs.autoReconnect==undefined ? true : configs.autoReconnect;
         this.configs.reconnectDelay = configs.reconnectDelay || 1000;
+        this.configs.reconnectMultiplier = configs.reconnectMultiplier || 1;
+        this.configs.maxReconnectDelay = configs.maxReconnectDelay || 30000;
+        this.configs.reconnectJitter = configs.reconnectJitter || 0;
+        this.configs.maxReconnectAttempts = configs.maxReconnectAttempts || 0;
+        this.configs.heartbeatInterval = configs.heartbeatInterval || 0;
+        this.configs.heartbeatTimeout = configs.heartbeatTimeout || this.configs.heartbeatInterval;
+        this.configs.heartbeatMode = configs.heartbeatMode || 'ping';
+        this.configs.wsOptions = configs.wsOptions || {};
+        this.configs.protocols = configs.protocols;
+        this.configs.headers = configs.headers || {};
+        this.configs.auth = configs.auth;
+        this.configs.codec = configs.codec || uriJsonCodec;
+        this.configs.fetchShared = configs.fetchShared || false;
+        this.configs.fetchTimeout = configs.fetchTimeout==undefined ? 10000 : configs.fetchTimeout;
+        this.configs.groupCleanup = configs.groupCleanup || 'remove';
+        this.configs.storage = configs.storage;
+        this.configs.persistDelay = configs.persistDelay==undefined ? 100 : configs.persistDelay;
+        this.configs.conflictDetection = configs.conflictDetection || false;
+        this.configs.conflictPolicy = configs.conflictPolicy || 'last-writer-wins';
+        this.configs.schemas = configs.schemas || {};
+        this.configs.logger = configs.logger || consoleLogger;
+        this.configs.logLevel = configs.logLevel || 'silent';
+        this.configs.metrics = configs.metrics;
+        this.configs.metricsInterval = configs.metricsInterval || 10000;
+        this.configs.latencyBuckets = configs.latencyBuckets;
+        this.configs.tracer = configs.tracer;
         this.configs.debug = configs.debug || false;
+        this.configs.queueSize = configs.queueSize==undefined ? 100 : configs.queueSize;
+        this.configs.queueTTL = configs.queueTTL || 0;
+        this.configs.queueDropPolicy = configs.queueDropPolicy || 'oldest';
+        this.configs.highWaterMark = configs.highWaterMark || 0;
+        this.configs.rateLimits = configs.rateLimits || {};
+        this.configs.rmiTimeout = configs.rmiTimeout || 0;
+        this.configs.autoBatch = configs.autoBatch || false;
+    }
+
+    /**
+     * registers schemas of schemas config
+     * @param {SyncsSchemas} schemas
+     */
+    private initializeSchemas(schemas: SyncsSchemas) {
+        for (let name of Object.keys(schemas.shared || {})) {
+            this.sharedSchema(name, schemas.shared[name]);
+        }
+        for (let event of Object.keys(schemas.events || {})) {
+            this.eventSchema(event, schemas.events[event]);
+        }
+        for (let name of Object.keys(schemas.functions || {})) {
+            this.functionSchema(name, schemas.functions[name]);
+        }
+    }
+
+    /**
+     * validates value with schema and throws ValidationError if it is invalid
+     * @param {SyncsSchema} schema
+     * @param {any} value
+     * @param {string} target
+     */
+    private assertValid(schema: SyncsSchema, value: any, target: string) {
+        if (!schema) {
+            return;
+        }
+        let errors = validate(schema, value);
+        if (errors.length > 0) {
+            throw new ValidationError(target, errors);
+        }
+    }
+
+    /**
+     * reports incoming data which is rejected by schema
+     * @param {ValidationError} error
+     * @param command rejected command
+     */
+    private reportInvalidCommand(error: ValidationError, command: any) {
+        this.log('warn', 'invalid command', {error: error.message, command: command});
+        this.emitError(error);
+    }
+
+    /**
+     * writes log with configured logger if level is enabled
+     * debug mode enables all levels
+     * @param {SyncsLogLevel} level
+     * @param {string} message
+     * @param fields structured values related to message
+     */
+    private log(level: SyncsLogLevel, message: string, fields?: any) {
+        let minimum: SyncsLogLevel = this.configs.debug ? 'debug' : this.configs.logLevel;
+        if (isLogLevelEnabled(level, minimum)) {
+            (<any>this.configs.logger)[level](message, fields);
+        }
+    }
+
+    /**
+     * returns snapshot of client metrics
+     * @return {SyncsStats}
+     */
+    public stats(): SyncsStats {
+        return this.metrics.snapshot({
+            pending: this.pendingRmiCalls.size,
+            queued: this.queueLength,
+            latency: this.latency,
+            online: this.online
+        });
+    }
+
+    /**
+     * starts calling metrics callback periodically
+     */
+    private startMetrics() {
+        if (!this.configs.metrics || this.metricsTimer) {
+            return;
+        }
+        this.metricsTimer = setInterval(() => this.configs.metrics(this.stats()), this.configs.metricsInterval);
+        if (this.metricsTimer.unref) {
+            this.metricsTimer.unref();
+        }
+    }
+
+    /**
+     * stops metrics timer and reports last snapshot
+     */
+    private stopMetrics() {
+        if (!this.metricsTimer) {
+            return;
+        }
+        clearInterval(this.metricsTimer);
+        this.metricsTimer = null;
+        this.configs.metrics(this.stats());
+    }
+
+    /**
+     * trace context of incoming rmi or event command which is being handled
+     * outgoing rmi calls and events made while handling it carry this context if no tracer is configured
+     * @return {any}
+     */
+    public get currentTrace(): any {
+        return this.activeTrace;
+    }
+
+    /**
+     * starts span with configured tracer
+     * span context is used as trace of command, parent trace is kept if no tracer is configured
+     * @param {SyncsSpanInfo} info
+     * @return {SyncsSpan}
+     */
+    private startSpan(info: SyncsSpanInfo): SyncsSpan {
+        let span = this.configs.tracer ? this.configs.tracer.startSpan(info) : null;
+        return {
+            context: span && span.context !== undefined ? span.context : info.trace,
+            end: (error?: Error) => {
+                if (span) {
+                    span.end(error);
+                }
+            }
+        };
     }
 
+    /**
+     * runs callback while trace is current trace
+     * @param trace
+     * @param {() => any} callback
+     * @return {any}
+     */
+    private withTrace(trace: any, callback: () => any): any {
+        let previous = this.activeTrace;
+        this.activeTrace = trace;
+        try {
+            return callback();
+        } finally {
+            this.activeTrace = previous;
+        }
+    }
 
     /**
      * enables debug mode
@@ -62,16 +294,124 @@ export class Syncs {
 
     /**
      * connects to Syncs server
+     * auth hook is evaluated before each connection
      */
     public connect() {
-        if(this.online){
+        if(this.online || this.connecting){
+            return;
+        }
+        this.startMetrics();
+        if (!this.configs.auth && !this.restorePromise) {
+            this.openSocket({});
             return;
         }
-        this.socket = new WebSocket(this.path);
+        this.connecting = true;
+        Promise.all([
+            this.restorePromise,
+            this.configs.auth ? this.resolveAuth() : {}
+        ]).then(results => {
+            let auth: SyncsAuth = results[1];
+            this.connecting = false;
+            if (this.handledClose) {
+                this.handleClose();
+                return;
+            }
+            this.openSocket(auth);
+        }, error => {
+            this.connecting = false;
+            this.log('error', 'connection preparation failed', {error: error});
+            this.emitError(error);
+            this.handleClose();
+        });
+    }
+
+    /**
+     * evaluates auth hook
+     * @return {Promise<SyncsAuth>}
+     */
+    private resolveAuth(): Promise<SyncsAuth> {
+        try {
+            return Promise.resolve(this.configs.auth()).then(auth => auth || {});
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    /**
+     * creates WebSocket connection with configured options
+     * @param {SyncsAuth} auth
+     */
+    private openSocket(auth: SyncsAuth) {
+        this.authCredentials = auth.credentials;
+        let options: WebSocket.IClientOptions = Object.assign({}, this.configs.wsOptions);
+        options.headers = Object.assign({}, options.headers, this.configs.headers, auth.headers);
+        this.log('info', 'connecting', {url: this.url});
+        this.socket = new WebSocket(this.url, this.configs.protocols, options);
+        this.socket.addEventListener('open', () => this.startHeartbeat());
+        this.socket.on('pong', () => this.handlePong());
         this.handleOnMessage();
         this.handleOnClose();
     }
 
+    /**
+     * starts sending heartbeats if heartbeatInterval is set
+     */
+    private startHeartbeat() {
+        this.stopHeartbeat();
+        if (this.configs.heartbeatInterval > 0) {
+            this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.configs.heartbeatInterval);
+        }
+    }
+
+    /**
+     * stops heartbeat timers
+     */
+    private stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.heartbeatTimeoutTimer);
+        this.heartbeatTimer = null;
+        this.heartbeatTimeoutTimer = null;
+    }
+
+    /**
+     * sends ping frame or ping command and terminates connection if it is not answered in time
+     */
+    private sendHeartbeat() {
+        if (this.heartbeatTimeoutTimer) {
+            return;
+        }
+        this.pingSentAt = Date.now();
+        if (this.configs.heartbeatMode == 'command') {
+            this.writeCommand({type: 'ping', time: this.pingSentAt});
+        } else {
+            try {
+                this.socket.ping();
+            } catch (e) {
+                // socket is not open, close event will follow
+            }
+        }
+        this.heartbeatTimeoutTimer = setTimeout(() => {
+            this.heartbeatTimeoutTimer = null;
+            this.online = false;
+            this.log('warn', 'heartbeat timeout', {url: this.url, timeout: this.configs.heartbeatTimeout});
+            this.emit('heartbeatTimeout', this);
+            this.socket.terminate();
+        }, this.configs.heartbeatTimeout);
+    }
+
+    /**
+     * handles pong frame or pong command and updates latency
+     */
+    private handlePong() {
+        if (!this.heartbeatTimeoutTimer) {
+            return;
+        }
+        clearTimeout(this.heartbeatTimeoutTimer);
+        this.heartbeatTimeoutTimer = null;
+        this.latency = Date.now() - this.pingSentAt;
+        this.emit('latency', this.latency);
+    }
+
 
     /**
      * handles incoming messages
@@ -80,9 +420,14 @@ export class Syncs {
         this.socket.addEventListener('message', (message: any) => {
 
             let parsedMessage = this.parseMessage(message.data);
+            let type = !parsedMessage ? 'invalid' : parsedMessage.command ? parsedMessage.type : 'message';
+            this.metrics.recordInbound(type, getFrameSize(message.data));
             if (parsedMessage) {
                 if (parsedMessage.command && parsedMessage.type) {
-                    this.handleCommand(parsedMessage);
+                    this.interceptors.run('inbound', parsedMessage, command => {
+                        this.handleCommand(command);
+                        return true;
+                    });
                 } else {
                     for (let listener of this.onMessageListeners) {
                         listener(parsedMessage);
@@ -96,74 +441,178 @@ export class Syncs {
      * handle connection close
      */
     private handleOnClose() {
-        this.socket.addEventListener("error",()=>{});
-        this.socket.addEventListener('close', () => {
-            this.online = false;
-            if (this.handledClose || !this.configs.autoReconnect) {
-                this.handledClose = false;
-                if (this.onCloseListener) {
-                    this.onCloseListener(this);
-                }
+        this.socket.addEventListener("error", (error: Error) => {
+            this.log('error', 'socket error', {url: this.url, error: error && error.message});
+            this.emitError(error);
+        });
+        this.socket.addEventListener('close', () => this.handleClose());
+    }
+
+    /**
+     * reconnects or closes client after connection is closed or failed
+     */
+    private handleClose() {
+        this.online = false;
+        this.stopHeartbeat();
+        this.outboundQueue.restore(this.flowControl.drain());
+        let reconnect = !this.handledClose && this.configs.autoReconnect &&
+            (this.configs.maxReconnectAttempts <= 0 || this.reconnectAttempts < this.configs.maxReconnectAttempts);
+        this.handlePendingRmiCallsOnClose(!reconnect);
+        if (!reconnect) {
+            this.forEachScope(scope => this.rejectPendingFetches(scope));
+            this.handledClose = false;
+            this.reconnectAttempts = 0;
+            this.log('info', 'closed', {url: this.url});
+            this.stopMetrics();
+            this.emit('close', this);
+        }
+        else {
+            if (this.reconnectAttempts == 0) {
+                this.log('info', 'disconnected', {url: this.url});
+                this.emit('disconnect', this);
             }
-            else {
-                if (this.onDisconnectListener) {
-                    this.onDisconnectListener(this);
-                }
-                setTimeout(() => {
-                    if(!this.online){
-                        this.connect();
-                    }
-                }, this.configs.reconnectDelay);
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * emits error event if it has listener
+     * @param {Error} error
+     */
+    private emitError(error: Error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
 
+    /**
+     * schedules next reconnect attempt
+     * servers are rotated after each failed attempt
+     */
+    private scheduleReconnect() {
+        this.reconnectAttempts++;
+        if (this.reconnectAttempts > 1) {
+            this.pathIndex = (this.pathIndex + 1) % this.paths.length;
+        }
+        let delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.metrics.recordReconnect();
+        this.log('info', 'reconnecting', {attempt: this.reconnectAttempts, delay: delay, url: this.url});
+        this.emit('reconnecting', {attempt: this.reconnectAttempts, delay: delay, url: this.url});
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if(!this.online){
+                this.connect();
             }
-        });
+        }, delay);
+    }
+
+    /**
+     * calculates exponential backoff delay of reconnect attempt with jitter
+     * @param {number} attempt
+     * @return {number}
+     */
+    private getReconnectDelay(attempt: number): number {
+        let delay = this.configs.reconnectDelay * Math.pow(this.configs.reconnectMultiplier, attempt - 1);
+        if (this.configs.reconnectJitter > 0) {
+            delay = delay * (1 + this.configs.reconnectJitter * (Math.random() * 2 - 1));
+        }
+        return Math.max(0, Math.round(Math.min(delay, this.configs.maxReconnectDelay)));
+    }
+
+    /**
+     * returns path of current Syncs server
+     * @return {string}
+     */
+    public get url(): string {
+        return this.paths[this.pathIndex];
     }
 
     /**
      * disconnect from Syncs server
      */
     public disconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+            this.reconnectAttempts = 0;
+            this.clearQueue();
+            this.handlePendingRmiCallsOnClose(true);
+            this.forEachScope(scope => this.rejectPendingFetches(scope));
+            this.log('info', 'closed', {url: this.url});
+            this.stopMetrics();
+            this.emit('close', this);
+            return;
+        }
         this.handledClose = true;
-        this.socket.close();
+        if (!this.connecting && this.socket) {
+            this.socket.close();
+        }
     }
 
     /**
      * handle open event
-     * open event will emit on first connection
-     * @param { (server: Syncs) => {} } callback
+     * open event will emit on each established connection
+     * same as on('open', callback)
+     * @param { (server: Syncs, resumed: boolean) => {} } callback
      */
-    public onOpen(callback: (server: Syncs) => void) {
-        this.onOpenListener = callback;
+    public onOpen(callback: (server: Syncs, resumed?: boolean) => void) {
+        this.on('open', callback);
     }
 
     /**
      * handle close event
      * this event will emit on close
+     * same as on('close', callback)
      * @param { (server: Syncs) => {} } callback
      */
     public onClose(callback: (server: Syncs) =>void) {
-        this.onCloseListener = callback;
+        this.on('close', callback);
     }
 
     /**
      * handle disconnect event
      * this event will emit on unhandled close
+     * same as on('disconnect', callback)
      * @param { (server: Syncs) => {} } callback
      */
     public onDisconnect(callback: (server: Syncs) => void){
-        this.onDisconnectListener = callback;
+        this.on('disconnect', callback);
+    }
+
+    /**
+     * removes lifecycle event listener
+     * @param {string} event
+     * @param {Function} listener
+     * @return {this}
+     */
+    public off(event: string, listener: (...args: any[]) => void): this {
+        return this.removeListener(event, listener);
+    }
+
+    /**
+     * emits open events after handshake is completed
+     * @param {boolean} resumed
+     */
+    private emitOpen(resumed: boolean) {
+        this.reconnectAttempts = 0;
+        this.reconcileRestoredState(resumed);
+        this.log('info', 'connected', {url: this.url, socketId: this.socketId, resumed: resumed});
+        this.emit('open', this, resumed);
+        if (resumed) {
+            this.emit('reconnect', this);
+        }
     }
 
 
     /**
      * parse incoming message
      * returns parsed object or false if message is not valid
-     * @param {string} message
+     * @param {string|Buffer} message
      * @return {any|false}
      */
-    private parseMessage(message: string): (false|any) {
+    private parseMessage(message: string | Buffer): (false|any) {
         try {
-            return JSON.parse(decodeURI(message));
+            return this.configs.codec.decode(message);
         } catch (e) {
             return false;
         }
@@ -174,22 +623,37 @@ export class Syncs {
      * @param {any} command
      */
     private handleCommand(command: any) {
-        if (this.configs.debug) {
-            console.log("\u2B07",'INPUT COMMAND:', command);
-        }
+        this.log('debug', 'input command', {command: command});
         switch (command.type) {
             case 'getSocketId':
-                this.sendSocketId();
-                if (this.socketId && this.onOpenListener) {
-                    this.onOpenListener(this);
+                if (this.authCredentials !== undefined) {
+                    this.writeCommand({type: 'authenticate', credentials: this.authCredentials});
+                } else {
+                    this.reportSocketId();
                 }
                 break;
+            case 'authenticated':
+                this.reportSocketId();
+                break;
+            case 'authenticate-error':
+                this.log('error', 'authentication failed', {url: this.url, error: command.error});
+                this.emitError(new AuthenticationError(command.error));
+                this.disconnect();
+                break;
             case 'setSocketId':
                 this.socketId = command.socketId;
+                this.schedulePersist();
+                this.groupMemberships.forEach(group => this.leaveGroup(group));
                 this.online = true;
-                if (this.onOpenListener) {
-                    this.onOpenListener(this);
-                }
+                this.flushQueue();
+                this.emit('socketId', this.socketId);
+                this.emitOpen(false);
+                break;
+            case 'groupJoin':
+                this.joinGroup(command.group);
+                break;
+            case 'groupLeave':
+                this.leaveGroup(command.group);
                 break;
             case 'event':
                 this.handleEvent(command);
@@ -197,12 +661,88 @@ export class Syncs {
             case 'sync':
                 this.handleSync(command);
                 break;
+            case 'sync-ack':
+                let scope = this.getCommandScope(command);
+                if (scope && command.scope == 'CLIENT' && scope.clientSharedObjects.has(command.name)) {
+                    scope.clientSharedObjects.get(command.name).acknowledge(command);
+                }
+                break;
             case 'rmi':
                 this.handleRMICommand(command);
                 break;
             case 'rmi-result':
                 this.handleRmiResultCommand(command);
                 break;
+            case 'rmi-stream':
+                this.handleRmiStreamCommand(command);
+                break;
+            case 'rmi-cancel':
+                this.handleRmiCancelCommand(command);
+                break;
+            case 'ping':
+                this.writeCommand({type: 'pong', time: command.time});
+                break;
+            case 'pong':
+                this.handlePong();
+                break;
+            default:
+                this.handleCustomCommand(command);
+        }
+    }
+
+    /**
+     * passes command which is not handled by Syncs client to registered command handlers
+     * @param {any} command
+     */
+    private handleCustomCommand(command: any) {
+        let handlers = this.commandHandlers.get(command.type);
+        if (handlers) {
+            handlers.forEach(handler => handler(command));
+        }
+    }
+
+    /**
+     * registers handler of a custom command type
+     * built-in command types are not passed to handlers, use an inbound interceptor to observe them
+     * returns a function which removes the handler
+     * @param {string} type
+     * @param {(command: any) => void} handler
+     * @return {() => void}
+     */
+    public onCommand(type: string, handler: (command: any) => void): () => void {
+        if (!this.commandHandlers.has(type)) {
+            this.commandHandlers.set(type, new Set());
+        }
+        this.commandHandlers.get(type).add(handler);
+        return () => {
+            let handlers = this.commandHandlers.get(type);
+            if (handlers) {
+                handlers.delete(handler);
+                if (handlers.size == 0) {
+                    this.commandHandlers.delete(type);
+                }
+            }
+        };
+    }
+
+    /**
+     * adds interceptor to inbound and outbound command pipeline
+     * interceptors run in order of registration for both directions
+     * returns a function which removes the interceptor
+     * @param {SyncsInterceptor} interceptor
+     * @return {() => void}
+     */
+    public use(interceptor: SyncsInterceptor): () => void {
+        return this.interceptors.add(interceptor);
+    }
+
+    /**
+     * reports socketId and emits open if previous session is resumed
+     */
+    private reportSocketId() {
+        this.sendSocketId();
+        if (this.socketId) {
+            this.emitOpen(true);
         }
     }
 
@@ -211,10 +751,11 @@ export class Syncs {
      */
     private sendSocketId() {
         if (this.socketId) {
-            this.sendCommand({type: 'reportSocketId', socketId: this.socketId});
+            this.writeCommand({type: 'reportSocketId', socketId: this.socketId});
             this.online = true;
+            this.flushQueue();
         } else {
-            this.sendCommand({type: 'reportSocketId', socketId: null})
+            this.writeCommand({type: 'reportSocketId', socketId: null})
         }
     }
 
@@ -226,490 +767,3011 @@ export class Syncs {
         this.onMessageListeners.push(listener);
     }
 
+    /**
+     * returns async iterator of incoming messages
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncIterableIterator<any>}
+     */
+    public messages(options: SyncsStreamOptions = {}): AsyncIterableIterator<any> {
+        return this.createMessageBuffer(options);
+    }
+
+    /**
+     * returns object mode Readable stream of incoming messages
+     * @param {SyncsStreamOptions} options
+     * @return {Readable}
+     */
+    public messageStream(options: SyncsStreamOptions = {}): Readable {
+        return createBufferStream(this.createMessageBuffer(options), options.highWaterMark || 16);
+    }
+
+    /**
+     * creates buffer which is filled by incoming messages
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncBuffer<any>}
+     */
+    private createMessageBuffer(options: SyncsStreamOptions): AsyncBuffer<any> {
+        let listener = (message: any) => buffer.push(message);
+        let buffer = new AsyncBuffer<any>(options.bufferSize || 100, () => {
+            this.onMessageListeners = this.onMessageListeners.filter(item => item !== listener);
+        });
+        this.onMessageListeners.push(listener);
+        return buffer;
+    }
+
     /**
      * send message to Syncs server
+     * message will be queued while client is offline
+     * returns false if message is dropped or socket buffer is above highWaterMark
+     * message is still sent in the second case and 'drain' event is emitted when buffer is drained
      * @param {any} message
      * @return {boolean}
      */
     public send(message: any):boolean {
-        if(this.online){
-            this.socket.send(encodeURI(JSON.stringify(message)));
-            return true;
-        }
-        return false;
-
+        return this.dispatch(message, false, null) && !this.flowControl.checkBackpressure();
     }
 
     /**
      * send message as syncs-command
+     * command will be queued while client is offline
+     * returns false if command is dropped
      * @param {any} message
      * @return {boolean}
      */
     public sendCommand(message: any):boolean {
-        try {
-            message.command = true;
-            if (this.configs.debug) {
-                console.log("\u2B06", 'OUTPUT COMMAND:', message);
-            }
-            this.socket.send(encodeURI(JSON.stringify(message)));
-            return true;
-        } catch(e){
-            return false;
-        }
+        message.command = true;
+        return this.dispatch(message, true, this.getCoalesceKey(message));
     }
 
-
-    /**************  EVENT LAYER ******************/
-
     /**
-     * handle incomming event
-     * @param {any} command
+     * queues message while client is offline, otherwise passes it to flow control
+     * which writes it now or when socket buffer and rate limits allow
+     * @param {any} message
+     * @param {boolean} command
+     * @param {string} coalesceKey
+     * @return {boolean}
      */
-    private handleEvent(command: any) {
-        if (command.event) {
-            let subscription = this.subscriptions.get(command.event);
-            if (subscription) {
-                subscription.forEach((callback) => {
-                    callback(command.data);
-                })
-            }
+    private dispatch(message: any, command: boolean, coalesceKey: string): boolean {
+        if (!this.isWritable()) {
+            return this.outboundQueue.push(message, command, coalesceKey);
         }
+        let pushed = this.flowControl.push({message: message, command: command, coalesceKey: coalesceKey, expireAt: 0});
+        this.flowControl.pump();
+        return pushed;
     }
 
     /**
-     * subscribe on incoming event
-     * @param {string} event
-     * @param { (data: any) => void } callback
+     * resolves when socket buffer is below highWaterMark
+     * @return {Promise<void>}
      */
-    public subscribe(event: string, callback: (data: any) => void) {
-        if (!this.subscriptions.has(event)) {
-            this.subscriptions.set(event, new Set());
+    public drained(): Promise<void> {
+        if (!this.flowControl.checkBackpressure()) {
+            return Promise.resolve();
         }
-        this.subscriptions.get(event).add(callback);
-
+        return new Promise<void>(resolve => this.once('drain', () => resolve()));
     }
 
     /**
-     * un-subscribe from event
-     * @param {string} event
-     * @param {callback: (data: any) => void} callback
+     * returns number of messages waiting in outbound queue
+     * messages waiting for socket buffer or rate limits are counted too
+     * @return {number}
      */
-    public unSubscribe(event: string, callback: (data: any) => void) {
-        if (!this.subscriptions.has(event)) {
-            return;
-        }
-        this.subscriptions.get(event).delete(callback);
+    public get queueLength(): number {
+        return this.outboundQueue.length + this.flowControl.length;
     }
 
     /**
-     * publish an event to Syncs Server
-     * @param {string} event
-     * @param {any} data
-     * @return {boolean}
+     * removes all messages waiting in outbound queue
      */
-    public publish(event: string, data: any):boolean {
-       return this.sendCommand({type: 'event', event: event.toString(), data: data})
+    public clearQueue() {
+        this.outboundQueue.clear();
+        this.flowControl.drain().forEach(item => this.onQueueDrop(item));
     }
 
-
-    /**************  SHARED OBJECT LAYER ******************/
-
     /**
-     * handle shared object sync command
-     * @param command
+     * checks if messages can be written to socket
+     * @return {boolean}
      */
-    private handleSync(command: any) {
-        switch (command.scope) {
-            case 'GLOBAL':
-                this.setGlobalSharedObject(command);
-                break;
-            case 'GROUP':
-                this.setGroupSharedObject(command);
-                break;
-            case 'CLIENT':
-                this.setClientSharedObject(command);
-                break;
-        }
+    private isWritable(): boolean {
+        return this.online && this.socket && this.socket.readyState == WebSocket.OPEN;
     }
 
     /**
-     * changes global shared object value
-     * @param command
+     * writes message to socket
+     * returns false if socket is not open, message which can't be encoded is dropped and reported by error event
+     * @param {any} message
+     * @return {boolean}
      */
-    private setGlobalSharedObject(command: any) {
-        if (this.globalSharedObjects.has(command.name)) {
-            this.globalSharedObjects.get(command.name).setProperties(command.values);
+    private write(message: any): boolean {
+        let frame: any;
+        try {
+            frame = this.configs.codec.encode(message);
+        } catch (error) {
+            this.log('error', 'message encoding failed', {type: message.command ? message.type : 'message', error: error.message});
+            this.onQueueDrop({message: message, command: !!message.command, coalesceKey: null, expireAt: 0});
+            this.emitError(error);
+            return true;
         }
-        else {
-            this.globalSharedObjects.set(command.name, SharedObject.globalLevel(command.name, {}, this));
+        try {
+            if (this.socket.readyState != WebSocket.OPEN) {
+                return false;
+            }
+            this.socket.send(frame, () => this.flowControl.flushed());
+            this.metrics.recordOutbound(message.command ? message.type : 'message', getFrameSize(frame));
+            return true;
+        } catch (e) {
+            return false;
         }
     }
 
     /**
-     * changes group shared object value
-     * @param command
+     * passes syncs-command through outbound interceptors and writes it to socket without queueing
+     * commands which are delayed by interceptors are queued if socket is not writable when they are released
+     * @param {any} message
+     * @return {boolean}
      */
-    private setGroupSharedObject(command: any) {
-        if (!this.groupSharedObjects.has(command.group)) {
-            this.groupSharedObjects.set(command.group, new Map());
-        }
-        let group = this.groupSharedObjects.get(command.group);
-        if (group.has(command.name)) {
-            group.get(command.name).setProperties(command.values);
-        }
-        else {
-            group.set(command.name, SharedObject.groupLevel(command.name, {}, this));
-        }
+    private writeCommand(message: any): boolean {
+        message.command = true;
+        return this.interceptors.run('outbound', message, (command, delayed) => {
+            let written = this.writeInterceptedCommand(command);
+            if (!written && delayed) {
+                this.outboundQueue.push(command, true, this.getCoalesceKey(command), true);
+            }
+            return written;
+        });
     }
 
     /**
-     * changes client shared object value
-     * @param command
+     * writes queued message, commands which are passed outbound interceptors before are not intercepted again
+     * @param {QueuedMessage} item
+     * @return {boolean}
      */
-    private setClientSharedObject(command: any) {
-        if (this.clientSharedObjects.has(command.name)) {
-            this.clientSharedObjects.get(command.name).setProperties(command.values);
-        }
-        else {
-            this.clientSharedObjects.set(command.name, SharedObject.clientLevel(command.name, {}, this));
+    private writeItem(item: QueuedMessage): boolean {
+        if (!item.command) {
+            return this.write(item.message);
         }
+        return item.intercepted ? this.writeInterceptedCommand(item.message) : this.writeCommand(item.message);
     }
 
     /**
-     * returns client level shared object
-     * @param {string} name
-     * @return {any}
+     * writes syncs-command which is passed outbound interceptors to socket
+     * @param {any} message
+     * @return {boolean}
      */
-    public shared(name: string) {
-        if (!this.clientSharedObjects.has(name)) {
-            this.clientSharedObjects.set(name, SharedObject.clientLevel(name, {}, this));
+    private writeInterceptedCommand(message: any): boolean {
+        this.log('debug', 'output command', {command: message});
+        let written = this.write(message);
+        if (written && message.type == 'rmi' && this.pendingRmiCalls.has(message.id)) {
+            this.pendingRmiCalls.get(message.id).sent = true;
         }
-        return this.clientSharedObjects.get(name).data;
-
+        return written;
     }
 
     /**
-     * return group level shared object
-     * @param {string} group
-     * @param {string} name
-     * @return {any}
+     * returns queue key of commands which only last value should be replayed
+     * client level shared object writes to the same key and events with latestOnly rate limit are coalesced
+     * @param {any} message
+     * @return {string}
      */
-    public groupShared(group: string, name: string) {
-        if (!this.groupSharedObjects.has(group)) {
-            this.groupSharedObjects.set(group, new Map());
+    private getCoalesceKey(message: any): string {
+        if (message.type == 'sync' && message.scope == 'CLIENT' && message.key !== undefined) {
+            return JSON.stringify(['sync', message.namespace || null, message.name, message.key]);
         }
-        if (!this.groupSharedObjects.get(group).has(name)) {
-            this.groupSharedObjects.get(group).set(name, SharedObject.groupLevel(name, {}, this));
+        let rateLimit = message.type == 'event' ? this.configs.rateLimits[message.event] : null;
+        if (rateLimit && rateLimit.latestOnly) {
+            return JSON.stringify(['event', message.namespace || null, message.event]);
         }
-        return this.groupSharedObjects.get(group).get(name).data;
+        return null;
     }
 
     /**
-     *
-     * @param name
-     * @return {any}
+     * handles messages which are dropped from outbound queue
+     * @param {QueuedMessage} item
      */
-    public globalShared(name: string) {
-        if (!this.globalSharedObjects.has(name)) {
-            this.globalSharedObjects.set(name, SharedObject.globalLevel(name, {}, this));
+    private onQueueDrop(item: QueuedMessage) {
+        if (item.command && item.message.type == 'rmi') {
+            let call = this.settleRmiCall(item.message.id);
+            if (call) {
+                call.reject(new RmiDroppedError(call.name, call.id));
+            }
         }
-        return this.globalSharedObjects.get(name).data;
     }
 
-    /**************  RMI LAYER ******************/
+    /**
+     * sends queued messages after connection is established
+     * messages are written by priority of flow control and in order inside each priority
+     */
+    private flushQueue() {
+        this.outboundQueue.drain().forEach(item => this.flowControl.push(item));
+        this.flowControl.pump();
+    }
+
+
+    /**************  EVENT LAYER ******************/
 
     /**
-     * returns functions array
-     * functions array is the place to initialize rmi functions
-     * @return {any}
+     * handle incomming event
+     * @param {any} command
      */
-    public get functions() {
-        if (!this.functionProxy) {
-            this.functionProxy = new Proxy(this.rmiFunctions, {
-                set: (target, property, value, receiver) => {
-                    this.rmiFunctions[property] = value;
-                    return true;
-                }
-            })
+    private handleEvent(command: any) {
+        let scope = this.getCommandScope(command);
+        if (!scope) {
+            return;
+        }
+        try {
+            this.assertValid(scope.eventSchemas.get(command.event), command.data, `event ${command.event}`);
+        } catch (error) {
+            this.reportInvalidCommand(error, command);
+            return;
+        }
+        if (command.event) {
+            let span = this.startSpan({kind: 'event-receive', name: command.event, trace: command.trace});
+            try {
+                this.withTrace(span.context, () => this.dispatchEvent(scope, command));
+            } catch (error) {
+                span.end(error);
+                throw error;
+            }
+            span.end();
         }
-        return this.functionProxy;
     }
 
     /**
-     * handle incoming rmi command
-     * @param {string} command
+     * passes incoming event to exact and pattern subscribers of scope
+     * @param {SyncsScope} scope
+     * @param {any} command
      */
-    private  handleRMICommand(command: any) {
-        if (command.name in this.functions) {
-            let result = this.functions[command.name].call(this, ...command.args);
-            if (result instanceof Promise) {
-                result.then(promiseResult => {
-                    this.sendRmiResultCommand(promiseResult, null, command.id);
-                }).catch(error => {
-                    this.sendRmiResultCommand(null, 'function error', command.id);
+    private dispatchEvent(scope: SyncsScope, command: any) {
+        let subscription = scope.subscriptions.get(command.event);
+        if (subscription) {
+            subscription.forEach((callback) => {
+                callback(command.data, command.event);
+            })
+        }
+        scope.patternSubscriptions.forEach(patternSubscription => {
+            patternSubscription.matcher.lastIndex = 0;
+            if (patternSubscription.matcher.test(command.event)) {
+                patternSubscription.callbacks.forEach((callback) => {
+                    callback(command.data, command.event);
                 })
-            } else {
-                this.sendRmiResultCommand(result, null, command.id);
             }
-        } else {
-            this.sendRmiResultCommand(null, 'undefined', command.id);
-        }
+        });
     }
 
     /**
-     * returns an remote functions object
-     * remote functions object is the place to call remote functions
-     * called method will return Promise to get result from remote
-     * @return {any}
+     * subscribe on incoming event
+     * event can be an exact name, a pattern or a regular expression
+     * in patterns '*' matches one dot separated segment and trailing '>' matches one or more segments
+     * e.g. 'room.*.chat' or 'room.>'
+     * callback receives event data and concrete event name
+     * returns a function which un-subscribes the callback
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     * @return {() => void}
      */
-    public get remote(): any {
-        return new Proxy({}, {
-            get: (target, property, receiver) => this.onGetRemoteMethod(target, property, receiver)
-        })
+    public subscribe<K extends keyof C['events']>(event: K, callback: (data: C['events'][K], event?: string) => void): () => void;
+    public subscribe(event: string | RegExp, callback: (data: any, event?: string) => void): () => void;
+    public subscribe(event: string | RegExp, callback: (data: any, event?: string) => void): () => void {
+        return this.addSubscription(this.rootScope, event, callback);
     }
 
     /**
-     * handles proxy get for remote method invocation
-     * @param target
-     * @param property
-     * @param receiver
-     * @return {()=>Promise<T>}
+     * subscribe on incoming event for first emit only
+     * returns a function which un-subscribes the callback
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     * @return {() => void}
      */
-    private onGetRemoteMethod(target: any, property: any, receiver: any) {
-        let client = this;
-        let id = this.generateRMIRequestUID();
-        return function () {
-            let args: any = [];
-            for (let name in arguments) {
-                args[name] = arguments[name];
-            }
-            client.sendRMICommand(property, args, id);
-
-            return new Promise((resolve, reject) => {
-                client.rmiResultCallbacks.set(id, [resolve, reject]);
-            });
-        }
+    public subscribeOnce<K extends keyof C['events']>(event: K, callback: (data: C['events'][K], event?: string) => void): () => void;
+    public subscribeOnce(event: string | RegExp, callback: (data: any, event?: string) => void): () => void;
+    public subscribeOnce(event: string | RegExp, callback: (data: any, event?: string) => void): () => void {
+        return this.addOnceSubscription(this.rootScope, event, callback);
     }
 
     /**
-     * generates request id for RMI
-     * @return {string}
+     * un-subscribe from event
+     * @param {string|RegExp} event
+     * @param {callback: (data: any, event: string) => void} callback
      */
-    private generateRMIRequestUID() {
-        function s4() {
-            return Math.floor((1 + Math.random()) * 0x10000)
-                .toString(16)
-                .substring(1);
-        }
-
-        return s4() + s4() + '-' + s4() + '-' + s4() + '-' +
-            s4() + '-' + s4() + s4() + s4();
+    public unSubscribe(event: string | RegExp, callback: (data: any, event?: string) => void) {
+        this.removeSubscription(this.rootScope, event, callback);
     }
 
     /**
-     * handles rmi-result command
-     * @param command
+     * adds subscription to scope and returns a function which removes it
+     * @param {SyncsScope} scope
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     * @return {() => void}
      */
-    private handleRmiResultCommand(command: any) {
-        let callbacks = this.rmiResultCallbacks.get(command.id);
-        if (command.error) {
-            callbacks[1].call(this, command.error);
-        } else {
-            callbacks[0].call(this, command.result);
-        }
-        this.rmiResultCallbacks.delete(command.id);
+    private addSubscription(scope: SyncsScope, event: string | RegExp, callback: (data: any, event?: string) => void): () => void {
+        this.getSubscriptionCallbacks(scope, event, true).add(callback);
+        return () => this.removeSubscription(scope, event, callback);
     }
 
     /**
-     * sends rmi calling command to Syncs server;
-     * @param {string} name
-     * @param {any} args
-     * @param {string} id
+     * adds subscription to scope which is removed after first emit
+     * @param {SyncsScope} scope
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
+     * @return {() => void}
      */
-    private sendRMICommand(name: string, args: any, id: string) {
-
-        this.sendCommand({
-            type: "rmi",
-            id: id,
-            name: name,
-            args: args
-        });
+    private addOnceSubscription(scope: SyncsScope, event: string | RegExp, callback: (data: any, event?: string) => void): () => void {
+        let wrapper: any = (data: any, eventName: string) => {
+            this.removeSubscription(scope, event, wrapper);
+            callback(data, eventName);
+        };
+        wrapper.listener = callback;
+        return this.addSubscription(scope, event, wrapper);
     }
 
     /**
-     * send rmi-result command to SyncsServer
-     * @param result
-     * @param error
-     * @param id
+     * removes subscription from scope
+     * @param {SyncsScope} scope
+     * @param {string|RegExp} event
+     * @param { (data: any, event: string) => void } callback
      */
-    private sendRmiResultCommand(result: any, error: any, id: string) {
-        this.sendCommand({
-            type: "rmi-result",
-            id: id,
-            result: result,
-            error: error
+    private removeSubscription(scope: SyncsScope, event: string | RegExp, callback: (data: any, event?: string) => void) {
+        let callbacks = this.getSubscriptionCallbacks(scope, event, false);
+        if (!callbacks) {
+            return;
+        }
+        callbacks.forEach(subscribed => {
+            if (subscribed === callback || (<any>subscribed).listener === callback) {
+                callbacks.delete(subscribed);
+            }
         });
-    }
-
-
-
-
-}
-
-/**
- * Shared Object Class to create Shared Object functionality
- */
-class SharedObject {
-    public name: string;
-    public rawData: any = function (event: any) {};
-    private type: string;
-    private readOnly = true;
-    private proxy: any;
-    private server: Syncs;
-    private onChangeHandler: (event: {values: any, by: string}) => void;
-
-    private constructor() {
-
+        if (callbacks.size == 0) {
+            scope.subscriptions.delete(<string>event);
+            scope.patternSubscriptions.delete(this.getPatternKey(event));
+        }
     }
 
     /**
-     * creates a global level synced object
-     * @param name
-     * @param initializeData
-     * @param server
-     * @return {SharedObject}
+     * returns callbacks set of an event, pattern or regular expression in scope
+     * @param {SyncsScope} scope
+     * @param {string|RegExp} event
+     * @param {boolean} create creates empty set if event has no subscription
+     * @return {Set}
      */
-    public static globalLevel(name: string, initializeData: any, server: Syncs): SharedObject {
-        let result = new SharedObject();
-        result.name = name;
-        result.type = 'GLOBAL';
-        result.readOnly = true;
-        result.rawData.data = initializeData;
-        result.server = server;
-        result.initialize();
-        return result;
+    private getSubscriptionCallbacks(scope: SyncsScope, event: string | RegExp, create: boolean): Set<(data: any, event?: string) => void> {
+        if (typeof event == 'string' && !this.isEventPattern(event)) {
+            if (create && !scope.subscriptions.has(event)) {
+                scope.subscriptions.set(event, new Set());
+            }
+            return scope.subscriptions.get(event);
+        }
+        let key = this.getPatternKey(event);
+        if (create && !scope.patternSubscriptions.has(key)) {
+            scope.patternSubscriptions.set(key, {
+                matcher: event instanceof RegExp ? event : this.compileEventPattern(event),
+                callbacks: new Set()
+            });
+        }
+        let patternSubscription = scope.patternSubscriptions.get(key);
+        return patternSubscription ? patternSubscription.callbacks : undefined;
     }
 
     /**
-     * creates group level synced object
-     * @param name
-     * @param initializeData
-     * @param server
-     * @return {SharedObject}
+     * checks if event name contains wildcard segments
+     * @param {string} event
+     * @return {boolean}
      */
-    public static groupLevel(name: string, initializeData = {}, server: Syncs): SharedObject {
-        let result = new SharedObject();
-        result.name = name;
-        result.type = 'GROUP';
-        result.readOnly = true;
-        result.rawData.data = initializeData;
-        result.server = server;
-        result.initialize();
-
-        return result;
+    private isEventPattern(event: string): boolean {
+        let segments = event.split('.');
+        return segments.indexOf('*') >= 0 || segments[segments.length - 1] == '>';
     }
 
     /**
-     * creates client level synced object
-     * @param name
-     * @param initializeData
-     * @param server
-     * @return {SharedObject}
+     * returns key of pattern subscription
+     * @param {string|RegExp} event
+     * @return {string}
      */
-    public static clientLevel(name: string, initializeData = {}, server: Syncs): SharedObject {
-        let result = new SharedObject();
-        result.name = name;
-        result.type = 'CLIENT';
-        result.readOnly = false;
-        result.rawData.data = initializeData;
-        result.server = server;
-        result.initialize();
-
-        return result;
+    private getPatternKey(event: string | RegExp): string {
+        return event instanceof RegExp ? 'regexp:' + event.toString() : 'pattern:' + event;
     }
 
     /**
-     * initialize proxy object to observe changes in raw data
+     * converts wildcard event pattern to regular expression
+     * @param {string} pattern
+     * @return {RegExp}
      */
-    private initialize() {
-        this.proxy = new Proxy(function () {
-        }, this.getHandler());
+    private compileEventPattern(pattern: string): RegExp {
+        let segments = pattern.split('.').map((segment, index, all) => {
+            if (segment == '*') {
+                return '[^.]+';
+            }
+            if (segment == '>' && index == all.length - 1) {
+                return '.+';
+            }
+            return segment.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&');
+        });
+        return new RegExp('^' + segments.join('\\.') + '$');
     }
 
     /**
-     * returns handlers for proxy
-     * @return {{get: ((target:any, property:any, receiver:any)=>any|string|number), set: ((target:any, property:any, value:any, receiver:any)=>boolean), apply: ((target:any, thisArg:any, argumentsList:any)=>any)}}
+     * returns async iterator of incoming event data
+     * event can be a name, pattern or regular expression like subscribe
+     * @param {string|RegExp} event
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncIterableIterator<any>}
      */
-    private getHandler() {
-        return {
-            get: (target: any, property: any, receiver: any) => this.onGet(target, property, receiver),
-            set: (target: any, property: any, value: any, receiver: any) => this.onSet(target, property, value, receiver),
-            apply: (target: any, thisArg: any, argumentsList: any) => this.onApply(target, thisArg, argumentsList)
-        }
+    public events(event: string | RegExp, options: SyncsStreamOptions = {}): AsyncIterableIterator<any> {
+        return this.createEventBuffer(event, options);
     }
 
-    private onGet(target: any, property: any, receiver: any) {
-        if (property in this.rawData.data) {
-            return this.rawData.data[property];
-        }
-        return null;
+    /**
+     * returns object mode Readable stream of incoming event data
+     * destroying the stream un-subscribes from event
+     * @param {string|RegExp} event
+     * @param {SyncsStreamOptions} options
+     * @return {Readable}
+     */
+    public eventStream(event: string | RegExp, options: SyncsStreamOptions = {}): Readable {
+        return createBufferStream(this.createEventBuffer(event, options), options.highWaterMark || 16);
     }
 
-    private onApply(target: any, thisArg: any, argumentsList: any) {
-        if (argumentsList.length > 0) {
-            this.onChangeHandler = argumentsList[0];
-        }
-        return this.proxy;
+    /**
+     * creates buffer which is filled by event subscription
+     * @param {string|RegExp} event
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncBuffer<any>}
+     */
+    private createEventBuffer(event: string | RegExp, options: SyncsStreamOptions): AsyncBuffer<any> {
+        let unSubscribe: () => void;
+        let buffer = new AsyncBuffer<any>(options.bufferSize || 100, () => unSubscribe());
+        unSubscribe = this.subscribe(event, (data, eventName) => {
+            buffer.push(options.includeEvent ? {event: eventName, data: data} : data);
+        });
+        return buffer;
     }
 
-    private onSet(target: any, property: any, value: any, receiver: any) {
-        if (this.readOnly) {
-            return false;
-        }
-        this.rawData.data[property] = value;
-        if (this.onChangeHandler) {
-            let values: any = {};
-            values[property] = value;
-            this.onChangeHandler({values: values, by: 'client'});
-        }
-        this.sendSyncCommand(property);
-        return true;
+    /**
+     * registers schema of event data
+     * incoming events with invalid data are dropped and publishing invalid data throws ValidationError
+     * null schema removes registered schema
+     * @param {string} event
+     * @param {SyncsSchema} schema
+     */
+    public eventSchema(event: string, schema: SyncsSchema) {
+        setSchema(this.rootScope.eventSchemas, event, schema);
     }
 
     /**
-     * sends syncs command to Syncs Server
-     * @param property
+     * publish an event to Syncs Server
+     * throws ValidationError if data does not match event schema
+     * returns false if event is dropped or socket buffer is above highWaterMark
+     * event is still sent in the second case and 'drain' event is emitted when buffer is drained
+     * @param {string} event
+     * @param {any} data
+     * @return {boolean}
      */
-    sendSyncCommand(property: any) {
-        let command = {
-            type: 'sync',
-            name: this.name,
-            scope: 'CLIENT',
-            key: property,
-            value: this.rawData.data[property]
-        };
-        this.server.sendCommand(command);
+    public publish<K extends keyof C['events']>(event: K, data: C['events'][K]):boolean {
+       return this.publishEvent(this.rootScope, event, data);
     }
 
     /**
-     * returns abstracted shared object as a proxy
-     * @return {any}
+     * publishes event of scope
+     * @param {SyncsScope} scope
+     * @param {string} event
+     * @param {any} data
+     * @return {boolean}
      */
-    public get data(): any {
-        return this.proxy;
+    private publishEvent(scope: SyncsScope, event: string, data: any): boolean {
+       this.assertValid(scope.eventSchemas.get(event.toString()), data, `event ${event}`);
+       let span = this.startSpan({kind: 'event-publish', name: event.toString(), trace: this.activeTrace});
+       let command: any = setNamespace({type: 'event', event: event.toString(), data: data}, scope.name);
+       if (span.context !== undefined) {
+           command.trace = span.context;
+       }
+       let sent = this.sendCommand(command);
+       span.end();
+       return sent && !this.flowControl.checkBackpressure();
     }
 
-    /**
+
+    /**************  SHARED OBJECT LAYER ******************/
+
+    /**
+     * handle shared object sync command
+     * @param command
+     */
+    private handleSync(command: any) {
+        let scope = this.getCommandScope(command);
+        if (!scope) {
+            return;
+        }
+        try {
+            switch (command.scope) {
+                case 'GLOBAL':
+                    this.setGlobalSharedObject(scope, command);
+                    break;
+                case 'GROUP':
+                    this.setGroupSharedObject(scope, command);
+                    break;
+                case 'CLIENT':
+                    this.setClientSharedObject(scope, command);
+                    break;
+            }
+        } catch (error) {
+            if (!(error instanceof ValidationError)) {
+                throw error;
+            }
+            this.reportInvalidCommand(error, command);
+        }
+    }
+
+    /**
+     * registers schema of shared object data
+     * schema is applied to global, group and client level shared objects with this name
+     * incoming changes which make data invalid are rejected and client changes throw ValidationError
+     * null schema removes registered schema
+     * @param {string} name
+     * @param {SyncsSchema} schema
+     */
+    public sharedSchema(name: string, schema: SyncsSchema) {
+        setSchema(this.rootScope.sharedSchemas, name, schema);
+    }
+
+    /**
+     * returns validator of shared object data which uses current schema of shared object in scope
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @return {(data: any) => void}
+     */
+    private getSharedValidator(scope: SyncsScope, name: string): (data: any) => void {
+        return data => this.assertValid(scope.sharedSchemas.get(name), data, `shared object ${name}`);
+    }
+
+    /**
+     * changes global shared object value
+     * @param {SyncsScope} scope
+     * @param command
+     */
+    private setGlobalSharedObject(scope: SyncsScope, command: any) {
+        if (!scope.globalSharedObjects.has(command.name)) {
+            scope.globalSharedObjects.set(command.name, this.createGlobalSharedObject(scope, command.name));
+        }
+        scope.globalSharedObjects.get(command.name).applySync(command);
+    }
+
+    /**
+     * changes group shared object value
+     * @param {SyncsScope} scope
+     * @param command
+     */
+    private setGroupSharedObject(scope: SyncsScope, command: any) {
+        if (!scope.groupSharedObjects.has(command.group)) {
+            scope.groupSharedObjects.set(command.group, new Map());
+        }
+        let group = scope.groupSharedObjects.get(command.group);
+        if (!group.has(command.name)) {
+            group.set(command.name, this.createGroupSharedObject(scope, command.name, command.group));
+        }
+        group.get(command.name).applySync(command);
+    }
+
+    /**
+     * changes client shared object value
+     * @param {SyncsScope} scope
+     * @param command
+     */
+    private setClientSharedObject(scope: SyncsScope, command: any) {
+        if (!scope.clientSharedObjects.has(command.name)) {
+            scope.clientSharedObjects.set(command.name, this.createClientSharedObject(scope, command.name));
+        }
+        scope.clientSharedObjects.get(command.name).applySync(command);
+    }
+
+    /**
+     * returns client level shared object
+     * @param {string} name
+     * @return {SharedObjectProxy}
+     */
+    public shared<K extends keyof C['shared']>(name: K): SharedObjectProxy<C['shared'][K]> {
+        return this.getClientSharedObject(this.rootScope, name).data;
+    }
+
+    /**
+     * returns client level shared object of scope
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @return {SharedObject}
+     */
+    private getClientSharedObject(scope: SyncsScope, name: string): SharedObject {
+        if (!scope.clientSharedObjects.has(name)) {
+            scope.clientSharedObjects.set(name, this.createClientSharedObject(scope, name));
+        }
+        return scope.clientSharedObjects.get(name);
+    }
+
+    /**
+     * creates client level shared object with client batching and persistence settings
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @param {any} data initial data
+     * @return {SharedObject}
+     */
+    private createClientSharedObject(scope: SyncsScope, name: string, data: any = {}): SharedObject {
+        let sharedObject = SharedObject.clientLevel(name, data, this);
+        sharedObject.namespace = scope.name;
+        sharedObject.fetchTimeout = this.configs.fetchTimeout;
+        sharedObject.validator = this.getSharedValidator(scope, name);
+        sharedObject.autoBatch = this.configs.autoBatch;
+        sharedObject.versioning = this.configs.conflictDetection;
+        sharedObject.conflictHandler = conflict => this.resolveConflict(conflict);
+        if (this.configs.storage) {
+            sharedObject.addChangeListener(() => this.schedulePersist());
+        }
+        if (this.transactionDepth > 0) {
+            sharedObject.beginBatch();
+        }
+        return sharedObject;
+    }
+
+    /**
+     * creates global level shared object
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @return {SharedObject}
+     */
+    private createGlobalSharedObject(scope: SyncsScope, name: string): SharedObject {
+        let sharedObject = SharedObject.globalLevel(name, {}, this);
+        sharedObject.namespace = scope.name;
+        sharedObject.fetchTimeout = this.configs.fetchTimeout;
+        sharedObject.validator = this.getSharedValidator(scope, name);
+        return sharedObject;
+    }
+
+    /**
+     * creates group level shared object
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @param {string} group
+     * @return {SharedObject}
+     */
+    private createGroupSharedObject(scope: SyncsScope, name: string, group: string): SharedObject {
+        let sharedObject = SharedObject.groupLevel(name, {}, this, group);
+        sharedObject.namespace = scope.name;
+        sharedObject.fetchTimeout = this.configs.fetchTimeout;
+        sharedObject.validator = this.getSharedValidator(scope, name);
+        return sharedObject;
+    }
+
+    /**
+     * resolves conflict of client level shared object with configured policy
+     * and emits conflict event
+     * @param {SharedObjectConflict} conflict
+     * @return {any} resolved value
+     */
+    private resolveConflict(conflict: SharedObjectConflict): any {
+        let policy = this.configs.conflictPolicy;
+        let resolved: any;
+        if (typeof policy == 'function') {
+            resolved = policy(conflict);
+        } else if (policy == 'server-wins') {
+            resolved = conflict.serverValue;
+        } else if (policy == 'client-wins') {
+            resolved = conflict.localValue;
+        } else {
+            let clientIsLater = conflict.serverTime !== undefined && conflict.localTime > conflict.serverTime;
+            resolved = clientIsLater ? conflict.localValue : conflict.serverValue;
+        }
+        this.emit('conflict', Object.assign({resolved: resolved}, conflict));
+        return resolved;
+    }
+
+    /**
+     * runs callback and sends all client level shared object changes made inside it
+     * as one sync command per shared object with one change event
+     * if callback returns a Promise, changes are sent after it settles
+     * @param {() => any} callback
+     * @return {any} callback result
+     */
+    public transaction(callback: () => any): any {
+        this.transactionDepth++;
+        this.forEachScope(scope => scope.clientSharedObjects.forEach(sharedObject => sharedObject.beginBatch()));
+        return runBatched(callback, () => {
+            this.transactionDepth--;
+            this.forEachScope(scope => scope.clientSharedObjects.forEach(sharedObject => sharedObject.endBatch()));
+        });
+    }
+
+    /**
+     * return group level shared object
+     * @param {string} group
+     * @param {string} name
+     * @return {SharedObjectProxy}
+     */
+    public groupShared<K extends keyof C['groupShared']>(group: string, name: K): SharedObjectProxy<C['groupShared'][K]> {
+        return this.getGroupSharedObject(this.rootScope, group, name).data;
+    }
+
+    /**
+     * returns group level shared object of scope and fetches it when it is created
+     * @param {SyncsScope} scope
+     * @param {string} group
+     * @param {string} name
+     * @return {SharedObject}
+     */
+    private getGroupSharedObject(scope: SyncsScope, group: string, name: string): SharedObject {
+        if (!scope.groupSharedObjects.has(group)) {
+            scope.groupSharedObjects.set(group, new Map());
+        }
+        if (!scope.groupSharedObjects.get(group).has(name)) {
+            let sharedObject = this.createGroupSharedObject(scope, name, group);
+            scope.groupSharedObjects.get(group).set(name, sharedObject);
+            if (this.configs.fetchShared) {
+                this.fetchSharedObject(sharedObject);
+            }
+        }
+        return scope.groupSharedObjects.get(group).get(name);
+    }
+
+    /**
+     * returns global level shared object
+     * @param name
+     * @return {SharedObjectProxy}
+     */
+    public globalShared<K extends keyof C['globalShared']>(name: K): SharedObjectProxy<C['globalShared'][K]> {
+        return this.getGlobalSharedObject(this.rootScope, name).data;
+    }
+
+    /**
+     * returns global level shared object of scope and fetches it when it is created
+     * @param {SyncsScope} scope
+     * @param {string} name
+     * @return {SharedObject}
+     */
+    private getGlobalSharedObject(scope: SyncsScope, name: string): SharedObject {
+        if (!scope.globalSharedObjects.has(name)) {
+            let sharedObject = this.createGlobalSharedObject(scope, name);
+            scope.globalSharedObjects.set(name, sharedObject);
+            if (this.configs.fetchShared) {
+                this.fetchSharedObject(sharedObject);
+            }
+        }
+        return scope.globalSharedObjects.get(name);
+    }
+
+    /**
+     * requests snapshot of shared object, failed request is only logged because $ready still waits for data
+     * @param {SharedObject} sharedObject
+     */
+    private fetchSharedObject(sharedObject: SharedObject) {
+        sharedObject.fetch().catch(error => this.log('warn', 'fetch failed', {name: sharedObject.name, error: error.message}));
+    }
+
+    /**
+     * returns groups which client is member of
+     * @return {ReadonlySet<string>}
+     */
+    public get groups(): ReadonlySet<string> {
+        return new Set(this.groupMemberships);
+    }
+
+    /**
+     * handle group join event
+     * same as on('groupJoin', callback)
+     * @param { (group: string) => void } callback
+     */
+    public onGroupJoin(callback: (group: string) => void) {
+        this.on('groupJoin', callback);
+    }
+
+    /**
+     * handle group leave event
+     * same as on('groupLeave', callback)
+     * @param { (group: string) => void } callback
+     */
+    public onGroupLeave(callback: (group: string) => void) {
+        this.on('groupLeave', callback);
+    }
+
+    /**
+     * adds group membership and refreshes stale shared objects of group
+     * @param {string} group
+     */
+    private joinGroup(group: string) {
+        if (this.groupMemberships.has(group)) {
+            return;
+        }
+        this.groupMemberships.add(group);
+        this.forEachScope(scope => {
+            if (scope.groupSharedObjects.has(group)) {
+                scope.groupSharedObjects.get(group).forEach(sharedObject => {
+                    if (sharedObject.stale) {
+                        sharedObject.stale = false;
+                        if (this.configs.fetchShared) {
+                            this.fetchSharedObject(sharedObject);
+                        }
+                    }
+                });
+            }
+        });
+        this.emit('groupJoin', group);
+    }
+
+    /**
+     * removes group membership and releases or marks shared objects of group
+     * @param {string} group
+     */
+    private leaveGroup(group: string) {
+        if (!this.groupMemberships.has(group)) {
+            return;
+        }
+        this.groupMemberships.delete(group);
+        this.forEachScope(scope => {
+            if (scope.groupSharedObjects.has(group)) {
+                scope.groupSharedObjects.get(group).forEach(sharedObject => sharedObject.stale = true);
+                if (this.configs.groupCleanup == 'remove') {
+                    scope.groupSharedObjects.delete(group);
+                }
+            }
+        });
+        this.emit('groupLeave', group);
+    }
+
+    /**************  PERSISTENCE LAYER ******************/
+
+    /**
+     * restores socketId and client level shared objects from storage
+     * asynchronous storages are awaited before connecting
+     */
+    private restoreState() {
+        if (!this.configs.storage) {
+            return;
+        }
+        let state: SyncsState | Promise<SyncsState>;
+        try {
+            state = this.configs.storage.load();
+        } catch (e) {
+            this.emitError(e);
+            return;
+        }
+        if (state && typeof (<any>state).then == 'function') {
+            this.restorePromise = (<Promise<SyncsState>>state).then(loaded => {
+                this.applyState(loaded);
+            }, error => {
+                this.emitError(error);
+            }).then(() => {
+                this.restorePromise = null;
+            });
+        } else {
+            this.applyState(<SyncsState>state);
+        }
+    }
+
+    /**
+     * applies restored state
+     * shared objects which are already created are not changed
+     * @param {SyncsState} state
+     */
+    private applyState(state: SyncsState) {
+        if (!state) {
+            return;
+        }
+        if (state.socketId && !this.socketId) {
+            this.socketId = state.socketId;
+        }
+        this.restoreSharedObjects(this.rootScope, state.shared || {});
+        let namespaces = state.namespaces || {};
+        for (let namespace of Object.keys(namespaces)) {
+            this.restoreSharedObjects(this.getNamespaceScope(namespace), namespaces[namespace]);
+        }
+    }
+
+    /**
+     * creates restored client level shared objects of scope
+     * @param {SyncsScope} scope
+     * @param {{[name: string]: any}} shared
+     */
+    private restoreSharedObjects(scope: SyncsScope, shared: {[name: string]: any}) {
+        for (let name of Object.keys(shared)) {
+            if (!scope.clientSharedObjects.has(name)) {
+                scope.clientSharedObjects.set(name, this.createClientSharedObject(scope, name, shared[name]));
+            }
+        }
+    }
+
+    /**
+     * sends persisted client level shared objects to server if a new session is started
+     * server of a new session does not have client state
+     * @param {boolean} resumed
+     */
+    private reconcileRestoredState(resumed: boolean) {
+        if (this.configs.storage && !resumed) {
+            this.forEachScope(scope => scope.clientSharedObjects.forEach(sharedObject => sharedObject.sendSnapshot()));
+        }
+    }
+
+    /**
+     * schedules persisting state after persistDelay
+     */
+    private schedulePersist() {
+        if (!this.configs.storage || this.persistTimer) {
+            return;
+        }
+        this.persistTimer = setTimeout(() => this.persist(), this.configs.persistDelay);
+    }
+
+    /**
+     * persists socketId and client level shared objects immediately
+     * @return {Promise<void>}
+     */
+    public persist(): Promise<void> {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        if (!this.configs.storage) {
+            return Promise.resolve();
+        }
+        let state: SyncsState = {socketId: this.socketId, shared: getSharedData(this.rootScope)};
+        if (this.namespaceScopes.size > 0) {
+            state.namespaces = {};
+            this.namespaceScopes.forEach((scope, namespace) => state.namespaces[namespace] = getSharedData(scope));
+        }
+        try {
+            return Promise.resolve(this.configs.storage.save(state)).catch(error => this.emitError(error));
+        } catch (e) {
+            this.emitError(e);
+            return Promise.resolve();
+        }
+    }
+
+    /**************  RMI LAYER ******************/
+
+    /**
+     * returns functions array
+     * functions array is the place to initialize rmi functions
+     * @return {any}
+     */
+    public get functions(): C['functions'] {
+        return this.getFunctions(this.rootScope);
+    }
+
+    /**
+     * returns functions object of scope
+     * @param {SyncsScope} scope
+     * @return {any}
+     */
+    private getFunctions(scope: SyncsScope): any {
+        if (!scope.functionProxy) {
+            scope.functionProxy = new Proxy(scope.rmiFunctions, {
+                set: (target, property, value, receiver) => {
+                    scope.rmiFunctions[property] = value;
+                    return true;
+                }
+            })
+        }
+        return scope.functionProxy;
+    }
+
+    /**
+     * registers schema of rmi function arguments
+     * schema validates arguments array, calls with invalid arguments are rejected with ValidationError
+     * null schema removes registered schema
+     * @param {string} name
+     * @param {SyncsSchema} schema
+     */
+    public functionSchema(name: string, schema: SyncsSchema) {
+        setSchema(this.rootScope.functionSchemas, name, schema);
+    }
+
+    /**
+     * handle incoming rmi command
+     * @param {string} command
+     */
+    private  handleRMICommand(command: any) {
+        let scope = this.getCommandScope(command);
+        let namespace = command.namespace || null;
+        if (!scope || !Object.prototype.hasOwnProperty.call(scope.rmiFunctions, command.name) ||
+            typeof scope.rmiFunctions[command.name] != 'function') {
+            let error = new RemoteMethodNotFoundError(command.name, command.id);
+            this.sendRmiResultCommand(null, toErrorEnvelope(error, false), command.id, namespace);
+            return;
+        }
+        try {
+            this.assertValid(scope.functionSchemas.get(command.name), command.args || [], `arguments of ${command.name}`);
+        } catch (error) {
+            this.reportInvalidCommand(error, command);
+            this.sendRmiResultCommand(null, toErrorEnvelope(error, false), command.id, namespace);
+            return;
+        }
+        let span = this.startSpan({kind: 'rmi-handle', name: command.name, id: command.id, trace: command.trace});
+        this.handlerSpans.set(command.id, span);
+        let result: any;
+        try {
+            result = this.withTrace(span.context, () => scope.rmiFunctions[command.name].call(scope.view || this, ...(command.args || [])));
+        } catch (error) {
+            this.sendRmiResultCommand(null, toErrorEnvelope(error, this.configs.debug), command.id, namespace);
+            return;
+        }
+        if (result instanceof Promise) {
+            result.then(promiseResult => {
+                this.sendRmiResult(command, promiseResult);
+            }, error => {
+                this.sendRmiResultCommand(null, toErrorEnvelope(error, this.configs.debug), command.id, namespace);
+            });
+        } else {
+            this.sendRmiResult(command, result);
+        }
+    }
+
+    /**
+     * sends result of local function
+     * async iterable results are streamed if caller requested a stream, otherwise they are sent as an array
+     * @param command incoming rmi command
+     * @param result
+     */
+    private sendRmiResult(command: any, result: any) {
+        if (!isAsyncIterable(result)) {
+            this.sendRmiResultCommand(result, null, command.id, command.namespace || null);
+            return;
+        }
+        let iterator: AsyncIterator<any> = result[Symbol.asyncIterator]();
+        let namespace = command.namespace || null;
+        if (command.stream) {
+            this.rmiStreams.set(command.id, {iterator: iterator, name: command.name, namespace: namespace});
+            this.streamRmiResult(command.id, iterator, namespace);
+        } else {
+            this.collectRmiResult(command.id, iterator, [], namespace);
+        }
+    }
+
+    /**
+     * sends values of iterator with rmi-stream commands until it ends, fails or is cancelled
+     * @param {string} id
+     * @param {AsyncIterator<any>} iterator
+     * @param {string} namespace
+     */
+    private streamRmiResult(id: string, iterator: AsyncIterator<any>, namespace: string) {
+        iterator.next().then(item => {
+            if (!this.rmiStreams.has(id)) {
+                return;
+            }
+            if (item.done) {
+                this.rmiStreams.delete(id);
+                this.sendCommand(setNamespace({type: 'rmi-stream', id: id, done: true}, namespace));
+                this.endHandlerSpan(id);
+                return;
+            }
+            this.sendCommand(setNamespace({type: 'rmi-stream', id: id, value: item.value}, namespace));
+            this.streamRmiResult(id, iterator, namespace);
+        }, error => {
+            if (!this.rmiStreams.has(id)) {
+                return;
+            }
+            this.rmiStreams.delete(id);
+            this.sendCommand(setNamespace({type: 'rmi-stream', id: id, done: true, error: toErrorEnvelope(error, this.configs.debug)}, namespace));
+            this.endHandlerSpan(id, error);
+        });
+    }
+
+    /**
+     * collects values of iterator and sends them as one rmi-result
+     * @param {string} id
+     * @param {AsyncIterator<any>} iterator
+     * @param {any[]} values
+     * @param {string} namespace
+     */
+    private collectRmiResult(id: string, iterator: AsyncIterator<any>, values: any[], namespace: string) {
+        iterator.next().then(item => {
+            if (item.done) {
+                this.sendRmiResultCommand(values, null, id, namespace);
+                return;
+            }
+            values.push(item.value);
+            this.collectRmiResult(id, iterator, values, namespace);
+        }, error => {
+            this.sendRmiResultCommand(null, toErrorEnvelope(error, this.configs.debug), id, namespace);
+        });
+    }
+
+    /**
+     * stops streaming result of local function which is cancelled by Syncs server
+     * @param command
+     */
+    private handleRmiCancelCommand(command: any) {
+        this.stopRmiStream(command.id);
+    }
+
+    /**
+     * stops streaming result of local function
+     * returns false if stream is already finished
+     * @param {string} id
+     * @return {boolean}
+     */
+    private stopRmiStream(id: string): boolean {
+        let stream = this.rmiStreams.get(id);
+        if (!stream) {
+            return false;
+        }
+        this.rmiStreams.delete(id);
+        this.endHandlerSpan(id);
+        if (typeof stream.iterator.return == 'function') {
+            Promise.resolve(stream.iterator.return()).catch(() => {});
+        }
+        return true;
+    }
+
+    /**
+     * returns an remote functions object
+     * remote functions object is the place to call remote functions
+     * called method will return Promise to get result from remote
+     * @return {SyncsRemote}
+     */
+    public get remote(): SyncsRemote<C['remote']> {
+        return this.createRemoteProxy({}, null);
+    }
+
+    /**
+     * returns remote functions object which calls remote methods with streamed results
+     * called method returns an async iterator of values sent by rmi-stream commands
+     * stopping iteration cancels the call
+     * @return {any}
+     */
+    public get remoteStream(): any {
+        return this.createRemoteProxy({stream: true}, null);
+    }
+
+    /**
+     * creates remote functions object which calls remote methods with given options
+     * remote.withOptions(options) returns a new remote object with merged options
+     * @param {RmiCallOptions} options
+     * @param {string} namespace namespace of called methods, null for root scope
+     * @return {any}
+     */
+    private createRemoteProxy(options: RmiCallOptions, namespace: string): any {
+        return new Proxy({}, {
+            get: (target, property, receiver) => {
+                if (property == 'withOptions') {
+                    return (callOptions: RmiCallOptions) => this.createRemoteProxy(Object.assign({}, options, callOptions), namespace);
+                }
+                return this.onGetRemoteMethod(property, options, namespace);
+            }
+        })
+    }
+
+    /**
+     * handles proxy get for remote method invocation
+     * @param property
+     * @param {RmiCallOptions} options
+     * @param {string} namespace
+     * @return {()=>Promise<T>}
+     */
+    private onGetRemoteMethod(property: any, options: RmiCallOptions, namespace: string) {
+        let client = this;
+        return function () {
+            let args: any = [];
+            for (let name in arguments) {
+                args[name] = arguments[name];
+            }
+            if (options.stream) {
+                return client.callRemoteStream(property, args, options, namespace);
+            }
+            return client.callRemoteMethod(property, args, options, namespace);
+        }
+    }
+
+    /**
+     * calls remote method and returns promise of result
+     * @param {string} name
+     * @param {any} args
+     * @param {RmiCallOptions} options
+     * @param {string} namespace
+     * @return {Promise<any>}
+     */
+    private callRemoteMethod(name: string, args: any, options: RmiCallOptions, namespace: string): Promise<any> {
+        let id = this.generateRMIRequestUID();
+        if (options.signal && options.signal.aborted) {
+            return Promise.reject(new RmiCancelledError(name, id));
+        }
+        let promise = new Promise((resolve, reject) => {
+            this.addPendingRmiCall(id, name, args, options, resolve, reject).namespace = namespace;
+        });
+        this.sendRMICommand(name, args, id);
+        return promise;
+    }
+
+    /**
+     * calls remote method and returns async iterator of streamed results
+     * timeout is restarted by every received value and streamed calls are never retried
+     * @param {string} name
+     * @param {any} args
+     * @param {RmiCallOptions} options
+     * @param {string} namespace
+     * @return {AsyncIterableIterator<any>}
+     */
+    private callRemoteStream(name: string, args: any, options: RmiCallOptions, namespace: string): AsyncIterableIterator<any> {
+        let id = this.generateRMIRequestUID();
+        let buffer = new AsyncBuffer<any>(Infinity, () => this.cancelRmiCall(id, new RmiCancelledError(name, id)));
+        if (options.signal && options.signal.aborted) {
+            buffer.end(new RmiCancelledError(name, id));
+            return buffer;
+        }
+        let call = this.addPendingRmiCall(id, name, args, Object.assign({}, options, {idempotent: false}), () => buffer.end(), error => buffer.end(error));
+        call.stream = buffer;
+        call.namespace = namespace;
+        this.sendRMICommand(name, args, id, true);
+        return buffer;
+    }
+
+    /**
+     * registers pending rmi call with its timeout and abort signal
+     * @param {string} id
+     * @param {string} name
+     * @param {any} args
+     * @param {RmiCallOptions} options
+     * @param {(result: any) => void} resolve
+     * @param {(error: any) => void} reject
+     * @return {PendingRmiCall}
+     */
+    private addPendingRmiCall(id: string, name: string, args: any, options: RmiCallOptions, resolve: (result: any) => void, reject: (error: any) => void): PendingRmiCall {
+        let signal = options.signal;
+        let startedAt = Date.now();
+        let span = this.startSpan({kind: 'rmi-call', name: name, id: id, trace: this.activeTrace});
+        let finish = (error?: Error) => {
+            this.metrics.recordRmiResult(Date.now() - startedAt, !!error);
+            span.end(error);
+        };
+        this.metrics.recordRmiCall();
+        let call: PendingRmiCall = {
+            id: id,
+            name: name,
+            args: args,
+            idempotent: !!options.idempotent,
+            sent: false,
+            resolve: result => {
+                finish();
+                resolve(result);
+            },
+            reject: error => {
+                finish(error);
+                reject(error);
+            },
+            trace: span.context,
+            timer: null,
+            timeout: options.timeout == undefined ? this.configs.rmiTimeout : options.timeout,
+            signal: signal,
+            abortListener: null,
+            stream: null,
+            namespace: null
+        };
+        this.startRmiTimer(call);
+        if (signal) {
+            call.abortListener = () => this.cancelRmiCall(id, new RmiCancelledError(name, id));
+            signal.addEventListener('abort', call.abortListener);
+        }
+        this.pendingRmiCalls.set(id, call);
+        return call;
+    }
+
+    /**
+     * starts or restarts timeout of pending rmi call
+     * @param {PendingRmiCall} call
+     */
+    private startRmiTimer(call: PendingRmiCall) {
+        if (call.timer) {
+            clearTimeout(call.timer);
+        }
+        if (call.timeout > 0) {
+            call.timer = setTimeout(() => {
+                this.cancelRmiCall(call.id, new RmiTimeoutError(call.name, call.id, call.timeout));
+            }, call.timeout);
+        }
+    }
+
+    /**
+     * rejects pending rmi call and notifies Syncs server to cancel it
+     * @param {string} id
+     * @param {Error} error
+     */
+    private cancelRmiCall(id: string, error: Error) {
+        let call = this.settleRmiCall(id);
+        if (!call) {
+            return;
+        }
+        if (call.sent) {
+            this.sendCommand(setNamespace({type: 'rmi-cancel', id: id}, call.namespace));
+        }
+        call.reject(error);
+    }
+
+    /**
+     * removes pending rmi call and releases its timer and abort listener
+     * returns removed call or undefined if call is not pending
+     * @param {string} id
+     * @return {PendingRmiCall}
+     */
+    private settleRmiCall(id: string): PendingRmiCall {
+        let call = this.pendingRmiCalls.get(id);
+        if (!call) {
+            return undefined;
+        }
+        this.pendingRmiCalls.delete(id);
+        if (call.timer) {
+            clearTimeout(call.timer);
+        }
+        if (call.signal && call.abortListener) {
+            call.signal.removeEventListener('abort', call.abortListener);
+        }
+        return call;
+    }
+
+    /**
+     * rejects rmi calls which are sent over closed connection
+     * idempotent calls will be sent again after reconnect
+     * if client will not reconnect all calls are rejected and their queued commands are removed
+     * @param {boolean} closed true if client will not reconnect
+     */
+    private handlePendingRmiCallsOnClose(closed: boolean) {
+        if (closed) {
+            this.outboundQueue.remove(item => item.command && item.message.type == 'rmi' && this.pendingRmiCalls.has(item.message.id));
+        }
+        this.pendingRmiCalls.forEach(call => {
+            if (!call.sent && !closed) {
+                return;
+            }
+            if (call.idempotent && !closed) {
+                call.sent = false;
+                this.sendRMICommand(call.name, call.args, call.id);
+            } else {
+                this.settleRmiCall(call.id);
+                call.reject(new RmiDisconnectedError(call.name, call.id));
+            }
+        });
+    }
+
+    /**
+     * generates request id for RMI
+     * @return {string}
+     */
+    private generateRMIRequestUID() {
+        function s4() {
+            return Math.floor((1 + Math.random()) * 0x10000)
+                .toString(16)
+                .substring(1);
+        }
+
+        return s4() + s4() + '-' + s4() + '-' + s4() + '-' +
+            s4() + '-' + s4() + s4() + s4();
+    }
+
+    /**
+     * handles rmi-result command
+     * @param command
+     */
+    private handleRmiResultCommand(command: any) {
+        let call = this.settleRmiCall(command.id);
+        if (!call) {
+            this.log('debug', 'ignored rmi result', {id: command.id});
+            return;
+        }
+        if (command.error) {
+            call.reject.call(this, fromErrorEnvelope(command.error, call.name, call.id));
+        } else {
+            if (call.stream && command.result !== undefined && command.result !== null) {
+                call.stream.push(command.result);
+            }
+            call.resolve.call(this, command.result);
+        }
+    }
+
+    /**
+     * handles rmi-stream command which carries a value of streamed result or end of stream
+     * @param command
+     */
+    private handleRmiStreamCommand(command: any) {
+        let call = this.pendingRmiCalls.get(command.id);
+        if (!call || !call.stream) {
+            this.log('debug', 'ignored rmi stream', {id: command.id});
+            return;
+        }
+        if (!command.done) {
+            this.startRmiTimer(call);
+            call.stream.push(command.value);
+            return;
+        }
+        this.settleRmiCall(command.id);
+        if (command.error) {
+            call.reject(fromErrorEnvelope(command.error, call.name, call.id));
+        } else {
+            call.resolve(undefined);
+        }
+    }
+
+    /**
+     * sends rmi calling command to Syncs server;
+     * @param {string} name
+     * @param {any} args
+     * @param {string} id
+     */
+    private sendRMICommand(name: string, args: any, id: string, stream = false) {
+        let command: any = {
+            type: "rmi",
+            id: id,
+            name: name,
+            args: args
+        };
+        if (stream) {
+            command.stream = true;
+        }
+        let call = this.pendingRmiCalls.get(id);
+        if (call && call.trace !== undefined) {
+            command.trace = call.trace;
+        }
+        if (call) {
+            setNamespace(command, call.namespace);
+        }
+        this.sendCommand(command);
+    }
+
+    /**
+     * send rmi-result command to SyncsServer
+     * @param result
+     * @param error
+     * @param id
+     * @param {string} namespace
+     */
+    private sendRmiResultCommand(result: any, error: any, id: string, namespace: string) {
+        this.sendCommand(setNamespace({
+            type: "rmi-result",
+            id: id,
+            result: result,
+            error: error
+        }, namespace));
+        this.endHandlerSpan(id, error ? fromErrorEnvelope(error, null, id) : undefined);
+    }
+
+    /**
+     * ends span of local function call
+     * @param {string} id
+     * @param {Error} error
+     */
+    private endHandlerSpan(id: string, error?: Error) {
+        let span = this.handlerSpans.get(id);
+        if (span) {
+            this.handlerSpans.delete(id);
+            span.end(error);
+        }
+    }
+
+    /**************  NAMESPACE LAYER ******************/
+
+    /**
+     * returns view of a namespace
+     * events, shared objects and functions of namespace are separated from root scope and other namespaces
+     * commands of namespace are sent over the same connection with namespace property
+     * same view is returned for a name until it is closed
+     * @param {string} name
+     * @return {SyncsNamespace}
+     */
+    public namespace<N extends SyncsContract = SyncsContract>(name: string): SyncsNamespace<N> {
+        let scope = this.getNamespaceScope(name);
+        if (!scope.view) {
+            scope.view = this.createNamespaceView(scope);
+        }
+        return scope.view;
+    }
+
+    /**
+     * returns names of open namespaces
+     * @return {string[]}
+     */
+    public get namespaces(): string[] {
+        return Array.from(this.namespaceScopes.keys());
+    }
+
+    /**
+     * returns scope of namespace, scope is created if namespace is not open
+     * @param {string} name
+     * @return {SyncsScope}
+     */
+    private getNamespaceScope(name: string): SyncsScope {
+        if (!this.namespaceScopes.has(name)) {
+            this.namespaceScopes.set(name, new SyncsScope(name));
+        }
+        return this.namespaceScopes.get(name);
+    }
+
+    /**
+     * returns scope of incoming command
+     * returns null if namespace of command is not open
+     * @param {any} command
+     * @return {SyncsScope}
+     */
+    private getCommandScope(command: any): SyncsScope {
+        if (command.namespace === undefined || command.namespace === null) {
+            return this.rootScope;
+        }
+        let scope = this.namespaceScopes.get(command.namespace);
+        if (!scope) {
+            this.log('debug', 'ignored command of closed namespace', {command: command});
+            return null;
+        }
+        return scope;
+    }
+
+    /**
+     * calls callback for root scope and each namespace scope
+     * @param {(scope: SyncsScope) => void} callback
+     */
+    private forEachScope(callback: (scope: SyncsScope) => void) {
+        callback(this.rootScope);
+        this.namespaceScopes.forEach(callback);
+    }
+
+    /**
+     * rejects fetch requests of shared objects in scope which are waiting for snapshot
+     * @param {SyncsScope} scope
+     */
+    private rejectPendingFetches(scope: SyncsScope) {
+        let reject = (sharedObject: SharedObject) => sharedObject.rejectFetches(
+            new SharedFetchError(sharedObject.name, 'FETCH_CLOSED', `client closed before snapshot of '${sharedObject.name}' is received`)
+        );
+        scope.clientSharedObjects.forEach(reject);
+        scope.globalSharedObjects.forEach(reject);
+        scope.groupSharedObjects.forEach(group => group.forEach(reject));
+    }
+
+    /**
+     * creates view which runs Syncs methods in scope of namespace
+     * @param {SyncsScope} scope
+     * @return {SyncsNamespace}
+     */
+    private createNamespaceView(scope: SyncsScope): SyncsNamespace<any> {
+        return {
+            name: scope.name,
+            subscribe: (event: string | RegExp, callback: (data: any, event?: string) => void) => this.addSubscription(scope, event, callback),
+            subscribeOnce: (event: string | RegExp, callback: (data: any, event?: string) => void) => this.addOnceSubscription(scope, event, callback),
+            unSubscribe: (event: string | RegExp, callback: (data: any, event?: string) => void) => this.removeSubscription(scope, event, callback),
+            publish: (event: string, data: any) => this.publishEvent(scope, event, data),
+            eventSchema: (event: string, schema: SyncsSchema) => setSchema(scope.eventSchemas, event, schema),
+            shared: (name: string) => this.getClientSharedObject(scope, name).data,
+            groupShared: (group: string, name: string) => this.getGroupSharedObject(scope, group, name).data,
+            globalShared: (name: string) => this.getGlobalSharedObject(scope, name).data,
+            sharedSchema: (name: string, schema: SyncsSchema) => setSchema(scope.sharedSchemas, name, schema),
+            functions: this.getFunctions(scope),
+            functionSchema: (name: string, schema: SyncsSchema) => setSchema(scope.functionSchemas, name, schema),
+            remote: this.createRemoteProxy({}, scope.name),
+            remoteStream: this.createRemoteProxy({stream: true}, scope.name),
+            close: () => this.closeNamespace(scope)
+        };
+    }
+
+    /**
+     * closes namespace and releases its subscriptions, shared objects and functions
+     * pending remote calls of namespace are rejected with RmiCancelledError
+     * and streamed results of its functions are ended with RmiCancelledError
+     * @param {SyncsScope} scope
+     */
+    private closeNamespace(scope: SyncsScope) {
+        if (this.namespaceScopes.get(scope.name) !== scope) {
+            return;
+        }
+        this.namespaceScopes.delete(scope.name);
+        scope.subscriptions.clear();
+        scope.patternSubscriptions.clear();
+        this.rejectPendingFetches(scope);
+        scope.clientSharedObjects.forEach(sharedObject => sharedObject.stale = true);
+        scope.globalSharedObjects.forEach(sharedObject => sharedObject.stale = true);
+        scope.groupSharedObjects.forEach(group => group.forEach(sharedObject => sharedObject.stale = true));
+        scope.clientSharedObjects.clear();
+        scope.globalSharedObjects.clear();
+        scope.groupSharedObjects.clear();
+        Object.keys(scope.rmiFunctions).forEach(name => delete scope.rmiFunctions[name]);
+        this.pendingRmiCalls.forEach(call => {
+            if (call.namespace === scope.name) {
+                this.cancelRmiCall(call.id, new RmiCancelledError(call.name, call.id));
+            }
+        });
+        this.rmiStreams.forEach((stream, id) => {
+            if (stream.namespace === scope.name && this.stopRmiStream(id)) {
+                let error = toErrorEnvelope(new RmiCancelledError(stream.name, id), false);
+                this.sendCommand(setNamespace({type: 'rmi-stream', id: id, done: true, error: error}, scope.name));
+            }
+        });
+        this.schedulePersist();
+    }
+
+}
+
+/**
+ * Subscriptions, schemas, shared objects and functions of root scope or a namespace
+ */
+class SyncsScope {
+    public name: string;
+    public subscriptions: Map<string, Set<(data: any, event?: string) => void>> = new Map();
+    public patternSubscriptions: Map<string, PatternSubscription> = new Map();
+    public eventSchemas: Map<string, SyncsSchema> = new Map();
+    public sharedSchemas: Map<string, SyncsSchema> = new Map();
+    public functionSchemas: Map<string, SyncsSchema> = new Map();
+    public globalSharedObjects: Map<string, SharedObject> = new Map();
+    public groupSharedObjects: Map<string, Map<string, SharedObject>> = new Map();
+    public clientSharedObjects: Map<string, SharedObject> = new Map();
+    public rmiFunctions: any = {};
+    public functionProxy: any = null;
+    public view: SyncsNamespace<any> = null;
+
+    /**
+     * @constructor
+     * @param {string} name namespace name, null for root scope
+     */
+    constructor(name: string) {
+        this.name = name;
+    }
+}
+
+/**
+ * adds namespace to outgoing command, commands of root scope have no namespace
+ * @param {any} command
+ * @param {string} namespace
+ * @return {any} command
+ */
+function setNamespace(command: any, namespace: string): any {
+    if (namespace !== null) {
+        command.namespace = namespace;
+    }
+    return command;
+}
+
+/**
+ * registers schema in schemas map, null schema removes registered schema
+ * @param {Map<string, SyncsSchema>} schemas
+ * @param {string} name
+ * @param {SyncsSchema} schema
+ */
+function setSchema(schemas: Map<string, SyncsSchema>, name: string, schema: SyncsSchema) {
+    if (schema) {
+        schemas.set(name, schema);
+    } else {
+        schemas.delete(name);
+    }
+}
+
+/**
+ * returns data of client level shared objects of scope by name
+ * @param {SyncsScope} scope
+ * @return {{[name: string]: any}}
+ */
+function getSharedData(scope: SyncsScope): {[name: string]: any} {
+    let shared: {[name: string]: any} = {};
+    scope.clientSharedObjects.forEach((sharedObject, name) => {
+        shared[name] = sharedObject.rawData.data;
+    });
+    return shared;
+}
+
+/**
+ * Bounded queue to hold outgoing messages while client is offline
+ */
+class OutboundQueue {
+    private items: QueuedMessage[] = [];
+    private configs: SyncsConfig;
+    private onDrop: (item: QueuedMessage) => void;
+
+    /**
+     * @constructor
+     * @param {SyncsConfig} configs
+     * @param { (item: QueuedMessage) => void } onDrop called for each message which is dropped or expired
+     */
+    constructor(configs: SyncsConfig, onDrop: (item: QueuedMessage) => void) {
+        this.configs = configs;
+        this.onDrop = onDrop;
+    }
+
+    /**
+     * returns number of queued messages
+     * @return {number}
+     */
+    public get length(): number {
+        this.removeExpired();
+        return this.items.length;
+    }
+
+    /**
+     * adds message to queue
+     * message with same coalesce key replaces previous one
+     * returns false if message is dropped
+     * @param {any} message
+     * @param {boolean} command
+     * @param {string} coalesceKey
+     * @param {boolean} intercepted command is already passed outbound interceptors
+     * @return {boolean}
+     */
+    public push(message: any, command: boolean, coalesceKey: string = null, intercepted = false): boolean {
+        let newItem: QueuedMessage = {
+            message: message,
+            command: command,
+            coalesceKey: coalesceKey,
+            intercepted: intercepted,
+            expireAt: this.configs.queueTTL > 0 ? Date.now() + this.configs.queueTTL : 0
+        };
+        if (this.configs.queueSize <= 0) {
+            this.onDrop(newItem);
+            return false;
+        }
+        this.removeExpired();
+        if (coalesceKey != null) {
+            this.items = this.items.filter(item => item.coalesceKey != coalesceKey);
+        }
+        if (this.items.length >= this.configs.queueSize) {
+            if (this.configs.queueDropPolicy == 'newest') {
+                this.onDrop(newItem);
+                return false;
+            }
+            this.items.splice(0, this.items.length - this.configs.queueSize + 1).forEach(this.onDrop);
+        }
+        this.items.push(newItem);
+        return true;
+    }
+
+    /**
+     * removes and returns all alive messages in order
+     * @return {QueuedMessage[]}
+     */
+    public drain(): QueuedMessage[] {
+        this.removeExpired();
+        let items = this.items;
+        this.items = [];
+        return items;
+    }
+
+    /**
+     * puts back messages which could not be sent in front of queue
+     * @param {QueuedMessage[]} items
+     */
+    public restore(items: QueuedMessage[]) {
+        this.items = items.concat(this.items);
+    }
+
+    /**
+     * removes messages which match predicate without dropping them
+     * @param {(item: QueuedMessage) => boolean} predicate
+     */
+    public remove(predicate: (item: QueuedMessage) => boolean) {
+        this.items = this.items.filter(item => !predicate(item));
+    }
+
+    /**
+     * removes all messages
+     */
+    public clear() {
+        let items = this.items;
+        this.items = [];
+        items.forEach(this.onDrop);
+    }
+
+    /**
+     * removes messages which their ttl is passed
+     */
+    private removeExpired() {
+        let now = Date.now();
+        this.items = this.items.filter(item => {
+            if (item.expireAt == 0 || item.expireAt > now) {
+                return true;
+            }
+            this.onDrop(item);
+            return false;
+        });
+    }
+}
+
+/**
+ * Holds outgoing messages while socket buffer is above high-water mark or their event is rate limited
+ * waiting messages are written by priority, rmi commands first, then other messages and events last
+ */
+class FlowController {
+    private lanes: QueuedMessage[][] = [[], [], []];
+    private sentTimes: Map<string, number[]> = new Map();
+    private configs: SyncsConfig;
+    private getSocket: () => WebSocket;
+    private writeItem: (item: QueuedMessage) => boolean;
+    private onDrain: () => void;
+    private onDrop: (item: QueuedMessage) => void;
+    private timer: any = null;
+    private timerAt = 0;
+    private pumping = false;
+    private repump = false;
+    private blocked = false;
+    private needDrain = false;
+
+    /**
+     * @constructor
+     * @param {SyncsConfig} configs
+     * @param {() => WebSocket} getSocket returns socket if it is writable, otherwise null
+     * @param {(item: QueuedMessage) => boolean} writeItem writes message to socket
+     * @param {() => void} onDrain called when socket buffer drops below high-water mark after backpressure is reported
+     * @param {(item: QueuedMessage) => void} onDrop called for each message which is dropped from a full lane
+     */
+    constructor(configs: SyncsConfig, getSocket: () => WebSocket, writeItem: (item: QueuedMessage) => boolean, onDrain: () => void,
+                onDrop: (item: QueuedMessage) => void) {
+        this.configs = configs;
+        this.getSocket = getSocket;
+        this.writeItem = writeItem;
+        this.onDrain = onDrain;
+        this.onDrop = onDrop;
+    }
+
+    /**
+     * returns number of waiting messages
+     * @return {number}
+     */
+    public get length(): number {
+        return this.lanes.reduce((length, lane) => length + lane.length, 0);
+    }
+
+    /**
+     * adds message to lane of its priority
+     * waiting message with same coalesce key is replaced
+     * each lane holds queueSize messages at most, or one if queue is disabled, and drops by queueDropPolicy when it is full
+     * returns false if message is dropped
+     * @param {QueuedMessage} item
+     * @return {boolean}
+     */
+    public push(item: QueuedMessage): boolean {
+        let priority = getPriority(item);
+        let lane = this.lanes[priority];
+        if (item.coalesceKey != null) {
+            lane = this.lanes[priority] = lane.filter(waiting => waiting.coalesceKey != item.coalesceKey);
+        }
+        let size = Math.max(this.configs.queueSize, 1);
+        if (lane.length >= size) {
+            if (this.configs.queueDropPolicy == 'newest') {
+                this.onDrop(item);
+                return false;
+            }
+            lane.splice(0, lane.length - size + 1).forEach(this.onDrop);
+        }
+        lane.push(item);
+        return true;
+    }
+
+    /**
+     * writes waiting messages until socket buffer reaches high-water mark
+     * rate limited messages are skipped and retried when their rate limit allows
+     */
+    public pump() {
+        if (this.pumping) {
+            this.repump = true;
+            return;
+        }
+        this.pumping = true;
+        try {
+            do {
+                this.repump = false;
+                this.pumpLanes();
+            } while (this.repump);
+        } finally {
+            this.pumping = false;
+        }
+        if (this.needDrain && !this.isCongested() && this.getSocket()) {
+            this.needDrain = false;
+            this.onDrain();
+        }
+    }
+
+    /**
+     * writes waiting messages of lanes in priority order
+     */
+    private pumpLanes() {
+        this.clearTimer();
+        this.blocked = false;
+        if (!this.getSocket()) {
+            return;
+        }
+        let now = Date.now();
+        let wait = Infinity;
+        for (let lane of this.lanes) {
+            for (let i = 0; i < lane.length;) {
+                if (this.isCongested()) {
+                    this.blocked = true;
+                    return;
+                }
+                let item = lane[i];
+                let delay = this.getRateDelay(item, now);
+                if (delay > 0) {
+                    wait = Math.min(wait, delay);
+                    i++;
+                    continue;
+                }
+                lane.splice(i, 1);
+                if (!this.writeItem(item)) {
+                    lane.splice(i, 0, item);
+                    return;
+                }
+                this.recordSent(item, now);
+            }
+        }
+        if (wait < Infinity) {
+            this.schedule(wait);
+        }
+    }
+
+    /**
+     * called when a written frame is flushed from socket buffer
+     * continues writing if it is stopped by high-water mark or backpressure is reported
+     */
+    public flushed() {
+        if ((this.blocked || this.needDrain) && !this.isCongested()) {
+            this.pump();
+        }
+    }
+
+    /**
+     * checks if socket buffer is above high-water mark
+     * if it is, onDrain is called when buffer is drained
+     * @return {boolean}
+     */
+    public checkBackpressure(): boolean {
+        if (!this.isCongested()) {
+            return false;
+        }
+        this.needDrain = true;
+        return true;
+    }
+
+    /**
+     * removes and returns all waiting messages
+     * @return {QueuedMessage[]}
+     */
+    public drain(): QueuedMessage[] {
+        this.clearTimer();
+        this.blocked = false;
+        let items = [].concat(...this.lanes);
+        this.lanes = [[], [], []];
+        return items;
+    }
+
+    /**
+     * checks if socket buffer is above high-water mark
+     * @return {boolean}
+     */
+    private isCongested(): boolean {
+        let socket = this.getSocket();
+        return this.configs.highWaterMark > 0 && !!socket && socket.bufferedAmount >= this.configs.highWaterMark;
+    }
+
+    /**
+     * returns time to wait before message can be sent without passing rate limit of its event
+     * @param {QueuedMessage} item
+     * @param {number} now
+     * @return {number}
+     */
+    private getRateDelay(item: QueuedMessage, now: number): number {
+        let rateLimit = this.getRateLimit(item);
+        if (!rateLimit) {
+            return 0;
+        }
+        let interval = rateLimit.interval || 1000;
+        let times = (this.sentTimes.get(item.message.event) || []).filter(time => time > now - interval);
+        this.sentTimes.set(item.message.event, times);
+        if (times.length < rateLimit.limit) {
+            return 0;
+        }
+        return times[times.length - rateLimit.limit] + interval - now;
+    }
+
+    /**
+     * records send time of rate limited event
+     * @param {QueuedMessage} item
+     * @param {number} now
+     */
+    private recordSent(item: QueuedMessage, now: number) {
+        if (this.getRateLimit(item)) {
+            this.sentTimes.get(item.message.event).push(now);
+        }
+    }
+
+    /**
+     * returns rate limit of event command
+     * @param {QueuedMessage} item
+     * @return {SyncsRateLimit}
+     */
+    private getRateLimit(item: QueuedMessage): SyncsRateLimit {
+        if (!item.command || item.message.type != 'event') {
+            return null;
+        }
+        return this.configs.rateLimits[item.message.event] || null;
+    }
+
+    /**
+     * schedules next pump unless an earlier one is scheduled
+     * @param {number} delay
+     */
+    private schedule(delay: number) {
+        let at = Date.now() + delay;
+        if (this.timer && this.timerAt <= at) {
+            return;
+        }
+        this.clearTimer();
+        this.timerAt = at;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+        }, delay);
+    }
+
+    /**
+     * cancels scheduled pump
+     */
+    private clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+/**
+ * returns lane of outgoing message
+ * rmi commands are sent first so results are not delayed behind bulk events
+ * @param {QueuedMessage} item
+ * @return {number}
+ */
+function getPriority(item: QueuedMessage): number {
+    if (!item.command) {
+        return 1;
+    }
+    switch (item.message.type) {
+        case 'rmi':
+        case 'rmi-result':
+        case 'rmi-stream':
+        case 'rmi-cancel':
+            return 0;
+        case 'event':
+            return 2;
+        default:
+            return 1;
+    }
+}
+
+interface PatternSubscription {
+    matcher: RegExp;
+    callbacks: Set<(data: any, event?: string) => void>;
+}
+
+/**
+ * Runs commands through registered interceptors
+ * commands are kept in order when an interceptor delays a command by returning Promise
+ */
+class InterceptorPipeline {
+    private interceptors: SyncsInterceptor[] = [];
+    private pending: {[direction: string]: Promise<void>} = {};
+    private server: Syncs;
+    private onError: (error: Error) => void;
+
+    /**
+     * @constructor
+     * @param {Syncs} server
+     * @param {(error: Error) => void} onError called when an interceptor throws or rejects, command is dropped
+     */
+    constructor(server: Syncs, onError: (error: Error) => void) {
+        this.server = server;
+        this.onError = onError;
+    }
+
+    /**
+     * adds interceptor and returns a function which removes it
+     * @param {SyncsInterceptor} interceptor
+     * @return {() => void}
+     */
+    public add(interceptor: SyncsInterceptor): () => void {
+        this.interceptors.push(interceptor);
+        return () => {
+            let index = this.interceptors.indexOf(interceptor);
+            if (index > -1) {
+                this.interceptors.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * runs command through interceptors of direction and passes result to done
+     * done is called synchronously unless an interceptor returns Promise or an earlier command is delayed
+     * returns result of done, true for dropped or delayed commands
+     * @param {string} direction 'inbound' or 'outbound'
+     * @param {any} command
+     * @param {(command: any, delayed: boolean) => boolean} done
+     * @return {boolean}
+     */
+    public run(direction: string, command: any, done: (command: any, delayed: boolean) => boolean): boolean {
+        let interceptors = this.interceptors.filter(interceptor => typeof (<any>interceptor)[direction] == 'function');
+        if (this.pending[direction]) {
+            this.delay(direction, this.pending[direction].then(() => this.runAsync(direction, interceptors, 0, command)), done);
+            return true;
+        }
+        for (let i = 0; i < interceptors.length; i++) {
+            let result: any;
+            try {
+                result = (<any>interceptors[i])[direction](command, this.server);
+            } catch (error) {
+                this.onError(error);
+                return true;
+            }
+            if (result && typeof result.then == 'function') {
+                let index = i + 1;
+                let promise = Promise.resolve(result).then(result => this.runAsync(direction, interceptors, index, this.next(command, result)));
+                this.delay(direction, promise, done);
+                return true;
+            }
+            command = this.next(command, result);
+            if (!command) {
+                return true;
+            }
+        }
+        return done(command, false);
+    }
+
+    /**
+     * returns command which is passed to next interceptor
+     * undefined result keeps current command, null or false drops it
+     * @param {any} command
+     * @param {any} result
+     * @return {any}
+     */
+    private next(command: any, result: any): any {
+        if (result === undefined) {
+            return command;
+        }
+        return result || null;
+    }
+
+    /**
+     * runs remaining interceptors waiting for returned Promises
+     * resolves null if command is dropped
+     * @param {string} direction
+     * @param {SyncsInterceptor[]} interceptors
+     * @param {number} index
+     * @param {any} command
+     * @return {Promise<any>}
+     */
+    private runAsync(direction: string, interceptors: SyncsInterceptor[], index: number, command: any): Promise<any> {
+        if (!command || index >= interceptors.length) {
+            return Promise.resolve(command);
+        }
+        return Promise.resolve((<any>interceptors[index])[direction](command, this.server)).then(result => {
+            return this.runAsync(direction, interceptors, index + 1, this.next(command, result));
+        });
+    }
+
+    /**
+     * passes delayed command to done when it is released
+     * later commands of direction wait for it to keep order
+     * @param {string} direction
+     * @param {Promise<any>} promise
+     * @param {(command: any, delayed: boolean) => boolean} done
+     */
+    private delay(direction: string, promise: Promise<any>, done: (command: any, delayed: boolean) => boolean) {
+        let pending = promise.then(command => {
+            if (command) {
+                done(command, true);
+            }
+        }).catch(error => this.onError(error)).then(() => {
+            if (this.pending[direction] === pending) {
+                delete this.pending[direction];
+            }
+        });
+        this.pending[direction] = pending;
+    }
+}
+
+interface QueuedMessage {
+    message: any;
+    command: boolean;
+    coalesceKey: string;
+    expireAt: number;
+    intercepted?: boolean;
+}
+
+interface PendingRmiCall {
+    id: string;
+    name: string;
+    args: any;
+    idempotent: boolean;
+    sent: boolean;
+    resolve: (result: any) => void;
+    reject: (error: any) => void;
+    timer: any;
+    timeout: number;
+    trace: any;
+    signal: RmiAbortSignal;
+    abortListener: () => void;
+    stream: AsyncBuffer<any>;
+    namespace: string;
+}
+
+interface RmiStream {
+    iterator: AsyncIterator<any>;
+    name: string;
+    namespace: string;
+}
+
+/**
+ * returns size of WebSocket frame in bytes
+ * @param {string|Buffer} frame
+ * @return {number}
+ */
+function getFrameSize(frame: any): number {
+    if (typeof frame == 'string') {
+        return Buffer.byteLength(frame);
+    }
+    return frame && frame.length !== undefined ? frame.length : frame && frame.byteLength || 0;
+}
+
+/**
+ * runs callback and calls end when it returns, throws or its returned Promise settles
+ * @param {() => any} callback
+ * @param {() => void} end
+ * @return {any} callback result
+ */
+function runBatched(callback: () => any, end: () => void): any {
+    let result: any;
+    try {
+        result = callback();
+    } catch (e) {
+        end();
+        throw e;
+    }
+    if (result && typeof result.then == 'function') {
+        return result.then((value: any) => {
+            end();
+            return value;
+        }, (error: any) => {
+            end();
+            throw error;
+        });
+    }
+    end();
+    return result;
+}
+
+/**
+ * returns copy of data which objects in path are copied and last one is changed by update
+ * original data is not changed
+ * @param {any} data
+ * @param {string[]} path
+ * @param {(target: any) => void} update
+ * @return {any}
+ */
+function copyWithPath(data: any, path: string[], update: (target: any) => void): any {
+    let copy = shallowCopy(data);
+    let target = copy;
+    for (let key of path) {
+        target[key] = shallowCopy(target[key]);
+        target = target[key];
+    }
+    update(target);
+    return copy;
+}
+
+/**
+ * returns shallow copy of object or array, other values are replaced with an empty object
+ * @param {any} value
+ * @return {any}
+ */
+function shallowCopy(value: any): any {
+    if (Array.isArray(value)) {
+        return value.slice();
+    }
+    if (value !== null && typeof value == 'object') {
+        return Object.assign({}, value);
+    }
+    return {};
+}
+
+/**
+ * Shared Object Class to create Shared Object functionality
+ */
+class SharedObject {
+    public name: string;
+    public rawData: any = function (event: any) {};
+    private type: string;
+    private readOnly = true;
+    private proxy: any;
+    private server: Syncs;
+    private onChangeHandler: (event: SharedObjectChangeEvent) => void;
+    private changeListeners: Set<(event: SharedObjectChangeEvent) => void> = new Set();
+    private nestedProxies: WeakMap<any, Map<string, any>> = new WeakMap();
+    private nestedTargets: WeakMap<any, any> = new WeakMap();
+    public autoBatch = false;
+    private batchDepth = 0;
+    public group: string = null;
+    public namespace: string = null;
+    public stale = false;
+    public versioning = false;
+    public conflictHandler: (conflict: SharedObjectConflict) => any = null;
+    public validator: (data: any) => void = null;
+    private versions: Map<string, number> = new Map();
+    private pendingWrites: Map<string, {value: any, time: number, base: number}> = new Map();
+    public ready = false;
+    private readyPromise: Promise<any>;
+    private resolveReady: (data: any) => void;
+    public fetchTimeout = 0;
+    private fetchRequests: {resolve: (data: any) => void, reject: (error: Error) => void, timer: any}[] = [];
+    private batchScheduled = false;
+    private pendingChanges: {key: string | string[], value: any}[] = [];
+
+    private constructor() {
+
+    }
+
+    /**
+     * creates a global level synced object
+     * @param name
+     * @param initializeData
+     * @param server
+     * @return {SharedObject}
+     */
+    public static globalLevel(name: string, initializeData: any, server: Syncs): SharedObject {
+        let result = new SharedObject();
+        result.name = name;
+        result.type = 'GLOBAL';
+        result.readOnly = true;
+        result.rawData.data = initializeData;
+        result.server = server;
+        result.initialize();
+        return result;
+    }
+
+    /**
+     * creates group level synced object
+     * @param name
+     * @param initializeData
+     * @param server
+     * @param group
+     * @return {SharedObject}
+     */
+    public static groupLevel(name: string, initializeData = {}, server: Syncs, group: string = null): SharedObject {
+        let result = new SharedObject();
+        result.name = name;
+        result.group = group;
+        result.type = 'GROUP';
+        result.readOnly = true;
+        result.rawData.data = initializeData;
+        result.server = server;
+        result.initialize();
+
+        return result;
+    }
+
+    /**
+     * creates client level synced object
+     * @param name
+     * @param initializeData
+     * @param server
+     * @return {SharedObject}
+     */
+    public static clientLevel(name: string, initializeData = {}, server: Syncs): SharedObject {
+        let result = new SharedObject();
+        result.name = name;
+        result.type = 'CLIENT';
+        result.readOnly = false;
+        result.rawData.data = initializeData;
+        result.server = server;
+        result.initialize();
+
+        return result;
+    }
+
+    /**
+     * initialize proxy object to observe changes in raw data
+     */
+    private initialize() {
+        this.proxy = new Proxy(function () {
+        }, this.getHandler());
+        this.readyPromise = new Promise(resolve => this.resolveReady = resolve);
+        if (this.type == 'CLIENT') {
+            this.markReady();
+        }
+    }
+
+    /**
+     * returns handlers for proxy
+     * @return {{get: ((target:any, property:any, receiver:any)=>any|string|number), set: ((target:any, property:any, value:any, receiver:any)=>boolean), apply: ((target:any, thisArg:any, argumentsList:any)=>any)}}
+     */
+    private getHandler() {
+        return {
+            get: (target: any, property: any, receiver: any) => this.onGet(target, property, receiver),
+            set: (target: any, property: any, value: any, receiver: any) => this.onSet(target, property, value, receiver),
+            apply: (target: any, thisArg: any, argumentsList: any) => this.onApply(target, thisArg, argumentsList)
+        }
+    }
+
+    private onGet(target: any, property: any, receiver: any) {
+        if (property == '$batch') {
+            return (callback: (data: any) => any) => this.batch(callback);
+        }
+        if (property == '$changes') {
+            return (options: SyncsStreamOptions = {}) => this.changes(options);
+        }
+        if (property == '$ready') {
+            return this.readyPromise;
+        }
+        if (property == '$fetch') {
+            return () => this.fetch();
+        }
+        if (property == '$stale') {
+            return this.stale;
+        }
+        if (property == '$onChange') {
+            return (listener: (event: SharedObjectChangeEvent) => void) => this.onApply(target, null, [listener]);
+        }
+        if (property in this.rawData.data) {
+            return this.wrap(this.rawData.data[property], [property]);
+        }
+        if (property == 'toJSON') {
+            return () => this.rawData.data;
+        }
+        return null;
+    }
+
+    private onApply(target: any, thisArg: any, argumentsList: any) {
+        if (argumentsList.length > 0) {
+            this.onChangeHandler = argumentsList[0];
+        }
+        return this.proxy;
+    }
+
+    private onSet(target: any, property: any, value: any, receiver: any) {
+        if (this.readOnly) {
+            return false;
+        }
+        value = this.unwrap(value);
+        this.check(Object.assign({}, this.rawData.data, {[property]: value}));
+        this.rawData.data[property] = value;
+        this.recordChange(property, value);
+        return true;
+    }
+
+    /**
+     * returns proxy of plain objects and arrays to observe nested changes
+     * other values are returned as they are
+     * @param {any} value
+     * @param {string[]} path
+     * @return {any}
+     */
+    private wrap(value: any, path: string[]) {
+        if (!this.isObservable(value)) {
+            return value;
+        }
+        let proxies = this.nestedProxies.get(value);
+        if (!proxies) {
+            proxies = new Map();
+            this.nestedProxies.set(value, proxies);
+        }
+        let pathKey = JSON.stringify(path);
+        if (!proxies.has(pathKey)) {
+            let proxy = new Proxy(value, {
+                get: (target: any, property: any) => {
+                    if (typeof property == 'symbol') {
+                        return target[property];
+                    }
+                    return this.wrap(target[property], path.concat(property));
+                },
+                set: (target: any, property: any, value: any) => this.onNestedSet(target, path, property, value),
+                deleteProperty: (target: any, property: any) => this.onNestedDelete(target, path, property)
+            });
+            this.nestedTargets.set(proxy, value);
+            proxies.set(pathKey, proxy);
+        }
+        return proxies.get(pathKey);
+    }
+
+    /**
+     * returns raw object of a nested proxy
+     * @param {any} value
+     * @return {any}
+     */
+    private unwrap(value: any) {
+        if (value !== null && typeof value == 'object' && this.nestedTargets.has(value)) {
+            return this.nestedTargets.get(value);
+        }
+        return value;
+    }
+
+    /**
+     * checks if value is a plain object or array which its changes should be observed
+     * @param {any} value
+     * @return {boolean}
+     */
+    private isObservable(value: any): boolean {
+        if (value === null || typeof value != 'object') {
+            return false;
+        }
+        let prototype = Object.getPrototypeOf(value);
+        return Array.isArray(value) || prototype === Object.prototype || prototype === null;
+    }
+
+    /**
+     * handles assignment to nested property
+     * changes inside arrays are synced as whole array
+     * @param {any} target nested object or array
+     * @param {string[]} path path of target in shared object
+     * @param {any} property
+     * @param {any} value
+     * @return {boolean}
+     */
+    private onNestedSet(target: any, path: string[], property: any, value: any) {
+        if (this.readOnly) {
+            return false;
+        }
+        value = this.unwrap(value);
+        this.check(copyWithPath(this.rawData.data, path, copy => copy[property] = value));
+        let changed = !(property in target) || target[property] !== value;
+        target[property] = value;
+        if (changed && typeof property != 'symbol') {
+            if (Array.isArray(target)) {
+                this.recordChange(path, target);
+            } else {
+                this.recordChange(path.concat(property), value);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * handles deleting nested property
+     * whole parent object is synced after delete
+     * @param {any} target
+     * @param {string[]} path
+     * @param {any} property
+     * @return {boolean}
+     */
+    private onNestedDelete(target: any, path: string[], property: any) {
+        if (this.readOnly) {
+            return false;
+        }
+        if (!(property in target)) {
+            return true;
+        }
+        this.check(copyWithPath(this.rawData.data, path, copy => delete copy[property]));
+        delete target[property];
+        if (typeof property != 'symbol') {
+            this.recordChange(path, target);
+        }
+        return true;
+    }
+
+    /**
+     * records client change and sends it immediately or when current batch ends
+     * @param {string|string[]} key property name or nested path
+     * @param {any} value
+     */
+    private recordChange(key: string | string[], value: any) {
+        this.pendingChanges.push({key: key, value: value});
+        if (this.batchDepth > 0) {
+            return;
+        }
+        if (this.autoBatch) {
+            if (!this.batchScheduled) {
+                this.batchScheduled = true;
+                Promise.resolve().then(() => {
+                    this.batchScheduled = false;
+                    if (this.batchDepth == 0) {
+                        this.flushChanges();
+                    }
+                });
+            }
+            return;
+        }
+        this.flushChanges();
+    }
+
+    /**
+     * emits change event and sends sync command for recorded changes
+     * multiple changes are merged into one command with changed top level values
+     */
+    private flushChanges() {
+        let changes = this.pendingChanges;
+        this.pendingChanges = [];
+        if (changes.length == 0) {
+            return;
+        }
+        if (changes.length == 1) {
+            let change = changes[0];
+            let path = Array.isArray(change.key) ? change.key : [change.key];
+            if (this.hasChangeListener()) {
+                let values: any = {};
+                values[path[0]] = Array.isArray(change.key) ? this.rawData.data[path[0]] : change.value;
+                let event: SharedObjectChangeEvent = {values: values, by: 'client'};
+                if (Array.isArray(change.key)) {
+                    event.path = change.key;
+                    event.value = change.value;
+                }
+                this.emitChange(event);
+            }
+            this.sendSyncCommand(change.key, change.value);
+            return;
+        }
+        let values: any = {};
+        for (let change of changes) {
+            let key = Array.isArray(change.key) ? change.key[0] : change.key;
+            values[key] = this.rawData.data[key];
+        }
+        if (this.hasChangeListener()) {
+            this.emitChange({values: values, by: 'client'});
+        }
+        this.sendValuesCommand(values);
+    }
+
+    /**
+     * sends sync command with multiple top level values
+     * @param values
+     */
+    private sendValuesCommand(values: any) {
+        let command = {
+            type: 'sync',
+            name: this.name,
+            scope: 'CLIENT',
+            values: values
+        };
+        this.addVersionInfo(command, Object.keys(values));
+        this.server.sendCommand(setNamespace(command, this.namespace));
+    }
+
+    /**
+     * adds base versions and write time to outgoing sync command
+     * and records written keys as pending until server acknowledges them
+     * @param command
+     * @param {string[]} keys changed top level keys
+     */
+    private addVersionInfo(command: any, keys: string[]) {
+        if (!this.versioning) {
+            return;
+        }
+        let time = Date.now();
+        command.time = time;
+        if (command.key !== undefined) {
+            command.version = this.versions.get(keys[0]) || 0;
+        } else {
+            command.versions = {};
+            for (let key of keys) {
+                command.versions[key] = this.versions.get(key) || 0;
+            }
+        }
+        for (let key of keys) {
+            this.pendingWrites.set(key, {value: this.rawData.data[key], time: time, base: this.versions.get(key) || 0});
+        }
+    }
+
+    /**
+     * handles sync-ack command of server which accepted client writes
+     * @param command
+     */
+    public acknowledge(command: any) {
+        let versions = command.versions || {};
+        for (let key of Object.keys(versions)) {
+            this.versions.set(key, versions[key]);
+            let pending = this.pendingWrites.get(key);
+            if (pending && (command.time === undefined || pending.time <= command.time)) {
+                this.pendingWrites.delete(key);
+            }
+        }
+    }
+
+    /**
+     * returns top level keys which are changed by incoming sync command
+     * @param command
+     * @return {string[]}
+     */
+    private getSyncKeys(command: any): string[] {
+        if (Array.isArray(command.key) && command.key.length > 0) {
+            return [command.key[0]];
+        }
+        return Object.keys(command.values || {});
+    }
+
+    /**
+     * stores versions carried by incoming sync command
+     * @param command
+     */
+    private updateVersions(command: any) {
+        if (command.versions) {
+            for (let key of Object.keys(command.versions)) {
+                this.versions.set(key, command.versions[key]);
+            }
+        } else if (command.version !== undefined) {
+            for (let key of this.getSyncKeys(command)) {
+                this.versions.set(key, command.version);
+            }
+        }
+    }
+
+    /**
+     * registers internal change listener
+     * @param { (event: SharedObjectChangeEvent) => void } listener
+     */
+    public addChangeListener(listener: (event: SharedObjectChangeEvent) => void) {
+        this.changeListeners.add(listener);
+    }
+
+    /**
+     * sends all values of client level shared object to server
+     */
+    public sendSnapshot() {
+        if (Object.keys(this.rawData.data).length == 0) {
+            return;
+        }
+        this.sendValuesCommand(this.rawData.data);
+    }
+
+    /**
+     * checks if any change handler or change iterator is registered
+     * @return {boolean}
+     */
+    private hasChangeListener(): boolean {
+        return !!this.onChangeHandler || this.changeListeners.size > 0;
+    }
+
+    /**
+     * calls change handler and change iterators
+     * @param {SharedObjectChangeEvent} event
+     */
+    private emitChange(event: SharedObjectChangeEvent) {
+        if (this.onChangeHandler) {
+            this.onChangeHandler(event);
+        }
+        this.changeListeners.forEach(listener => listener(event));
+    }
+
+    /**
+     * returns async iterator of change events
+     * @param {SyncsStreamOptions} options
+     * @return {AsyncIterableIterator<SharedObjectChangeEvent>}
+     */
+    public changes(options: SyncsStreamOptions): AsyncIterableIterator<SharedObjectChangeEvent> {
+        let listener = (event: SharedObjectChangeEvent) => buffer.push(event);
+        let buffer = new AsyncBuffer<SharedObjectChangeEvent>(options.bufferSize || 100, () => {
+            this.changeListeners.delete(listener);
+        });
+        this.changeListeners.add(listener);
+        return buffer;
+    }
+
+    /**
+     * starts batching client changes
+     */
+    public beginBatch() {
+        this.batchDepth++;
+    }
+
+    /**
+     * ends batching and sends recorded changes if outermost batch is ended
+     */
+    public endBatch() {
+        if (this.batchDepth > 0) {
+            this.batchDepth--;
+        }
+        if (this.batchDepth == 0) {
+            this.flushChanges();
+        }
+    }
+
+    /**
+     * runs callback and sends all changes made inside it as one sync command
+     * @param { (data: any) => any } callback receives shared object proxy
+     * @return {any} callback result
+     */
+    public batch(callback: (data: any) => any): any {
+        this.beginBatch();
+        return runBatched(() => callback(this.proxy), () => this.endBatch());
+    }
+
+    /**
+     * sends syncs command to Syncs Server
+     * key is property name for top level changes and path array for nested changes
+     * @param {string|string[]} key
+     * @param {any} value
+     */
+    sendSyncCommand(key: string | string[], value: any) {
+        let command = {
+            type: 'sync',
+            name: this.name,
+            scope: 'CLIENT',
+            key: key,
+            value: value
+        };
+        this.addVersionInfo(command, [Array.isArray(key) ? key[0] : key]);
+        this.server.sendCommand(setNamespace(command, this.namespace));
+    }
+
+    /**
+     * returns abstracted shared object as a proxy
+     * @return {any}
+     */
+    public get data(): any {
+        return this.proxy;
+    }
+
+    /**
      * apply changes from server to shared object
      * @param values
      */
-    public setProperties(values: any) {
+    public setProperties(values: any) {
+
+        for (let key in values) {
+            this.rawData.data[key] = values[key];
+        }
+        if (this.hasChangeListener()) {
+            this.emitChange({values: values, by: 'server'});
+        }
+    }
+
+    /**
+     * apply change of nested path from server to shared object
+     * missing objects in path are created
+     * @param {string[]} path
+     * @param value
+     */
+    public setPath(path: string[], value: any) {
+        let target = this.rawData.data;
+        for (let key of path.slice(0, -1)) {
+            if (target[key] === null || typeof target[key] != 'object') {
+                target[key] = {};
+            }
+            target = target[key];
+        }
+        target[path[path.length - 1]] = value;
+        if (this.hasChangeListener()) {
+            let values: any = {};
+            values[path[0]] = this.rawData.data[path[0]];
+            this.emitChange({values: values, by: 'server', path: path, value: value});
+        }
+    }
+
+    /**
+     * apply incoming sync command to shared object
+     * commands with a path key change a nested property, others change top level values
+     * @param command
+     */
+    public applySync(command: any) {
+        this.check(this.getSyncedData(command));
+        let conflicts = this.getConflictingKeys(command);
+        if (command.snapshot) {
+            this.setSnapshot(command.values || {});
+        } else if (Array.isArray(command.key) && command.key.length > 0) {
+            this.setPath(command.key, command.value);
+        } else {
+            this.setProperties(command.values);
+        }
+        this.updateVersions(command);
+        for (let key of conflicts) {
+            this.resolveConflict(key, command);
+        }
+        this.markReady();
+    }
+
+    /**
+     * returns data of shared object after applying incoming sync command
+     * @param command
+     * @return {any}
+     */
+    private getSyncedData(command: any): any {
+        if (command.snapshot) {
+            return command.values || {};
+        }
+        if (Array.isArray(command.key) && command.key.length > 0) {
+            let path: string[] = command.key;
+            return copyWithPath(this.rawData.data, path.slice(0, -1), copy => copy[path[path.length - 1]] = command.value);
+        }
+        return Object.assign({}, this.rawData.data, command.values);
+    }
+
+    /**
+     * validates data with validator of shared object
+     * throws ValidationError if data is invalid
+     * @param {any} data
+     */
+    private check(data: any) {
+        if (this.validator) {
+            this.validator(data);
+        }
+    }
+
+    /**
+     * returns keys of incoming sync command which have unacknowledged local writes
+     * @param command
+     * @return {string[]}
+     */
+    private getConflictingKeys(command: any): string[] {
+        if (!this.versioning || this.type != 'CLIENT') {
+            return [];
+        }
+        let keys = command.snapshot ? Object.keys(command.values || {}) : this.getSyncKeys(command);
+        return keys.filter(key => this.pendingWrites.has(key));
+    }
+
+    /**
+     * resolves conflict between local write and applied server value
+     * resolved value is written back and synced if it differs from server value
+     * @param {string} key
+     * @param command
+     */
+    private resolveConflict(key: string, command: any) {
+        let pending = this.pendingWrites.get(key);
+        this.pendingWrites.delete(key);
+        let serverValue = this.rawData.data[key];
+        let resolved = this.conflictHandler({
+            name: this.name,
+            key: key,
+            localValue: pending.value,
+            serverValue: serverValue,
+            localVersion: pending.base,
+            serverVersion: this.versions.get(key),
+            localTime: pending.time,
+            serverTime: command.time
+        });
+        if (resolved !== serverValue) {
+            this.rawData.data[key] = resolved;
+            this.recordChange(key, resolved);
+        }
+    }
+
+    /**
+     * replaces shared object data with complete snapshot from server
+     * @param values
+     */
+    public setSnapshot(values: any) {
+        for (let key of Object.keys(this.rawData.data)) {
+            if (!(key in values)) {
+                delete this.rawData.data[key];
+            }
+        }
+        this.setProperties(values);
+        let requests = this.fetchRequests;
+        this.fetchRequests = [];
+        requests.forEach(request => {
+            clearTimeout(request.timer);
+            request.resolve(this.proxy);
+        });
+    }
 
-        for (let key in values) {
-            this.rawData.data[key] = values[key];
+    /**
+     * requests current snapshot of shared object from server
+     * returned promise resolves with shared object after snapshot is applied
+     * and rejects with SharedFetchError if snapshot is not received in fetchTimeout
+     * @return {Promise<any>}
+     */
+    public fetch(): Promise<any> {
+        let promise = new Promise((resolve, reject) => {
+            let request = {resolve: resolve, reject: reject, timer: <any>null};
+            if (this.fetchTimeout > 0) {
+                request.timer = setTimeout(() => {
+                    this.fetchRequests = this.fetchRequests.filter(waiting => waiting !== request);
+                    reject(new SharedFetchError(this.name, 'FETCH_TIMEOUT', `snapshot of '${this.name}' is not received in ${this.fetchTimeout} ms`));
+                }, this.fetchTimeout);
+            }
+            this.fetchRequests.push(request);
+        });
+        let command: any = {type: 'fetchShared', scope: this.type, name: this.name};
+        if (this.group !== null) {
+            command.group = this.group;
         }
-        if (this.onChangeHandler) {
-            this.onChangeHandler({values: values, by: 'server'});
+        this.server.sendCommand(setNamespace(command, this.namespace));
+        return promise;
+    }
+
+    /**
+     * rejects fetch requests which are waiting for snapshot
+     * @param {Error} error
+     */
+    public rejectFetches(error: Error) {
+        let requests = this.fetchRequests;
+        this.fetchRequests = [];
+        requests.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+    }
+
+    /**
+     * marks shared object as ready after first data is received
+     */
+    private markReady() {
+        if (!this.ready) {
+            this.ready = true;
+            this.resolveReady(this.proxy);
         }
     }
 
@@ -719,6 +3781,226 @@ class SharedObject {
 
 
 
+/**
+ * shared object change event
+ * path and value are set for nested changes, values contains changed top level properties
+ */
+export interface SharedObjectChangeEvent<T = any> {
+    values: Partial<T>;
+    by: string;
+    path?: string[];
+    value?: any;
+}
+
+/**
+ * helpers of shared object proxy
+ */
+export interface SharedObjectMethods<T> {
+
+    /**
+     * resolves with shared object when first data is received from server
+     */
+    readonly $ready: Promise<SharedObjectProxy<T>>;
+
+    /**
+     * true if group of group level shared object is left
+     */
+    readonly $stale: boolean;
+
+    /**
+     * sets change handler, same as calling shared object as a function
+     */
+    $onChange(listener: (event: SharedObjectChangeEvent<T>) => void): SharedObjectProxy<T>;
+
+    /**
+     * returns async iterator of change events
+     */
+    $changes(options?: SyncsStreamOptions): AsyncIterableIterator<SharedObjectChangeEvent<T>>;
+
+    /**
+     * sends all changes made inside callback as one sync command
+     */
+    $batch<R>(callback: (data: SharedObjectProxy<T>) => R): R;
+
+    /**
+     * requests current snapshot from server
+     */
+    $fetch(): Promise<SharedObjectProxy<T>>;
+}
+
+/**
+ * shared object proxy with typed properties
+ * shared object can still be called as a function to set change handler, it is not part of this type
+ * because function members like name and length would hide properties of shared object
+ */
+export type SharedObjectProxy<T> = T & SharedObjectMethods<T>;
+
+/**
+ * remote functions object
+ */
+export interface SyncsRemoteMethods<R> {
+
+    /**
+     * returns remote functions object which calls remote methods with given options
+     */
+    withOptions(options: RmiCallOptions): SyncsRemote<R>;
+}
+
+/**
+ * remote functions object with typed methods
+ */
+export type SyncsRemote<R> = R & SyncsRemoteMethods<R>;
+
+/**
+ * view of a namespace which is returned by namespace method of Syncs client
+ * methods are same as methods of Syncs client in scope of namespace
+ * close releases subscriptions, shared objects and functions of namespace, view should not be used after close
+ */
+export interface SyncsNamespace<C extends SyncsContract = SyncsContract> {
+    readonly name: string;
+    subscribe<K extends keyof C['events']>(event: K, callback: (data: C['events'][K], event?: string) => void): () => void;
+    subscribe(event: string | RegExp, callback: (data: any, event?: string) => void): () => void;
+    subscribeOnce<K extends keyof C['events']>(event: K, callback: (data: C['events'][K], event?: string) => void): () => void;
+    subscribeOnce(event: string | RegExp, callback: (data: any, event?: string) => void): () => void;
+    unSubscribe(event: string | RegExp, callback: (data: any, event?: string) => void): void;
+    publish<K extends keyof C['events']>(event: K, data: C['events'][K]): boolean;
+    eventSchema(event: string, schema: SyncsSchema): void;
+    shared<K extends keyof C['shared']>(name: K): SharedObjectProxy<C['shared'][K]>;
+    groupShared<K extends keyof C['groupShared']>(group: string, name: K): SharedObjectProxy<C['groupShared'][K]>;
+    globalShared<K extends keyof C['globalShared']>(name: K): SharedObjectProxy<C['globalShared'][K]>;
+    sharedSchema(name: string, schema: SyncsSchema): void;
+    readonly functions: C['functions'];
+    functionSchema(name: string, schema: SyncsSchema): void;
+    readonly remote: SyncsRemote<C['remote']>;
+    readonly remoteStream: any;
+    close(): void;
+}
+
+/**
+ * contract of Syncs client which types values crossing the wire
+ * contracts should extend this interface, omitted members stay untyped
+ * remote: functions of Syncs server, methods should return Promise, e.g. {getUser(id: number): Promise<User>}
+ * functions: local functions which Syncs server can call, e.g. {add(a: number, b: number): number}
+ * events: data type of each event name, e.g. {chat: {text: string}}
+ * shared, groupShared, globalShared: data type of each client, group and global level shared object name
+ */
+export interface SyncsContract {
+    remote?: any;
+    functions?: any;
+    events?: any;
+    shared?: any;
+    groupShared?: any;
+    globalShared?: any;
+}
+
+/**
+ * options of async iterators and streams
+ */
+export interface SyncsStreamOptions {
+
+    /**
+     * maximum number of values waiting to be consumed, oldest values are dropped when full
+     * default is 100
+     */
+    bufferSize?: number;
+
+    /**
+     * Readable stream high water mark
+     * default is 16
+     */
+    highWaterMark?: number;
+
+    /**
+     * yield {event, data} objects instead of event data
+     */
+    includeEvent?: boolean;
+}
+
+/**
+ * result of auth hook
+ */
+export interface SyncsAuth {
+
+    /**
+     * HTTP headers of WebSocket handshake request e.g. Authorization
+     */
+    headers?: {[key: string]: string};
+
+    /**
+     * credentials which are sent with authenticate command
+     */
+    credentials?: any;
+}
+
+/**
+ * concurrent change of a client level shared object property by client and server
+ */
+export interface SharedObjectConflict {
+    name: string;
+    key: string;
+    localValue: any;
+    serverValue: any;
+    localVersion: number;
+    serverVersion: number;
+    localTime: number;
+    serverTime: number;
+    resolved?: any;
+}
+
+/**
+ * schemas by shared object name, event name and rmi function name
+ */
+export interface SyncsSchemas {
+    shared?: {[name: string]: SyncsSchema};
+    events?: {[event: string]: SyncsSchema};
+    functions?: {[name: string]: SyncsSchema};
+}
+
+/**
+ * interceptor of inbound and outbound syncs-commands
+ * each function receives command and returns it, a changed command or a Promise of it to delay the command
+ * returning undefined keeps command as it is and returning null or false drops it
+ */
+export interface SyncsInterceptor {
+
+    /**
+     * called for commands received from server before they are handled
+     */
+    inbound?: (command: any, server: Syncs) => any;
+
+    /**
+     * called for commands before they are written to socket
+     */
+    outbound?: (command: any, server: Syncs) => any;
+}
+
+/**
+ * information of a traced rmi call, handled rmi call or event
+ * trace is context of incoming command or parent context of outgoing command
+ */
+export interface SyncsSpanInfo {
+    kind: 'rmi-call' | 'rmi-handle' | 'event-publish' | 'event-receive';
+    name: string;
+    id?: string;
+    trace: any;
+}
+
+/**
+ * span started by tracer
+ * context is sent with outgoing command as trace and is current trace while incoming command is handled
+ */
+export interface SyncsSpan {
+    context?: any;
+    end(error?: Error): void;
+}
+
+/**
+ * tracer which connects rmi calls and events to server side spans
+ */
+export interface SyncsTracer {
+    startSpan(info: SyncsSpanInfo): SyncsSpan;
+}
+
 export interface SyncsConfig {
 
     /**
@@ -737,15 +4019,283 @@ export interface SyncsConfig {
 
 
     /**
-     * time to destroy client after disconnect
+     * time to wait before first reconnect attempt
      * default is 1,000 ms
      */
     reconnectDelay?: number;
 
+    /**
+     * reconnect delay is multiplied by this value after each failed attempt
+     * default is 1 (fixed delay)
+     */
+    reconnectMultiplier?: number;
+
+    /**
+     * maximum reconnect delay
+     * default is 30,000 ms
+     */
+    maxReconnectDelay?: number;
+
+    /**
+     * random factor between 0 and 1 which spreads reconnect delay
+     * e.g. 0.5 picks a delay between 50% and 150% of calculated delay
+     * default is 0
+     */
+    reconnectJitter?: number;
+
+    /**
+     * number of failed reconnect attempts before client gives up and emits close
+     * default is 0 (unlimited)
+     */
+    maxReconnectAttempts?: number;
+
+    /**
+     * time between heartbeats which detect dead connections
+     * default is 0 (disabled)
+     */
+    heartbeatInterval?: number;
+
+    /**
+     * time to wait for heartbeat answer before connection is terminated and reconnected
+     * default is heartbeatInterval
+     */
+    heartbeatTimeout?: number;
+
+    /**
+     * 'ping' sends WebSocket ping frames, 'command' sends Syncs ping commands
+     * default is 'ping'
+     */
+    heartbeatMode?: 'ping' | 'command';
+
+    /**
+     * options which are passed to ws WebSocket constructor
+     * e.g. agent, ca, cert, key, rejectUnauthorized
+     */
+    wsOptions?: WebSocket.IClientOptions;
+
+    /**
+     * WebSocket subprotocols
+     */
+    protocols?: string | string[];
+
+    /**
+     * HTTP headers of WebSocket handshake request
+     */
+    headers?: {[key: string]: string};
+
+    /**
+     * hook which is evaluated before each connection and reconnection
+     * returned headers are added to handshake request
+     * returned credentials are sent with authenticate command before client becomes online
+     */
+    auth?: () => SyncsAuth | Promise<SyncsAuth>;
+
+    /**
+     * serializes messages to frames
+     * built-in codecs are uriJsonCodec, jsonCodec and msgpackCodec
+     * server should use the same codec
+     * default is uriJsonCodec
+     */
+    codec?: SyncsCodec;
+
+    /**
+     * request snapshot of global and group level shared objects when they are created
+     * with fetchShared command, server answers with a sync command marked as snapshot
+     * default is false
+     */
+    fetchShared?: boolean;
+
+    /**
+     * time in ms to wait for snapshot of shared object before fetch is rejected with SharedFetchError
+     * default is 10000, 0 means no timeout
+     */
+    fetchTimeout?: number;
+
+    /**
+     * what happens to group level shared objects when client leaves their group
+     * 'remove' releases them, 'mark' keeps them and only sets their $stale flag
+     * shared objects are marked stale in both cases
+     * default is 'remove'
+     */
+    groupCleanup?: 'remove' | 'mark';
+
+    /**
+     * storage adapter which persists socketId and client level shared objects
+     * built-in adapters are MemoryStorage and FileStorage
+     */
+    storage?: SyncsStorage;
+
+    /**
+     * time to wait after a change before state is persisted
+     * default is 100 ms
+     */
+    persistDelay?: number;
+
+    /**
+     * adds base version and write time to client level sync commands
+     * and detects server changes of properties which have unacknowledged local writes
+     * server should answer client writes with sync-ack commands
+     * default is false
+     */
+    conflictDetection?: boolean;
+
+    /**
+     * how conflicts are resolved: 'last-writer-wins', 'server-wins', 'client-wins'
+     * or a function which returns resolved value
+     * default is 'last-writer-wins'
+     */
+    conflictPolicy?: 'last-writer-wins' | 'server-wins' | 'client-wins' | ((conflict: SharedObjectConflict) => any);
+
+    /**
+     * schemas of shared objects, events and rmi function arguments
+     * JSON Schema objects or validator functions are supported
+     * schemas can also be registered with sharedSchema, eventSchema and functionSchema methods
+     */
+    schemas?: SyncsSchemas;
+
+    /**
+     * logger which receives client logs with structured fields
+     * default is consoleLogger
+     */
+    logger?: SyncsLogger;
+
+    /**
+     * minimum level of written logs, debug mode enables all levels
+     * default is 'silent'
+     */
+    logLevel?: SyncsLogLevel;
+
+    /**
+     * callback which periodically receives metrics snapshot while client is connected
+     */
+    metrics?: (stats: SyncsStats) => void;
+
+    /**
+     * time in ms between metrics callback calls
+     * default is 10000
+     */
+    metricsInterval?: number;
+
+    /**
+     * bounds of rmi latency histogram in ms
+     */
+    latencyBuckets?: number[];
+
+    /**
+     * tracer which starts spans of rmi calls and events
+     * span context is sent as trace of rmi and event commands
+     */
+    tracer?: SyncsTracer;
+
     /**
      * enables debug mode
      */
     debug?:boolean;
 
+    /**
+     * maximum number of messages to hold while client is offline
+     * default is 100, 0 disables queueing
+     */
+    queueSize?: number;
+
+    /**
+     * time in ms that a queued message stays valid
+     * default is 0 (never expires)
+     */
+    queueTTL?: number;
+
+    /**
+     * which message to drop when queue is full
+     * 'oldest' removes first queued message, 'newest' rejects new message
+     * default is 'oldest'
+     */
+    queueDropPolicy?: 'oldest' | 'newest';
+
+    /**
+     * socket buffer size in bytes which send and publish return false above it
+     * messages are held by client until buffer is drained, rmi commands are sent before other messages and events
+     * default is 0 (disabled)
+     */
+    highWaterMark?: number;
+
+    /**
+     * rate limits of published events by event name
+     * e.g. {'mouse-move': {limit: 10, interval: 1000, latestOnly: true}}
+     */
+    rateLimits?: {[event: string]: SyncsRateLimit};
+
+    /**
+     * time in ms to wait for remote method result before rejecting with RmiTimeoutError
+     * can be overridden per call using remote.withOptions({timeout})
+     * default is 0 (no timeout)
+     */
+    rmiTimeout?: number;
+
+    /**
+     * merge client level shared object changes made in the same tick
+     * into one sync command and one change event
+     * default is false
+     */
+    autoBatch?: boolean;
+
+
+}
+
+/**
+ * rate limit of an event
+ */
+export interface SyncsRateLimit {
+
+    /**
+     * maximum number of events sent in interval, extra events wait until limit allows
+     */
+    limit: number;
+
+    /**
+     * time window in ms
+     * default is 1000
+     */
+    interval?: number;
+
+    /**
+     * only the latest waiting value of event is sent, earlier waiting values are dropped
+     */
+    latestOnly?: boolean;
+}
+
+/**
+ * options of a remote method call
+ */
+export interface RmiCallOptions {
+
+    /**
+     * time in ms to wait for result, overrides rmiTimeout config
+     */
+    timeout?: number;
+
+    /**
+     * signal to cancel the call, Syncs server is notified with rmi-cancel command
+     */
+    signal?: RmiAbortSignal;
+
+    /**
+     * call is safe to be sent again if connection drops before result arrives
+     * idempotent calls are retried after reconnect instead of being rejected
+     */
+    idempotent?: boolean;
+
+    /**
+     * call returns async iterator of streamed results instead of Promise
+     * remoteStream object sets this option
+     */
+    stream?: boolean;
+}
 
-}
\ No newline at end of file
+/**
+ * minimal AbortSignal interface accepted by remote method calls
+ */
+export interface RmiAbortSignal {
+    aborted: boolean;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+}
@@ -0,0 +1,312 @@
+/// <reference types="node" />
+/// <reference types="ws" />
+import * as WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import { SyncsCodec } from './codec';
+/**
+ * Lightweight in-process Syncs server to test client code without a real deployment
+ * server listens on loopback interface and implements Syncs protocol commands
+ * names of events, shared objects and functions of a client namespace are written as 'namespace/name'
+ * events:
+ * 'connection' (client: MockSyncsClient) client finished handshake
+ * 'disconnect' (client: MockSyncsClient) client connection closed
+ * 'command' (command: any, client: MockSyncsClient) command received from client
+ * 'event' (event: string, data: any, client: MockSyncsClient) client published an event
+ * 'sync' (name: string, data: any, client: MockSyncsClient) client changed a client level shared object
+ */
+export declare class MockSyncsServer extends EventEmitter {
+    clients: MockSyncsClient[];
+    functions: {
+        [name: string]: (...args: any[]) => any;
+    };
+    options: MockSyncsServerOptions;
+    private httpServer;
+    private wsServer;
+    private knownSocketIds;
+    private globalShared;
+    private groupShared;
+    private receivedCommands;
+    private lastSocketId;
+    /**
+     * @constructor
+     * @param {MockSyncsServerOptions} options
+     */
+    constructor(options?: MockSyncsServerOptions);
+    /**
+     * starts listening and resolves url of server
+     * @return {Promise<string>}
+     */
+    listen(): Promise<string>;
+    /**
+     * url which clients should connect to
+     * @return {string}
+     */
+    readonly url: string;
+    /**
+     * closes all connections and stops listening
+     * @return {Promise<void>}
+     */
+    close(): Promise<void>;
+    /**
+     * terminates all client connections without close handshake
+     */
+    dropAll(): void;
+    /**
+     * returns commands received from all clients in arrival order
+     * @param {string} type only commands of this type are returned
+     * @return {any[]}
+     */
+    received(type?: string): any[];
+    /**
+     * resolves next received command of type which matches predicate
+     * @param {string} type
+     * @param {(command: any) => boolean} predicate
+     * @param {number} timeout rejects after timeout milliseconds
+     * @return {Promise<any>}
+     */
+    waitFor(type: string, predicate?: (command: any) => boolean, timeout?: number): Promise<any>;
+    /**
+     * resolves next client which finishes handshake
+     * @param {number} timeout
+     * @return {Promise<MockSyncsClient>}
+     */
+    waitForClient(timeout?: number): Promise<MockSyncsClient>;
+    /**
+     * sends event to all clients
+     * @param {string} event
+     * @param {any} data
+     */
+    publish(event: string, data: any): void;
+    /**
+     * changes global level shared object and syncs changed values to all clients
+     * @param {string} name
+     * @param {any} values
+     */
+    setGlobalShared(name: string, values: any): void;
+    /**
+     * changes group level shared object and syncs changed values to group members
+     * @param {string} group
+     * @param {string} name
+     * @param {any} values
+     */
+    setGroupShared(group: string, name: string, values: any): void;
+    /**
+     * returns data of global level shared object
+     * @param {string} name
+     * @return {any}
+     */
+    getGlobalShared(name: string): any;
+    /**
+     * returns data of group level shared object
+     * @param {string} group
+     * @param {string} name
+     * @return {any}
+     */
+    getGroupShared(group: string, name: string): any;
+    /**
+     * returns client by socket id
+     * @param {string} socketId
+     * @return {MockSyncsClient}
+     */
+    client(socketId: string): MockSyncsClient;
+    /**
+     * starts handshake of new connection
+     * @param {WebSocket} socket
+     */
+    private handleConnection(socket);
+    /**
+     * handles command received from client
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleCommand(client, command);
+    /**
+     * checks credentials with authenticate option
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleAuthenticate(client, command);
+    /**
+     * resumes known session or assigns new socket id
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleReportSocketId(client, command);
+    /**
+     * stores client level shared object change
+     * writes with versions are acknowledged by sync-ack command
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleSync(client, command);
+    /**
+     * returns deep copy of received value, so later changes of client state don't change received commands
+     * @param {any} value
+     * @return {any}
+     */
+    private copy(value);
+    /**
+     * sends snapshot of requested shared object
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleFetchShared(client, command);
+    /**
+     * calls server function for client remote call and sends result
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleRmi(client, command);
+}
+/**
+ * connection of a client to MockSyncsServer
+ */
+export declare class MockSyncsClient {
+    socketId: string;
+    headers: {
+        [key: string]: string;
+    };
+    groups: Set<string>;
+    shared: Map<string, any>;
+    received: any[];
+    private socket;
+    private codec;
+    private versions;
+    private pendingCalls;
+    private streams;
+    private lastCallId;
+    /**
+     * @constructor
+     * @param {WebSocket} socket
+     * @param {SyncsCodec} codec
+     */
+    constructor(socket: WebSocket, codec: SyncsCodec);
+    /**
+     * sends syncs-command to client
+     * @param {any} command
+     */
+    send(command: any): void;
+    /**
+     * sends message to client without marking it as syncs-command
+     * @param {any} message
+     */
+    sendRaw(message: any): void;
+    /**
+     * sends event to client
+     * @param {string} event
+     * @param {any} data
+     */
+    publish(event: string, data: any): void;
+    /**
+     * changes client level shared object and syncs changed values to client
+     * @param {string} name
+     * @param {any} values
+     */
+    setShared(name: string, values: any): void;
+    /**
+     * returns data of client level shared object
+     * @param {string} name
+     * @return {any}
+     */
+    getShared(name: string): any;
+    /**
+     * adds client to group
+     * @param {string} group
+     */
+    joinGroup(group: string): void;
+    /**
+     * removes client from group
+     * @param {string} group
+     */
+    leaveGroup(group: string): void;
+    /**
+     * calls function of client and resolves its result
+     * @param {string} name
+     * @param args
+     * @return {Promise<any>}
+     */
+    call(name: string, ...args: any[]): Promise<any>;
+    /**
+     * calls function of client which streams its result
+     * returns async iterator of streamed values, stopping iteration cancels the call
+     * @param {string} name
+     * @param args
+     * @return {AsyncIterableIterator<any>}
+     */
+    callStream(name: string, ...args: any[]): AsyncIterableIterator<any>;
+    /**
+     * handles rmi-stream command of a streamed call
+     * @param {any} command
+     */
+    handleStream(command: any): void;
+    /**
+     * sends values of iterator to client with rmi-stream commands
+     * @param {string} id
+     * @param {AsyncIterator<any>} iterator
+     * @param {string} namespace namespace of rmi command
+     */
+    stream(id: string, iterator: AsyncIterator<any>, namespace?: string): void;
+    /**
+     * stops streaming result which is cancelled by client
+     * @param {string} id
+     */
+    cancelStream(id: string): void;
+    /**
+     * returns commands of type received from client
+     * @param {string} type
+     * @return {any[]}
+     */
+    receivedOf(type: string): any[];
+    /**
+     * terminates connection without close handshake
+     */
+    drop(): void;
+    /**
+     * closes connection
+     */
+    close(): void;
+    /**
+     * settles remote call by rmi-result command
+     * @param {any} command
+     */
+    settleCall(command: any): void;
+    /**
+     * rejects remote calls which are waiting for result when connection closes
+     */
+    rejectPendingCalls(): void;
+    /**
+     * increases version of client level shared object property
+     * @param {string} name
+     * @param {string} key
+     * @return {number}
+     */
+    nextVersion(name: string, key: string): number;
+}
+/**
+ * MockSyncsServer options
+ */
+export interface MockSyncsServerOptions {
+    /**
+     * listening port, default is 0 which picks a free port
+     */
+    port?: number;
+    /**
+     * listening host, default is '127.0.0.1'
+     */
+    host?: string;
+    /**
+     * codec of frames, should be same as client codec
+     * default is uriJsonCodec
+     */
+    codec?: SyncsCodec;
+    /**
+     * resumes session of clients which report a socket id assigned by this server
+     * default is true
+     */
+    resume?: boolean;
+    /**
+     * checks credentials of authenticate command, may return Promise
+     * all credentials are accepted by default
+     */
+    authenticate?: (credentials: any) => boolean | Promise<boolean>;
+}
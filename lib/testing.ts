@@ -0,0 +1,740 @@
+import * as http from 'http';
+import * as WebSocket from 'ws';
+import {EventEmitter} from 'events';
+import {SyncsCodec, uriJsonCodec} from './codec';
+import {fromErrorEnvelope, RemoteMethodNotFoundError, toErrorEnvelope} from './errors';
+import {AsyncBuffer, isAsyncIterable} from './streams';
+
+/**
+ * Lightweight in-process Syncs server to test client code without a real deployment
+ * server listens on loopback interface and implements Syncs protocol commands
+ * names of events, shared objects and functions of a client namespace are written as 'namespace/name'
+ * events:
+ * 'connection' (client: MockSyncsClient) client finished handshake
+ * 'disconnect' (client: MockSyncsClient) client connection closed
+ * 'command' (command: any, client: MockSyncsClient) command received from client
+ * 'event' (event: string, data: any, client: MockSyncsClient) client published an event
+ * 'sync' (name: string, data: any, client: MockSyncsClient) client changed a client level shared object
+ */
+export class MockSyncsServer extends EventEmitter {
+    public clients: MockSyncsClient[] = [];
+    public functions: {[name: string]: (...args: any[]) => any} = {};
+    public options: MockSyncsServerOptions;
+    private httpServer: http.Server;
+    private wsServer: WebSocket.Server;
+    private knownSocketIds: Set<string> = new Set();
+    private globalShared: Map<string, any> = new Map();
+    private groupShared: Map<string, Map<string, any>> = new Map();
+    private receivedCommands: any[] = [];
+    private lastSocketId = 0;
+
+    /**
+     * @constructor
+     * @param {MockSyncsServerOptions} options
+     */
+    constructor(options: MockSyncsServerOptions = {}) {
+        super();
+        this.options = {
+            port: options.port || 0,
+            host: options.host || '127.0.0.1',
+            codec: options.codec || uriJsonCodec,
+            resume: options.resume == undefined ? true : options.resume,
+            authenticate: options.authenticate
+        };
+    }
+
+    /**
+     * starts listening and resolves url of server
+     * @return {Promise<string>}
+     */
+    public listen(): Promise<string> {
+        this.httpServer = http.createServer();
+        this.wsServer = new WebSocket.Server({server: this.httpServer});
+        this.wsServer.on('connection', (socket: WebSocket) => this.handleConnection(socket));
+        return new Promise<string>((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.options.port, this.options.host, () => resolve(this.url));
+        });
+    }
+
+    /**
+     * url which clients should connect to
+     * @return {string}
+     */
+    public get url(): string {
+        return `ws://${this.options.host}:${this.httpServer.address().port}`;
+    }
+
+    /**
+     * closes all connections and stops listening
+     * @return {Promise<void>}
+     */
+    public close(): Promise<void> {
+        this.clients.slice().forEach(client => client.drop());
+        return new Promise<void>(resolve => {
+            this.wsServer.close(() => this.httpServer.close(() => resolve()));
+        });
+    }
+
+    /**
+     * terminates all client connections without close handshake
+     */
+    public dropAll() {
+        this.clients.slice().forEach(client => client.drop());
+    }
+
+    /**
+     * returns commands received from all clients in arrival order
+     * @param {string} type only commands of this type are returned
+     * @return {any[]}
+     */
+    public received(type?: string): any[] {
+        return this.receivedCommands.filter(command => type === undefined || command.type == type);
+    }
+
+    /**
+     * resolves next received command of type which matches predicate
+     * @param {string} type
+     * @param {(command: any) => boolean} predicate
+     * @param {number} timeout rejects after timeout milliseconds
+     * @return {Promise<any>}
+     */
+    public waitFor(type: string, predicate: (command: any) => boolean = () => true, timeout = 2000): Promise<any> {
+        return waitForEvent(this, 'command', (command: any) => command.type == type && predicate(command), timeout, `command '${type}'`);
+    }
+
+    /**
+     * resolves next client which finishes handshake
+     * @param {number} timeout
+     * @return {Promise<MockSyncsClient>}
+     */
+    public waitForClient(timeout = 2000): Promise<MockSyncsClient> {
+        return waitForEvent(this, 'connection', () => true, timeout, 'client connection');
+    }
+
+    /**
+     * sends event to all clients
+     * @param {string} event
+     * @param {any} data
+     */
+    public publish(event: string, data: any) {
+        this.clients.forEach(client => client.publish(event, data));
+    }
+
+    /**
+     * changes global level shared object and syncs changed values to all clients
+     * @param {string} name
+     * @param {any} values
+     */
+    public setGlobalShared(name: string, values: any) {
+        this.globalShared.set(name, Object.assign(this.globalShared.get(name) || {}, values));
+        this.clients.forEach(client => client.send(setName({type: 'sync', scope: 'GLOBAL', values: values}, 'name', name)));
+    }
+
+    /**
+     * changes group level shared object and syncs changed values to group members
+     * @param {string} group
+     * @param {string} name
+     * @param {any} values
+     */
+    public setGroupShared(group: string, name: string, values: any) {
+        if (!this.groupShared.has(group)) {
+            this.groupShared.set(group, new Map());
+        }
+        let objects = this.groupShared.get(group);
+        objects.set(name, Object.assign(objects.get(name) || {}, values));
+        this.clients.filter(client => client.groups.has(group)).forEach(client => {
+            client.send(setName({type: 'sync', scope: 'GROUP', group: group, values: values}, 'name', name));
+        });
+    }
+
+    /**
+     * returns data of global level shared object
+     * @param {string} name
+     * @return {any}
+     */
+    public getGlobalShared(name: string): any {
+        return this.globalShared.get(name) || {};
+    }
+
+    /**
+     * returns data of group level shared object
+     * @param {string} group
+     * @param {string} name
+     * @return {any}
+     */
+    public getGroupShared(group: string, name: string): any {
+        let objects = this.groupShared.get(group);
+        return objects && objects.get(name) || {};
+    }
+
+    /**
+     * returns client by socket id
+     * @param {string} socketId
+     * @return {MockSyncsClient}
+     */
+    public client(socketId: string): MockSyncsClient {
+        return this.clients.find(client => client.socketId == socketId) || null;
+    }
+
+    /**
+     * starts handshake of new connection
+     * @param {WebSocket} socket
+     */
+    private handleConnection(socket: WebSocket) {
+        let client = new MockSyncsClient(socket, this.options.codec);
+        socket.on('message', (data: any) => {
+            let command: any;
+            try {
+                command = this.options.codec.decode(data);
+            } catch (e) {
+                return;
+            }
+            if (command && command.command) {
+                this.handleCommand(client, command);
+            }
+        });
+        socket.on('close', () => {
+            let index = this.clients.indexOf(client);
+            if (index > -1) {
+                this.clients.splice(index, 1);
+                client.rejectPendingCalls();
+                this.emit('disconnect', client);
+            }
+        });
+        client.send({type: 'getSocketId'});
+    }
+
+    /**
+     * handles command received from client
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleCommand(client: MockSyncsClient, command: any) {
+        client.received.push(command);
+        this.receivedCommands.push(command);
+        switch (command.type) {
+            case 'authenticate':
+                this.handleAuthenticate(client, command);
+                break;
+            case 'reportSocketId':
+                this.handleReportSocketId(client, command);
+                break;
+            case 'event':
+                this.emit('event', joinName(command.namespace, command.event), command.data, client);
+                break;
+            case 'sync':
+                this.handleSync(client, command);
+                break;
+            case 'fetchShared':
+                this.handleFetchShared(client, command);
+                break;
+            case 'rmi':
+                this.handleRmi(client, command);
+                break;
+            case 'rmi-result':
+                client.settleCall(command);
+                break;
+            case 'rmi-stream':
+                client.handleStream(command);
+                break;
+            case 'rmi-cancel':
+                client.cancelStream(command.id);
+                break;
+            case 'ping':
+                client.send({type: 'pong', time: command.time});
+                break;
+        }
+        this.emit('command', command, client);
+    }
+
+    /**
+     * checks credentials with authenticate option
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleAuthenticate(client: MockSyncsClient, command: any) {
+        let authenticate = this.options.authenticate || (() => true);
+        Promise.resolve().then(() => authenticate(command.credentials)).then(accepted => {
+            if (accepted) {
+                client.send({type: 'authenticated'});
+            } else {
+                client.send({type: 'authenticate-error', error: {message: 'invalid credentials'}});
+            }
+        }, error => {
+            client.send({type: 'authenticate-error', error: toErrorEnvelope(error, false)});
+        });
+    }
+
+    /**
+     * resumes known session or assigns new socket id
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleReportSocketId(client: MockSyncsClient, command: any) {
+        if (command.socketId && this.options.resume && this.knownSocketIds.has(command.socketId)) {
+            client.socketId = command.socketId;
+        } else {
+            client.socketId = 'mock-' + (++this.lastSocketId);
+            this.knownSocketIds.add(client.socketId);
+            client.send({type: 'setSocketId', socketId: client.socketId});
+        }
+        this.clients.push(client);
+        this.emit('connection', client);
+    }
+
+    /**
+     * stores client level shared object change
+     * writes with versions are acknowledged by sync-ack command
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleSync(client: MockSyncsClient, command: any) {
+        if (command.scope != 'CLIENT') {
+            return;
+        }
+        let name = joinName(command.namespace, command.name);
+        let data = client.getShared(name);
+        let keys: string[];
+        if (command.values) {
+            Object.assign(data, this.copy(command.values));
+            keys = Object.keys(command.values);
+        } else {
+            let path: string[] = Array.isArray(command.key) ? command.key : [command.key];
+            let target = data;
+            for (let key of path.slice(0, -1)) {
+                if (target[key] === null || typeof target[key] != 'object') {
+                    target[key] = {};
+                }
+                target = target[key];
+            }
+            target[path[path.length - 1]] = this.copy(command.value);
+            keys = [path[0]];
+        }
+        client.shared.set(name, data);
+        if (command.version !== undefined || command.versions !== undefined) {
+            let versions: any = {};
+            for (let key of keys) {
+                versions[key] = client.nextVersion(name, key);
+            }
+            client.send(setName({type: 'sync-ack', scope: 'CLIENT', versions: versions, time: command.time}, 'name', name));
+        }
+        this.emit('sync', name, data, client);
+    }
+
+    /**
+     * returns deep copy of received value, so later changes of client state don't change received commands
+     * @param {any} value
+     * @return {any}
+     */
+    private copy(value: any): any {
+        if (value === undefined) {
+            return value;
+        }
+        return this.options.codec.decode(this.options.codec.encode(value));
+    }
+
+    /**
+     * sends snapshot of requested shared object
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleFetchShared(client: MockSyncsClient, command: any) {
+        let name = joinName(command.namespace, command.name);
+        let values: any;
+        switch (command.scope) {
+            case 'GLOBAL':
+                values = this.getGlobalShared(name);
+                break;
+            case 'GROUP':
+                values = this.getGroupShared(command.group, name);
+                break;
+            default:
+                values = client.getShared(name);
+        }
+        let sync: any = setName({type: 'sync', scope: command.scope, values: values, snapshot: true}, 'name', name);
+        if (command.group !== undefined) {
+            sync.group = command.group;
+        }
+        client.send(sync);
+    }
+
+    /**
+     * calls server function for client remote call and sends result
+     * @param {MockSyncsClient} client
+     * @param {any} command
+     */
+    private handleRmi(client: MockSyncsClient, command: any) {
+        let name = joinName(command.namespace, command.name);
+        let func = Object.prototype.hasOwnProperty.call(this.functions, name) ? this.functions[name] : undefined;
+        if (typeof func != 'function') {
+            let error = toErrorEnvelope(new RemoteMethodNotFoundError(command.name, command.id), false);
+            client.send(setNamespace({type: 'rmi-result', id: command.id, result: null, error: error}, command.namespace));
+            return;
+        }
+        Promise.resolve().then(() => func.apply(client, command.args || [])).then(result => {
+            if (command.stream && isAsyncIterable(result)) {
+                client.stream(command.id, result[Symbol.asyncIterator](), command.namespace);
+                return;
+            }
+            client.send(setNamespace({type: 'rmi-result', id: command.id, result: result, error: null}, command.namespace));
+        }, error => {
+            client.send(setNamespace({type: 'rmi-result', id: command.id, result: null, error: toErrorEnvelope(error, false)}, command.namespace));
+        });
+    }
+}
+
+/**
+ * connection of a client to MockSyncsServer
+ */
+export class MockSyncsClient {
+    public socketId: string = null;
+    public headers: {[key: string]: string} = {};
+    public groups: Set<string> = new Set();
+    public shared: Map<string, any> = new Map();
+    public received: any[] = [];
+    private socket: WebSocket;
+    private codec: SyncsCodec;
+    private versions: Map<string, number> = new Map();
+    private pendingCalls: Map<string, {name: string, resolve: (result: any) => void, reject: (error: any) => void, stream?: AsyncBuffer<any>}> = new Map();
+    private streams: Map<string, AsyncIterator<any>> = new Map();
+    private lastCallId = 0;
+
+    /**
+     * @constructor
+     * @param {WebSocket} socket
+     * @param {SyncsCodec} codec
+     */
+    constructor(socket: WebSocket, codec: SyncsCodec) {
+        this.socket = socket;
+        this.codec = codec;
+        if (socket.upgradeReq) {
+            this.headers = socket.upgradeReq.headers;
+        }
+    }
+
+    /**
+     * sends syncs-command to client
+     * @param {any} command
+     */
+    public send(command: any) {
+        command.command = true;
+        this.sendRaw(command);
+    }
+
+    /**
+     * sends message to client without marking it as syncs-command
+     * @param {any} message
+     */
+    public sendRaw(message: any) {
+        if (this.socket.readyState == WebSocket.OPEN) {
+            this.socket.send(this.codec.encode(message));
+        }
+    }
+
+    /**
+     * sends event to client
+     * @param {string} event
+     * @param {any} data
+     */
+    public publish(event: string, data: any) {
+        this.send(setName({type: 'event', data: data}, 'event', event));
+    }
+
+    /**
+     * changes client level shared object and syncs changed values to client
+     * @param {string} name
+     * @param {any} values
+     */
+    public setShared(name: string, values: any) {
+        this.shared.set(name, Object.assign(this.getShared(name), values));
+        this.send(setName({type: 'sync', scope: 'CLIENT', values: values}, 'name', name));
+    }
+
+    /**
+     * returns data of client level shared object
+     * @param {string} name
+     * @return {any}
+     */
+    public getShared(name: string): any {
+        return this.shared.get(name) || {};
+    }
+
+    /**
+     * adds client to group
+     * @param {string} group
+     */
+    public joinGroup(group: string) {
+        this.groups.add(group);
+        this.send({type: 'groupJoin', group: group});
+    }
+
+    /**
+     * removes client from group
+     * @param {string} group
+     */
+    public leaveGroup(group: string) {
+        this.groups.delete(group);
+        this.send({type: 'groupLeave', group: group});
+    }
+
+    /**
+     * calls function of client and resolves its result
+     * @param {string} name
+     * @param args
+     * @return {Promise<any>}
+     */
+    public call(name: string, ...args: any[]): Promise<any> {
+        let id = 'mock-rmi-' + (++this.lastCallId);
+        return new Promise((resolve, reject) => {
+            this.pendingCalls.set(id, {name: name, resolve: resolve, reject: reject});
+            this.send(setName({type: 'rmi', args: args, id: id}, 'name', name));
+        });
+    }
+
+    /**
+     * calls function of client which streams its result
+     * returns async iterator of streamed values, stopping iteration cancels the call
+     * @param {string} name
+     * @param args
+     * @return {AsyncIterableIterator<any>}
+     */
+    public callStream(name: string, ...args: any[]): AsyncIterableIterator<any> {
+        let id = 'mock-rmi-' + (++this.lastCallId);
+        let buffer = new AsyncBuffer<any>(Infinity, () => {
+            if (this.pendingCalls.has(id)) {
+                this.pendingCalls.delete(id);
+                this.send({type: 'rmi-cancel', id: id});
+            }
+        });
+        this.pendingCalls.set(id, {name: name, resolve: () => buffer.end(), reject: error => buffer.end(error), stream: buffer});
+        this.send(setName({type: 'rmi', args: args, id: id, stream: true}, 'name', name));
+        return buffer;
+    }
+
+    /**
+     * handles rmi-stream command of a streamed call
+     * @param {any} command
+     */
+    public handleStream(command: any) {
+        let call = this.pendingCalls.get(command.id);
+        if (!call || !call.stream) {
+            return;
+        }
+        if (!command.done) {
+            call.stream.push(command.value);
+            return;
+        }
+        this.settleCall({id: command.id, error: command.error});
+    }
+
+    /**
+     * sends values of iterator to client with rmi-stream commands
+     * @param {string} id
+     * @param {AsyncIterator<any>} iterator
+     * @param {string} namespace namespace of rmi command
+     */
+    public stream(id: string, iterator: AsyncIterator<any>, namespace: string = null) {
+        this.streams.set(id, iterator);
+        iterator.next().then(item => {
+            if (!this.streams.has(id)) {
+                return;
+            }
+            if (item.done) {
+                this.streams.delete(id);
+                this.send(setNamespace({type: 'rmi-stream', id: id, done: true}, namespace));
+                return;
+            }
+            this.send(setNamespace({type: 'rmi-stream', id: id, value: item.value}, namespace));
+            this.stream(id, iterator, namespace);
+        }, error => {
+            if (this.streams.has(id)) {
+                this.streams.delete(id);
+                this.send(setNamespace({type: 'rmi-stream', id: id, done: true, error: toErrorEnvelope(error, false)}, namespace));
+            }
+        });
+    }
+
+    /**
+     * stops streaming result which is cancelled by client
+     * @param {string} id
+     */
+    public cancelStream(id: string) {
+        let iterator = this.streams.get(id);
+        if (iterator) {
+            this.streams.delete(id);
+            if (typeof iterator.return == 'function') {
+                Promise.resolve(iterator.return()).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * returns commands of type received from client
+     * @param {string} type
+     * @return {any[]}
+     */
+    public receivedOf(type: string): any[] {
+        return this.received.filter(command => command.type == type);
+    }
+
+    /**
+     * terminates connection without close handshake
+     */
+    public drop() {
+        this.socket.terminate();
+    }
+
+    /**
+     * closes connection
+     */
+    public close() {
+        this.socket.close();
+    }
+
+    /**
+     * settles remote call by rmi-result command
+     * @param {any} command
+     */
+    public settleCall(command: any) {
+        let call = this.pendingCalls.get(command.id);
+        if (!call) {
+            return;
+        }
+        this.pendingCalls.delete(command.id);
+        if (command.error) {
+            call.reject(fromErrorEnvelope(command.error, call.name, command.id));
+        } else {
+            if (call.stream && command.result !== undefined && command.result !== null) {
+                call.stream.push(command.result);
+            }
+            call.resolve(command.result);
+        }
+    }
+
+    /**
+     * rejects remote calls which are waiting for result when connection closes
+     */
+    public rejectPendingCalls() {
+        this.pendingCalls.forEach(call => call.reject(new Error(`connection closed before '${call.name}' returned`)));
+        this.pendingCalls.clear();
+        this.streams.forEach((iterator, id) => this.cancelStream(id));
+    }
+
+    /**
+     * increases version of client level shared object property
+     * @param {string} name
+     * @param {string} key
+     * @return {number}
+     */
+    public nextVersion(name: string, key: string): number {
+        let versionKey = JSON.stringify([name, key]);
+        let version = (this.versions.get(versionKey) || 0) + 1;
+        this.versions.set(versionKey, version);
+        return version;
+    }
+}
+
+/**
+ * returns name which mock server uses for a name in namespace
+ * @param {string} namespace
+ * @param {string} name
+ * @return {string} 'namespace/name' or name if namespace is not set
+ */
+function joinName(namespace: string, name: string): string {
+    if (namespace === undefined || namespace === null) {
+        return name;
+    }
+    return namespace + '/' + name;
+}
+
+/**
+ * adds namespace of request to reply command
+ * @param {any} command
+ * @param {string} namespace
+ * @return {any} command
+ */
+function setNamespace(command: any, namespace: string): any {
+    if (namespace !== undefined && namespace !== null) {
+        command.namespace = namespace;
+    }
+    return command;
+}
+
+/**
+ * sets name property of command and its namespace if name is written as 'namespace/name'
+ * @param {any} command
+ * @param {string} property
+ * @param {string} name
+ * @return {any} command
+ */
+function setName(command: any, property: string, name: string): any {
+    let separator = name.indexOf('/');
+    if (separator > -1) {
+        command.namespace = name.substring(0, separator);
+        command[property] = name.substring(separator + 1);
+    } else {
+        command[property] = name;
+    }
+    return command;
+}
+
+/**
+ * resolves first emitted arguments of event which match predicate
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {(value: any) => boolean} predicate
+ * @param {number} timeout
+ * @param {string} description used in timeout error
+ * @return {Promise<any>}
+ */
+function waitForEvent(emitter: EventEmitter, event: string, predicate: (value: any) => boolean, timeout: number, description: string): Promise<any> {
+    return new Promise((resolve, reject) => {
+        let listener = (value: any) => {
+            if (predicate(value)) {
+                clearTimeout(timer);
+                emitter.removeListener(event, listener);
+                resolve(value);
+            }
+        };
+        let timer = setTimeout(() => {
+            emitter.removeListener(event, listener);
+            reject(new Error(`timed out waiting for ${description}`));
+        }, timeout);
+        emitter.on(event, listener);
+    });
+}
+
+/**
+ * MockSyncsServer options
+ */
+export interface MockSyncsServerOptions {
+
+    /**
+     * listening port, default is 0 which picks a free port
+     */
+    port?: number;
+
+    /**
+     * listening host, default is '127.0.0.1'
+     */
+    host?: string;
+
+    /**
+     * codec of frames, should be same as client codec
+     * default is uriJsonCodec
+     */
+    codec?: SyncsCodec;
+
+    /**
+     * resumes session of clients which report a socket id assigned by this server
+     * default is true
+     */
+    resume?: boolean;
+
+    /**
+     * checks credentials of authenticate command, may return Promise
+     * all credentials are accepted by default
+     */
+    authenticate?: (credentials: any) => boolean | Promise<boolean>;
+}
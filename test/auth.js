@@ -0,0 +1,82 @@
+const assert = require('assert');
+const {Syncs, AuthenticationError} = require('../index');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, once, close} = require('./helpers');
+
+describe('connection options and authentication', () => {
+    let server;
+    let io;
+    let accepted;
+
+    beforeEach(() => {
+        accepted = [];
+        server = new MockSyncsServer({
+            authenticate: credentials => {
+                accepted.push(credentials);
+                return credentials.token != 'invalid';
+            }
+        });
+        return server.listen();
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('sends configured headers, auth headers and protocols with handshake request', async () => {
+        let connection = await connect(server, {
+            headers: {'x-client': 'test', 'x-version': '1'},
+            protocols: 'syncs',
+            auth: () => ({headers: {'authorization': 'Bearer abc', 'x-version': '2'}})
+        });
+        io = connection.io;
+        assert.strictEqual(connection.client.headers['x-client'], 'test');
+        assert.strictEqual(connection.client.headers['x-version'], '2');
+        assert.strictEqual(connection.client.headers['authorization'], 'Bearer abc');
+        assert.strictEqual(connection.client.headers['sec-websocket-protocol'], 'syncs');
+        assert.strictEqual(server.received('authenticate').length, 0);
+    });
+
+    it('authenticates with credentials before reporting socket id', async () => {
+        let connection = await connect(server, {auth: () => Promise.resolve({credentials: {token: 'abc'}})});
+        io = connection.io;
+        let types = server.received().map(command => command.type);
+        assert.deepStrictEqual(types.slice(0, 2), ['authenticate', 'reportSocketId']);
+        assert.deepStrictEqual(accepted, [{token: 'abc'}]);
+    });
+
+    it('evaluates auth hook again before reconnect', async () => {
+        let tokens = ['first', 'second'];
+        let connection = await connect(server, {reconnectDelay: 20, auth: () => ({
+            headers: {'authorization': tokens[0]},
+            credentials: {token: tokens.shift()}
+        })});
+        io = connection.io;
+        let reconnected = server.waitForClient();
+        connection.client.drop();
+        let client = await reconnected;
+        assert.strictEqual(client.headers['authorization'], 'second');
+        assert.deepStrictEqual(accepted, [{token: 'first'}, {token: 'second'}]);
+        assert.strictEqual(client.socketId, connection.client.socketId);
+    });
+
+    it('reports authenticate-error and closes without reconnecting', async () => {
+        io = new Syncs(server.url, {reconnectDelay: 20, logLevel: 'silent', auth: () => ({credentials: {token: 'invalid'}})});
+        let error = once(io, 'error');
+        let closed = once(io, 'close');
+        assert.ok((await error)[0] instanceof AuthenticationError);
+        await closed;
+        assert.strictEqual(io.online, false);
+        assert.strictEqual(server.received('reportSocketId').length, 0);
+        assert.strictEqual(server.clients.length, 0);
+    });
+
+    it('reports failing auth hook as error', async () => {
+        io = new Syncs(server.url, {autoReconnect: false, logLevel: 'silent', auth: () => {
+            throw new Error('no token');
+        }});
+        let error = (await once(io, 'error'))[0];
+        assert.strictEqual(error.message, 'no token');
+        assert.strictEqual(io.online, false);
+    });
+});
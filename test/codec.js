@@ -0,0 +1,19 @@
+const assert = require('assert');
+const {msgpackCodec} = require('../index');
+
+describe('msgpack codec', () => {
+
+    it('encodes binary values and views', () => {
+        let bytes = new Uint8Array([1, 2, 3, 4]);
+        let decoded = msgpackCodec.decode(msgpackCodec.encode({view: bytes.subarray(1, 3), buffer: bytes.buffer}));
+        assert.deepStrictEqual(Array.from(decoded.view), [2, 3]);
+        assert.deepStrictEqual(Array.from(decoded.buffer), [1, 2, 3, 4]);
+    });
+
+    it('decodes __proto__ key as own property', () => {
+        let decoded = msgpackCodec.decode(msgpackCodec.encode({['__proto__']: {polluted: true}, a: 1}));
+        assert.strictEqual(Object.getPrototypeOf(decoded), Object.prototype);
+        assert.strictEqual(decoded.polluted, undefined);
+        assert.deepStrictEqual(Object.keys(decoded), ['__proto__', 'a']);
+    });
+});
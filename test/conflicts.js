@@ -0,0 +1,115 @@
+const assert = require('assert');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, once, close} = require('./helpers');
+
+describe('conflict detection', () => {
+    let server;
+    let io;
+    let client;
+
+    beforeEach(() => {
+        server = new MockSyncsServer();
+        return server.listen();
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    /**
+     * connects with conflict policy and keeps mock server from acknowledging writes
+     * @param {any} conflictPolicy
+     */
+    async function connectWithPolicy(conflictPolicy) {
+        let connection = await connect(server, {conflictDetection: true, conflictPolicy: conflictPolicy});
+        io = connection.io;
+        client = connection.client;
+        let send = client.send.bind(client);
+        client.send = command => command.type == 'sync-ack' ? undefined : send(command);
+    }
+
+    /**
+     * writes local value and changes it on server before write is acknowledged
+     * @param {any} localValue
+     * @param {any} serverValue
+     * @param {number} serverTime
+     * @return {Promise<{write: any, conflict: any}>} sent write and emitted conflict
+     */
+    async function conflict(localValue, serverValue, serverTime) {
+        let profile = io.shared('profile');
+        profile.name = localValue;
+        let write = await server.waitFor('sync');
+        let conflicted = once(io, 'conflict');
+        let values = {name: serverValue};
+        client.send({type: 'sync', scope: 'CLIENT', name: 'profile', values: values, time: serverTime});
+        return {write: write, conflict: (await conflicted)[0]};
+    }
+
+    it('sends base version and time of writes and accepts acknowledged versions', async () => {
+        let connection = await connect(server, {conflictDetection: true});
+        io = connection.io;
+        let conflicts = [];
+        io.on('conflict', conflict => conflicts.push(conflict));
+        let profile = io.shared('profile');
+        profile.name = 'local';
+        let write = await server.waitFor('sync');
+        assert.strictEqual(write.version, 0);
+        assert.strictEqual(typeof write.time, 'number');
+        let changed = new Promise(resolve => profile.$onChange(resolve));
+        connection.client.setShared('profile', {name: 'server'});
+        await changed;
+        assert.strictEqual(profile.name, 'server');
+        profile.name = 'next';
+        assert.strictEqual((await server.waitFor('sync')).version, 1);
+        assert.deepStrictEqual(conflicts, []);
+    });
+
+    it('keeps server value with server-wins policy', async () => {
+        await connectWithPolicy('server-wins');
+        let result = await conflict('local', 'server');
+        assert.strictEqual(result.conflict.localValue, 'local');
+        assert.strictEqual(result.conflict.serverValue, 'server');
+        assert.strictEqual(result.conflict.resolved, 'server');
+        assert.strictEqual(io.shared('profile').name, 'server');
+        assert.strictEqual(server.received('sync').length, 1);
+    });
+
+    it('writes local value again with client-wins policy', async () => {
+        await connectWithPolicy('client-wins');
+        let result = await conflict('local', 'server');
+        assert.strictEqual(result.conflict.resolved, 'local');
+        assert.strictEqual(io.shared('profile').name, 'local');
+        let write = await server.waitFor('sync');
+        assert.strictEqual(write.value, 'local');
+        assert.deepStrictEqual(client.getShared('profile'), {name: 'local'});
+    });
+
+    it('keeps later write with last-writer-wins policy', async () => {
+        await connectWithPolicy('last-writer-wins');
+        let older = await conflict('local', 'server', 1);
+        assert.strictEqual(older.conflict.resolved, 'local');
+        assert.strictEqual(older.conflict.serverTime, 1);
+        assert.strictEqual(older.conflict.localTime, older.write.time);
+        let rewrite = await server.waitFor('sync');
+        assert.strictEqual(rewrite.value, 'local');
+        let later = await conflict('second', 'server', rewrite.time + 1000);
+        assert.strictEqual(later.conflict.resolved, 'server');
+        assert.strictEqual(io.shared('profile').name, 'server');
+    });
+
+    it('keeps server value with last-writer-wins policy when server sends no time', async () => {
+        await connectWithPolicy('last-writer-wins');
+        let result = await conflict('local', 'server');
+        assert.strictEqual(result.conflict.resolved, 'server');
+        assert.strictEqual(io.shared('profile').name, 'server');
+    });
+
+    it('resolves conflict with policy function', async () => {
+        await connectWithPolicy(({localValue, serverValue}) => localValue.concat(serverValue));
+        let result = await conflict(['a'], ['b']);
+        assert.deepStrictEqual(result.conflict.resolved, ['a', 'b']);
+        assert.deepStrictEqual(io.shared('profile').name, ['a', 'b']);
+        let write = await server.waitFor('sync');
+        assert.deepStrictEqual(write.value, ['a', 'b']);
+    });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, sleep, close} = require('./helpers');
+
+describe('publish and subscribe', () => {
+    let server;
+    let io;
+
+    beforeEach(async () => {
+        server = new MockSyncsServer();
+        await server.listen();
+        io = (await connect(server)).io;
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('delivers server events to subscriptions and patterns', async () => {
+        let received = [];
+        io.subscribe('news', data => received.push(['news', data]));
+        io.subscribe('room.*', (data, event) => received.push([event, data]));
+        server.publish('news', 1);
+        server.publish('room.42', 2);
+        await sleep(50);
+        assert.deepStrictEqual(received, [['news', 1], ['room.42', 2]]);
+    });
+
+    it('subscribes once and un-subscribes server events', async () => {
+        let received = [];
+        let removed = [];
+        let listener = data => removed.push(data);
+        io.subscribeOnce('chat', data => received.push(data));
+        io.subscribeOnce(/^alert/, data => received.push(data));
+        io.subscribe('typing', listener);
+        io.unSubscribe('typing', listener);
+        let unsubscribe = io.subscribe('news', listener);
+        unsubscribe();
+        server.publish('chat', 1);
+        server.publish('chat', 2);
+        server.publish('alert.high', 3);
+        server.publish('typing', 4);
+        server.publish('news', 5);
+        await sleep(50);
+        assert.deepStrictEqual(received, [1, 3]);
+        assert.deepStrictEqual(removed, []);
+    });
+
+    it('keeps on, once and off as event emitter methods', () => {
+        let calls = [];
+        let listener = () => calls.push('on');
+        io.on('custom', listener);
+        io.once('custom', () => calls.push('once'));
+        io.emit('custom');
+        io.off('custom', listener);
+        io.emit('custom');
+        assert.deepStrictEqual(calls, ['on', 'once']);
+    });
+});
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const {MockSyncsServer} = require('../lib/testing');
+const {Syncs} = require('../index');
+const {connect, close} = require('./helpers');
+
+describe('flow control', () => {
+    let server;
+    let io;
+
+    beforeEach(() => {
+        server = new MockSyncsServer();
+        return server.listen();
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('drops messages which can not be encoded and keeps sending others', async () => {
+        io = (await connect(server)).io;
+        let errors = [];
+        io.on('error', error => errors.push(error));
+        let circular = {};
+        circular.self = circular;
+        io.publish('bad', circular);
+        io.publish('good', 1);
+        await server.waitFor('event', command => command.event == 'good');
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(io.queueLength, 0);
+    });
+
+    it('drops queued messages which can not be encoded when replaying them', async () => {
+        io = new Syncs(server.url, {autoConnect: false, logLevel: 'silent'});
+        io.on('error', () => {});
+        let circular = {};
+        circular.self = circular;
+        io.publish('bad', circular);
+        io.publish('good', 1);
+        io.connect();
+        await server.waitFor('event', command => command.event == 'good');
+        assert.deepStrictEqual(server.received('event').map(command => command.event), ['good']);
+        assert.strictEqual(io.queueLength, 0);
+    });
+
+    it('keeps latest rate limited events up to queueSize', async () => {
+        io = (await connect(server, {queueSize: 3, rateLimits: {move: {limit: 1, interval: 100}}})).io;
+        for (let i = 0; i < 10; i++) {
+            assert.strictEqual(io.publish('move', i), true);
+        }
+        assert.strictEqual(io.queueLength, 3);
+        await server.waitFor('event', command => command.data == 9, 1000);
+        assert.deepStrictEqual(server.received('event').map(command => command.data), [0, 7, 8, 9]);
+    });
+
+    it('rejects new rate limited events of full lane with newest drop policy', async () => {
+        io = (await connect(server, {queueSize: 2, queueDropPolicy: 'newest', rateLimits: {move: {limit: 1, interval: 100}}})).io;
+        let results = [];
+        for (let i = 0; i < 5; i++) {
+            results.push(io.publish('move', i));
+        }
+        assert.deepStrictEqual(results, [true, true, true, false, false]);
+        await server.waitFor('event', command => command.data == 2, 1000);
+        assert.deepStrictEqual(server.received('event').map(command => command.data), [0, 1, 2]);
+    });
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, once, close} = require('./helpers');
+
+describe('heartbeat', () => {
+    let server;
+    let io;
+
+    beforeEach(() => {
+        server = new MockSyncsServer();
+        return server.listen();
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('reports latency of answered ping frames', async () => {
+        let connection = await connect(server, {heartbeatInterval: 20});
+        io = connection.io;
+        let latency = (await once(io, 'latency'))[0];
+        assert.ok(latency >= 0);
+        assert.strictEqual(io.latency, latency);
+    });
+
+    it('answers ping commands and reports latency', async () => {
+        let connection = await connect(server, {heartbeatInterval: 20, heartbeatMode: 'command'});
+        io = connection.io;
+        let ping = await server.waitFor('ping');
+        assert.strictEqual(typeof ping.time, 'number');
+        await once(io, 'latency');
+    });
+
+    it('terminates half-open connection and reconnects when heartbeat is not answered', async () => {
+        let connection = await connect(server, {
+            heartbeatInterval: 20,
+            heartbeatTimeout: 50,
+            heartbeatMode: 'command',
+            reconnectDelay: 20
+        });
+        io = connection.io;
+        let send = connection.client.send.bind(connection.client);
+        connection.client.send = command => command.type == 'pong' ? undefined : send(command);
+        let timeout = once(io, 'heartbeatTimeout');
+        let disconnected = once(io, 'disconnect');
+        await timeout;
+        assert.strictEqual(io.online, false);
+        await disconnected;
+        let results = await Promise.all([server.waitForClient(), once(io, 'open')]);
+        assert.strictEqual(results[1][1], true);
+        assert.notStrictEqual(results[0], connection.client);
+        assert.strictEqual(results[0].socketId, connection.client.socketId);
+        assert.deepStrictEqual(server.clients, [results[0]]);
+    });
+});
@@ -0,0 +1,49 @@
+const {Syncs} = require('../index');
+
+/**
+ * creates client of mock server and resolves it when handshake is completed on both sides
+ * @param {MockSyncsServer} server
+ * @param {SyncsConfig} configs
+ * @return {Promise<{io: Syncs, client: MockSyncsClient}>}
+ */
+function connect(server, configs = {}) {
+    let connection = server.waitForClient();
+    let io = new Syncs(server.url, Object.assign({logLevel: 'silent'}, configs));
+    return Promise.all([connection, once(io, 'open')]).then(results => ({io: io, client: results[0]}));
+}
+
+/**
+ * resolves next emit of event
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @return {Promise<any>}
+ */
+function once(emitter, event) {
+    return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+/**
+ * resolves after ms milliseconds
+ * @param {number} ms
+ * @return {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * disconnects client and resolves when it is closed
+ * @param {Syncs} io
+ * @return {Promise<void>}
+ */
+function close(io) {
+    if (!io.online) {
+        io.disconnect();
+        return Promise.resolve();
+    }
+    let closed = once(io, 'close');
+    io.disconnect();
+    return closed;
+}
+
+module.exports = {connect, once, sleep, close};
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const {RmiDroppedError} = require('../index');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, once, sleep, close} = require('./helpers');
+
+describe('interceptors', () => {
+    let server;
+    let io;
+    let client;
+
+    beforeEach(async () => {
+        server = new MockSyncsServer();
+        await server.listen();
+        let connection = await connect(server, {reconnectDelay: 1000, queueSize: 1});
+        io = connection.io;
+        client = connection.client;
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('transforms and drops outbound and inbound commands', async () => {
+        let received = [];
+        io.use({
+            outbound: command => {
+                if (command.type == 'event' && command.event == 'secret') {
+                    return null;
+                }
+                command.traceId = 't1';
+            },
+            inbound: command => {
+                if (command.type == 'event' && command.event == 'internal') {
+                    return false;
+                }
+                if (command.type == 'event') {
+                    return Object.assign({}, command, {data: command.data * 10});
+                }
+            }
+        });
+        io.subscribe('internal', data => received.push(['internal', data]));
+        io.subscribe('news', data => received.push(['news', data]));
+        io.publish('secret', 1);
+        io.publish('public', 2);
+        let command = await server.waitFor('event');
+        assert.strictEqual(command.event, 'public');
+        assert.strictEqual(command.traceId, 't1');
+        server.publish('internal', 1);
+        server.publish('news', 2);
+        await sleep(50);
+        assert.deepStrictEqual(received, [['news', 20]]);
+    });
+
+    it('keeps order of commands behind delayed command', async () => {
+        io.use({
+            outbound: command => {
+                if (command.type == 'event' && command.event == 'slow') {
+                    return sleep(50).then(() => command);
+                }
+            }
+        });
+        io.publish('slow', 1);
+        io.publish('fast', 2);
+        await server.waitFor('event', command => command.event == 'fast');
+        assert.deepStrictEqual(server.received('event').map(command => command.event), ['slow', 'fast']);
+    });
+
+    it('reports errors of interceptors and drops their commands', async () => {
+        let errors = [];
+        io.on('error', error => errors.push(error.message));
+        let remove = io.use({
+            outbound: command => {
+                if (command.type == 'event') {
+                    throw new Error('broken');
+                }
+            }
+        });
+        io.publish('lost', 1);
+        remove();
+        io.publish('kept', 2);
+        await server.waitFor('event');
+        assert.deepStrictEqual(errors, ['broken']);
+        assert.deepStrictEqual(server.received('event').map(command => command.event), ['kept']);
+    });
+
+    it('queues delayed commands as commands when client goes offline', async () => {
+        let release;
+        let intercepted = 0;
+        io.use({
+            outbound: command => {
+                if (command.type == 'rmi') {
+                    intercepted++;
+                    return new Promise(resolve => release = () => resolve(command));
+                }
+            }
+        });
+        let call = io.remote.add(1, 2);
+        let disconnected = once(io, 'disconnect');
+        client.drop();
+        await disconnected;
+        release();
+        await sleep(10);
+        assert.strictEqual(io.queueLength, 1);
+        io.publish('overflow', 1);
+        await assert.rejects(call, RmiDroppedError);
+        assert.strictEqual(intercepted, 1);
+    });
+
+    it('passes custom commands to onCommand handlers', async () => {
+        let notices = [];
+        let remove = io.onCommand('notice', command => notices.push(command.text));
+        client.send({type: 'notice', text: 'hello'});
+        await sleep(50);
+        remove();
+        client.send({type: 'notice', text: 'ignored'});
+        await sleep(50);
+        assert.deepStrictEqual(notices, ['hello']);
+    });
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, sleep, close} = require('./helpers');
+
+describe('metrics', () => {
+    let server;
+    let io;
+    let client;
+
+    beforeEach(async () => {
+        server = new MockSyncsServer();
+        await server.listen();
+        let connection = await connect(server);
+        io = connection.io;
+        client = connection.client;
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('counts frames by command type and remote calls', async () => {
+        server.functions.add = (a, b) => a + b;
+        await io.remote.add(1, 2);
+        io.publish('news', 1);
+        await server.waitFor('event');
+        let stats = io.stats();
+        assert.strictEqual(stats.rmi.calls, 1);
+        assert.strictEqual(stats.rmi.pending, 0);
+        assert.strictEqual(stats.rmi.latency.count, 1);
+        assert.strictEqual(stats.inbound.byType['rmi-result'].frames, 1);
+        assert.strictEqual(stats.outbound.byType['event'].frames, 1);
+        assert.strictEqual(stats.online, true);
+    });
+
+    it('counts unknown command types as other', async () => {
+        client.send({type: '__proto__'});
+        client.send({type: 'random-' + Math.random()});
+        await sleep(50);
+        let stats = io.stats();
+        assert.strictEqual(({}).frames, undefined);
+        assert.strictEqual(stats.inbound.byType['other'].frames, 2);
+        assert.ok(!Object.prototype.hasOwnProperty.call(stats.inbound.byType, '__proto__'));
+    });
+});
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const {Syncs, RmiCancelledError, RemoteMethodNotFoundError} = require('../index');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, sleep, close} = require('./helpers');
+
+describe('namespaces', () => {
+    let server;
+    let io;
+    let client;
+
+    beforeEach(async () => {
+        server = new MockSyncsServer();
+        await server.listen();
+        let connection = await connect(server);
+        io = connection.io;
+        client = connection.client;
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('returns same view for same name', () => {
+        let chat = io.namespace('chat');
+        assert.strictEqual(io.namespace('chat'), chat);
+        assert.strictEqual(chat.name, 'chat');
+        assert.deepStrictEqual(io.namespaces, ['chat']);
+    });
+
+    it('routes events to their namespace', async () => {
+        let chat = io.namespace('chat');
+        let received = [];
+        io.subscribe('message', data => received.push(['root', data]));
+        chat.subscribe('message', data => received.push(['chat', data]));
+        server.publish('message', 1);
+        server.publish('chat/message', 2);
+        server.publish('jobs/message', 3);
+        await sleep(50);
+        assert.deepStrictEqual(received, [['root', 1], ['chat', 2]]);
+        chat.publish('typing', true);
+        let command = await server.waitFor('event', command => command.event == 'typing');
+        assert.strictEqual(command.namespace, 'chat');
+    });
+
+    it('keeps functions and shared objects of namespaces apart', async () => {
+        let chat = io.namespace('chat');
+        server.functions['add'] = (a, b) => 'root ' + (a + b);
+        server.functions['chat/add'] = (a, b) => 'chat ' + (a + b);
+        io.functions.hello = () => 'root';
+        chat.functions.hello = () => 'chat';
+        assert.strictEqual(await io.remote.add(1, 2), 'root 3');
+        assert.strictEqual(await chat.remote.add(1, 2), 'chat 3');
+        assert.strictEqual(await client.call('hello'), 'root');
+        assert.strictEqual(await client.call('chat/hello'), 'chat');
+        io.shared('profile').name = 'root';
+        chat.shared('profile').name = 'chat';
+        await sleep(50);
+        assert.deepStrictEqual(client.getShared('profile'), {name: 'root'});
+        assert.deepStrictEqual(client.getShared('chat/profile'), {name: 'chat'});
+    });
+
+    it('receives replies of mock server with namespace', async () => {
+        let chat = io.namespace('chat');
+        let replies = [];
+        let send = client.send.bind(client);
+        client.send = command => {
+            replies.push(command);
+            send(command);
+        };
+        server.functions['chat/add'] = (a, b) => a + b;
+        server.functions['chat/count'] = async function* () {
+            yield 1;
+        };
+        assert.strictEqual(await chat.remote.add(1, 2), 3);
+        await assert.rejects(chat.remote.missing(), RemoteMethodNotFoundError);
+        let values = [];
+        for await (const value of chat.remoteStream.count()) {
+            values.push(value);
+        }
+        assert.deepStrictEqual(values, [1]);
+        let types = replies.map(command => command.type);
+        assert.deepStrictEqual(types, ['rmi-result', 'rmi-result', 'rmi-stream', 'rmi-stream']);
+        assert.ok(replies.every(command => command.namespace == 'chat'));
+    });
+
+    it('tags replies of namespaced calls with namespace', async () => {
+        let chat = io.namespace('chat');
+        chat.functions.hello = () => 'chat';
+        chat.functions.count = async function* () {
+            yield 1;
+        };
+        server.functions['chat/slow'] = () => sleep(1000);
+        await client.call('chat/hello');
+        let values = [];
+        for await (const value of client.callStream('chat/count')) {
+            values.push(value);
+        }
+        assert.deepStrictEqual(values, [1]);
+        let cancelled = server.waitFor('rmi-cancel');
+        await assert.rejects(chat.remote.withOptions({timeout: 20}).slow());
+        let cancel = await cancelled;
+        assert.deepStrictEqual(client.receivedOf('rmi-result').map(command => command.namespace), ['chat']);
+        assert.deepStrictEqual(client.receivedOf('rmi-stream').map(command => command.namespace), ['chat', 'chat']);
+        assert.strictEqual(cancel.namespace, 'chat');
+    });
+
+    it('queues offline writes of namespaces separately', async () => {
+        let offline = new Syncs(server.url, {autoConnect: false, logLevel: 'silent'});
+        offline.namespace('a').shared('x').k = 'ns';
+        offline.shared('x').k = 'root';
+        assert.strictEqual(offline.queueLength, 2);
+        let connection = server.waitForClient();
+        offline.connect();
+        let offlineClient = await connection;
+        await server.waitFor('sync', command => command.namespace === undefined);
+        await close(offline);
+        assert.deepStrictEqual(offlineClient.getShared('a/x'), {k: 'ns'});
+        assert.deepStrictEqual(offlineClient.getShared('x'), {k: 'root'});
+    });
+
+    it('tears down namespace on close', async () => {
+        let chat = io.namespace('chat');
+        let received = [];
+        chat.subscribe('message', data => received.push(data));
+        chat.functions.hello = () => 'chat';
+        server.functions['chat/slow'] = () => sleep(1000);
+        let call = chat.remote.slow();
+        await server.waitFor('rmi', command => command.name == 'slow');
+        chat.close();
+        await assert.rejects(call, RmiCancelledError);
+        assert.deepStrictEqual(io.namespaces, []);
+        server.publish('chat/message', 1);
+        await sleep(50);
+        assert.deepStrictEqual(received, []);
+        await assert.rejects(client.call('chat/hello'), RemoteMethodNotFoundError);
+    });
+});
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const {Syncs, RmiDisconnectedError} = require('../index');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, once, sleep, close} = require('./helpers');
+
+/**
+ * resolves url of a server which is not listening anymore
+ * @return {Promise<string>}
+ */
+async function closedServerUrl() {
+    let closed = new MockSyncsServer();
+    let url = await closed.listen();
+    await closed.close();
+    return url;
+}
+
+describe('reconnect and offline queue', () => {
+    let server;
+    let io;
+
+    beforeEach(() => {
+        server = new MockSyncsServer();
+        return server.listen();
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('sends messages which are queued before connecting in order', () => {
+        io = new Syncs(server.url, {autoConnect: false, logLevel: 'silent'});
+        io.publish('a', 1);
+        io.publish('b', 2);
+        io.shared('profile').name = 'first';
+        io.shared('profile').name = 'second';
+        assert.strictEqual(io.queueLength, 3);
+        io.connect();
+        return server.waitFor('sync').then(() => {
+            assert.deepStrictEqual(server.received('event').map(command => command.event), ['a', 'b']);
+            assert.strictEqual(server.received('sync').length, 1);
+            assert.strictEqual(server.received('sync')[0].value, 'second');
+            assert.strictEqual(io.queueLength, 0);
+        });
+    });
+
+    it('reconnects, resumes session and replays messages sent while offline', async () => {
+        let connection = await connect(server, {reconnectDelay: 20, reconnectJitter: 0});
+        io = connection.io;
+        let disconnected = once(io, 'disconnect');
+        connection.client.drop();
+        await disconnected;
+        assert.strictEqual(io.online, false);
+        io.publish('offline', 1);
+        let opened = once(io, 'open');
+        let event = server.waitFor('event', command => command.event == 'offline');
+        let resumed = (await opened)[1];
+        assert.strictEqual(resumed, true);
+        assert.strictEqual((await event).data, 1);
+        assert.strictEqual(server.clients.length, 1);
+        assert.strictEqual(server.clients[0].socketId, connection.client.socketId);
+    });
+
+    it('rejects sent calls when connection drops', async () => {
+        server.functions.slow = () => sleep(1000);
+        let connection = await connect(server, {autoReconnect: false});
+        io = connection.io;
+        let call = io.remote.slow();
+        await server.waitFor('rmi');
+        connection.client.drop();
+        await assert.rejects(call, RmiDisconnectedError);
+    });
+
+    it('rejects queued calls when reconnect attempts are exhausted', async () => {
+        let url = server.url;
+        await server.close();
+        io = new Syncs(url, {maxReconnectAttempts: 2, reconnectDelay: 10, logLevel: 'silent'});
+        io.on('error', () => {});
+        let call = io.remote.anything();
+        await once(io, 'close');
+        await assert.rejects(call, RmiDisconnectedError);
+        assert.strictEqual(io.stats().rmi.pending, 0);
+        assert.strictEqual(io.stats().queued, 0);
+        server = new MockSyncsServer();
+        await server.listen();
+    });
+
+    it('multiplies reconnect delay up to maxReconnectDelay and gives up after maxReconnectAttempts', async () => {
+        let url = await closedServerUrl();
+        io = new Syncs(url, {
+            reconnectDelay: 10,
+            reconnectMultiplier: 2,
+            maxReconnectDelay: 30,
+            maxReconnectAttempts: 4,
+            logLevel: 'silent'
+        });
+        io.on('error', () => {});
+        let attempts = [];
+        io.on('reconnecting', attempt => attempts.push(attempt));
+        await once(io, 'close');
+        assert.deepStrictEqual(attempts.map(attempt => [attempt.attempt, attempt.delay]), [[1, 10], [2, 20], [3, 30], [4, 30]]);
+    });
+
+    it('spreads reconnect delay with jitter', async () => {
+        let url = await closedServerUrl();
+        io = new Syncs(url, {reconnectDelay: 20, reconnectJitter: 0.5, maxReconnectAttempts: 5, logLevel: 'silent'});
+        io.on('error', () => {});
+        let delays = [];
+        io.on('reconnecting', attempt => delays.push(attempt.delay));
+        await once(io, 'close');
+        assert.strictEqual(delays.length, 5);
+        assert.ok(delays.every(delay => delay >= 10 && delay <= 30), delays.join());
+    });
+
+    it('rotates failover servers after failed attempts', async () => {
+        let url = await closedServerUrl();
+        io = new Syncs([url, server.url], {reconnectDelay: 10, logLevel: 'silent'});
+        io.on('error', () => {});
+        let urls = [];
+        io.on('reconnecting', attempt => urls.push(attempt.url));
+        let connection = server.waitForClient();
+        let opened = once(io, 'open');
+        await connection;
+        await opened;
+        assert.deepStrictEqual(urls, [url, server.url]);
+        assert.strictEqual(io.url, server.url);
+        assert.strictEqual(io.online, true);
+    });
+
+    it('rejects queued calls when disconnected while waiting to reconnect', async () => {
+        let connection = await connect(server, {reconnectDelay: 1000});
+        io = connection.io;
+        let disconnected = once(io, 'disconnect');
+        connection.client.drop();
+        await disconnected;
+        let call = io.remote.anything();
+        io.disconnect();
+        await assert.rejects(call);
+        assert.strictEqual(io.stats().rmi.pending, 0);
+        assert.strictEqual(io.queueLength, 0);
+    });
+});
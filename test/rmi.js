@@ -0,0 +1,71 @@
+const assert = require('assert');
+const {RemoteMethodNotFoundError, RemoteExecutionError, RmiTimeoutError} = require('../index');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, close} = require('./helpers');
+
+describe('remote method invocation', () => {
+    let server;
+    let io;
+    let client;
+
+    beforeEach(async () => {
+        server = new MockSyncsServer();
+        await server.listen();
+        let connection = await connect(server);
+        io = connection.io;
+        client = connection.client;
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('resolves result of server function', async () => {
+        server.functions.add = (a, b) => a + b;
+        assert.strictEqual(await io.remote.add(2, 3), 5);
+    });
+
+    it('rejects calls to undefined and failing server functions', async () => {
+        server.functions.fail = () => {
+            throw new TypeError('bad input');
+        };
+        await assert.rejects(io.remote.missing(), RemoteMethodNotFoundError);
+        await assert.rejects(io.remote.fail(), error => {
+            assert.ok(error instanceof RemoteExecutionError);
+            assert.strictEqual(error.message, 'bad input');
+            return true;
+        });
+    });
+
+    it('rejects calls which exceed timeout', async () => {
+        server.functions.slow = () => new Promise(resolve => setTimeout(resolve, 500));
+        await assert.rejects(io.remote.withOptions({timeout: 20}).slow(), RmiTimeoutError);
+    });
+
+    it('runs client functions which are called by server', async () => {
+        io.functions.mul = (a, b) => a * b;
+        io.functions.later = value => Promise.resolve(value);
+        assert.strictEqual(await client.call('mul', 4, 5), 20);
+        assert.strictEqual(await client.call('later', 'x'), 'x');
+        await assert.rejects(client.call('missing'), RemoteMethodNotFoundError);
+    });
+
+    it('does not expose inherited members as client functions', async () => {
+        for (let name of ['constructor', 'hasOwnProperty', 'toString', '__proto__']) {
+            await assert.rejects(client.call(name), RemoteMethodNotFoundError);
+        }
+    });
+
+    it('streams results of async generators', async () => {
+        server.functions.count = async function* (limit) {
+            for (let i = 0; i < limit; i++) {
+                yield i;
+            }
+        };
+        let values = [];
+        for await (const value of io.remoteStream.count(3)) {
+            values.push(value);
+        }
+        assert.deepStrictEqual(values, [0, 1, 2]);
+    });
+});
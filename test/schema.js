@@ -0,0 +1,87 @@
+const assert = require('assert');
+const {ValidationError} = require('../index');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, once, close} = require('./helpers');
+
+describe('schema validation', () => {
+    let server;
+    let io;
+    let client;
+
+    beforeEach(async () => {
+        server = new MockSyncsServer();
+        await server.listen();
+        let connection = await connect(server, {
+            schemas: {
+                shared: {settings: {type: 'object', properties: {volume: {type: 'number', maximum: 10}}}},
+                events: {chat: data => typeof data.text == 'string' || 'text should be string'},
+                functions: {add: {type: 'array', items: {type: 'number'}}}
+            }
+        });
+        io = connection.io;
+        client = connection.client;
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('throws on invalid local changes and publishes and sends nothing', async () => {
+        let settings = io.shared('settings');
+        assert.throws(() => settings.volume = 11, error => {
+            assert.ok(error instanceof ValidationError);
+            assert.strictEqual(error.target, 'shared object settings');
+            return true;
+        });
+        assert.throws(() => io.publish('chat', {text: 1}), ValidationError);
+        settings.volume = 5;
+        io.publish('chat', {text: 'hi'});
+        await server.waitFor('event');
+        assert.strictEqual(settings.volume, 5);
+        assert.deepStrictEqual(server.received('sync').map(command => command.value), [5]);
+        assert.deepStrictEqual(server.received('event').map(command => command.data), [{text: 'hi'}]);
+    });
+
+    it('ignores and reports invalid incoming shared object changes', async () => {
+        let settings = io.globalShared('settings');
+        let error = once(io, 'error');
+        server.setGlobalShared('settings', {volume: 'loud'});
+        assert.ok((await error)[0] instanceof ValidationError);
+        assert.strictEqual(settings.volume, null);
+        let changed = new Promise(resolve => settings.$onChange(resolve));
+        server.setGlobalShared('settings', {volume: 3});
+        await changed;
+        assert.strictEqual(settings.volume, 3);
+    });
+
+    it('ignores and reports invalid incoming events', async () => {
+        let received = [];
+        io.subscribe('chat', data => received.push(data));
+        let error = once(io, 'error');
+        client.publish('chat', {text: 1});
+        assert.ok((await error)[0] instanceof ValidationError);
+        let valid = new Promise(resolve => io.subscribe('chat', resolve));
+        client.publish('chat', {text: 'hi'});
+        await valid;
+        assert.deepStrictEqual(received, [{text: 'hi'}]);
+    });
+
+    it('rejects incoming remote calls with invalid arguments', async () => {
+        let calls = 0;
+        io.functions.add = (a, b) => {
+            calls++;
+            return a + b;
+        };
+        await assert.rejects(client.call('add', 1, 'two'), error => error.code == 'VALIDATION_ERROR');
+        assert.strictEqual(calls, 0);
+        assert.strictEqual(await client.call('add', 1, 2), 3);
+    });
+
+    it('validates with schemas of namespaces', async () => {
+        let chat = io.namespace('chat');
+        chat.eventSchema('message', {type: 'string'});
+        assert.throws(() => chat.publish('message', 1), ValidationError);
+        io.publish('message', 1);
+        assert.strictEqual((await server.waitFor('event')).data, 1);
+    });
+});
@@ -0,0 +1,189 @@
+const assert = require('assert');
+const {Syncs, SharedFetchError} = require('../index');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, sleep, close} = require('./helpers');
+
+describe('shared objects', () => {
+    let server;
+    let io;
+    let client;
+
+    beforeEach(async () => {
+        server = new MockSyncsServer();
+        await server.listen();
+        let connection = await connect(server);
+        io = connection.io;
+        client = connection.client;
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('syncs client level changes to server', async () => {
+        let profile = io.shared('profile');
+        profile.name = 'bob';
+        profile.age = 30;
+        await server.waitFor('sync', command => command.key == 'age');
+        assert.deepStrictEqual(client.getShared('profile'), {name: 'bob', age: 30});
+    });
+
+    it('syncs nested changes with path of changed property', async () => {
+        let profile = io.shared('profile');
+        profile.address = {city: 'A', zip: '1'};
+        profile.address.city = 'B';
+        let command = await server.waitFor('sync', command => Array.isArray(command.key));
+        assert.deepStrictEqual(command.key, ['address', 'city']);
+        assert.strictEqual(command.value, 'B');
+        assert.deepStrictEqual(client.getShared('profile'), {address: {city: 'B', zip: '1'}});
+    });
+
+    it('syncs whole array after push and whole parent after nested delete', async () => {
+        let profile = io.shared('profile');
+        profile.tags = ['a'];
+        profile.address = {city: 'A', zip: '1'};
+        await server.waitFor('sync', command => command.key == 'address');
+        profile.tags.push('b');
+        delete profile.address.zip;
+        delete profile.address.missing;
+        await server.waitFor('sync', command => Array.isArray(command.key) && command.key[0] == 'address');
+        let nested = server.received('sync').filter(command => Array.isArray(command.key));
+        assert.deepStrictEqual(nested.map(command => [command.key, command.value]), [
+            [['tags'], ['a', 'b']],
+            [['address'], {city: 'A'}]
+        ]);
+        assert.deepStrictEqual(client.getShared('profile'), {tags: ['a', 'b'], address: {city: 'A'}});
+    });
+
+    it('applies nested changes of server and reports their path', async () => {
+        let profile = io.shared('profile');
+        profile.address = {city: 'A'};
+        let changed = new Promise(resolve => profile.$onChange(resolve));
+        client.send({type: 'sync', scope: 'CLIENT', name: 'profile', key: ['address', 'city'], value: 'B'});
+        let event = await changed;
+        assert.strictEqual(event.by, 'server');
+        assert.deepStrictEqual(event.path, ['address', 'city']);
+        assert.strictEqual(event.value, 'B');
+        assert.deepStrictEqual(event.values, {address: {city: 'B'}});
+        assert.strictEqual(profile.address.city, 'B');
+    });
+
+    it('sends changes of $batch as one sync command with one change event', async () => {
+        let profile = io.shared('profile');
+        let events = [];
+        profile.$onChange(event => events.push(event));
+        let result = profile.$batch(data => {
+            data.name = 'bob';
+            data.age = 30;
+            data.name = 'alice';
+            return 'done';
+        });
+        assert.strictEqual(result, 'done');
+        io.publish('marker', 1);
+        await server.waitFor('event');
+        assert.deepStrictEqual(server.received('sync').map(command => command.values), [{name: 'alice', age: 30}]);
+        assert.deepStrictEqual(events, [{values: {name: 'alice', age: 30}, by: 'client'}]);
+    });
+
+    it('sends changes of asynchronous transaction after it settles', async () => {
+        let profile = io.shared('profile');
+        let settings = io.shared('settings');
+        let events = [];
+        profile.$onChange(event => events.push(event));
+        let transaction = io.transaction(async () => {
+            profile.name = 'bob';
+            settings.theme = 'dark';
+            await sleep(20);
+            profile.age = 30;
+            settings.volume = 5;
+        });
+        await sleep(10);
+        assert.strictEqual(server.received('sync').length, 0);
+        await transaction;
+        await server.waitFor('sync', command => command.name == 'settings');
+        let commands = server.received('sync');
+        assert.deepStrictEqual(commands.map(command => [command.name, command.values]), [
+            ['profile', {name: 'bob', age: 30}],
+            ['settings', {theme: 'dark', volume: 5}]
+        ]);
+        assert.strictEqual(events.length, 1);
+    });
+
+    it('merges changes of one tick with autoBatch', async () => {
+        await close(io);
+        let connection = await connect(server, {autoBatch: true});
+        io = connection.io;
+        let profile = io.shared('profile');
+        let events = [];
+        profile.$onChange(event => events.push(event));
+        profile.name = 'bob';
+        profile.tags = ['a'];
+        profile.tags.push('b');
+        await server.waitFor('sync');
+        await sleep(20);
+        assert.deepStrictEqual(server.received('sync').map(command => command.values), [{name: 'bob', tags: ['a', 'b']}]);
+        assert.deepStrictEqual(events, [{values: {name: 'bob', tags: ['a', 'b']}, by: 'client'}]);
+    });
+
+    it('keeps received sync commands unchanged by later nested writes', async () => {
+        let profile = io.shared('profile');
+        profile.address = {city: 'A'};
+        profile.address.city = 'B';
+        await server.waitFor('sync', command => Array.isArray(command.key));
+        assert.deepStrictEqual(server.received('sync')[0].value, {city: 'A'});
+        assert.deepStrictEqual(client.getShared('profile'), {address: {city: 'B'}});
+    });
+
+    it('applies client level changes of server and reports them', async () => {
+        let profile = io.shared('profile');
+        let changed = new Promise(resolve => profile.$onChange(resolve));
+        client.setShared('profile', {name: 'alice'});
+        let event = await changed;
+        assert.strictEqual(event.by, 'server');
+        assert.deepStrictEqual(event.values, {name: 'alice'});
+        assert.strictEqual(profile.name, 'alice');
+    });
+
+    it('receives global level shared objects', async () => {
+        server.setGlobalShared('settings', {theme: 'dark'});
+        let settings = io.globalShared('settings');
+        await settings.$ready;
+        assert.strictEqual(settings.theme, 'dark');
+        let changed = new Promise(resolve => settings.$onChange(resolve));
+        server.setGlobalShared('settings', {theme: 'light'});
+        await changed;
+        assert.strictEqual(settings.theme, 'light');
+        settings.theme = 'blue';
+        assert.strictEqual(settings.theme, 'light');
+    });
+
+    it('fetches snapshot of global level shared objects', async () => {
+        server.setGlobalShared('settings', {theme: 'dark'});
+        let settings = io.globalShared('settings');
+        assert.strictEqual(await settings.$fetch(), settings);
+        assert.strictEqual(settings.theme, 'dark');
+    });
+
+    it('rejects fetches which are not answered or are waiting when client closes', async () => {
+        let offline = new Syncs(server.url, {autoConnect: false, fetchTimeout: 20});
+        await assert.rejects(offline.globalShared('settings').$fetch(), error => {
+            assert.ok(error instanceof SharedFetchError);
+            assert.strictEqual(error.code, 'FETCH_TIMEOUT');
+            return true;
+        });
+        let closing = new Syncs(server.url, {fetchTimeout: 0, reconnectDelay: 1000});
+        let fetch = closing.globalShared('settings').$fetch();
+        closing.disconnect();
+        await assert.rejects(fetch, error => error.code == 'FETCH_CLOSED');
+    });
+
+    it('receives group level shared objects of joined groups', async () => {
+        client.joinGroup('admins');
+        await sleep(20);
+        server.setGroupShared('admins', 'room', {topic: 'release'});
+        let room = io.groupShared('admins', 'room');
+        await room.$ready;
+        assert.strictEqual(room.topic, 'release');
+        assert.deepStrictEqual(Array.from(io.groups), ['admins']);
+    });
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const {Syncs, MemoryStorage} = require('../index');
+const {MockSyncsServer} = require('../lib/testing');
+const {connect, close} = require('./helpers');
+
+describe('storage', () => {
+    let server;
+    let io;
+    let storage;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        server = new MockSyncsServer();
+        return server.listen();
+    });
+
+    afterEach(() => {
+        return close(io).then(() => server.close());
+    });
+
+    it('persists socket id and client level shared objects', async () => {
+        let connection = await connect(server, {storage: storage, persistDelay: 0});
+        io = connection.io;
+        io.shared('profile').name = 'first';
+        io.namespace('chat').shared('settings').muted = true;
+        await io.persist();
+        assert.deepStrictEqual(storage.load(), {
+            socketId: connection.client.socketId,
+            shared: {profile: {name: 'first'}},
+            namespaces: {chat: {settings: {muted: true}}}
+        });
+    });
+
+    it('resumes persisted session without sending restored shared objects', async () => {
+        let first = await connect(server, {storage: storage});
+        first.io.shared('profile').name = 'first';
+        await first.io.persist();
+        await close(first.io);
+        let connection = await connect(server, {storage: storage});
+        io = connection.io;
+        assert.strictEqual(connection.client.socketId, first.client.socketId);
+        assert.strictEqual(server.received('reportSocketId')[1].socketId, first.client.socketId);
+        assert.strictEqual(io.shared('profile').name, 'first');
+        assert.strictEqual(server.received('sync').length, 1);
+    });
+
+    it('sends snapshot of restored shared objects when a new session starts', async () => {
+        storage.save({socketId: 'expired', shared: {profile: {name: 'first'}}, namespaces: {chat: {settings: {muted: true}}}});
+        let connection = await connect(server, {storage: storage});
+        io = connection.io;
+        await server.waitFor('sync', command => command.namespace == 'chat');
+        assert.strictEqual(io.socketId, connection.client.socketId);
+        assert.notStrictEqual(io.socketId, 'expired');
+        assert.deepStrictEqual(connection.client.getShared('profile'), {name: 'first'});
+        assert.deepStrictEqual(connection.client.getShared('chat/settings'), {muted: true});
+    });
+
+    it('waits for asynchronous storage before connecting', async () => {
+        let saved = [];
+        let connection = await connect(server, {
+            persistDelay: 0,
+            storage: {
+                load: () => new Promise(resolve => setTimeout(() => resolve({socketId: 'expired', shared: {profile: {name: 'first'}}}), 20)),
+                save: state => {
+                    saved.push(state);
+                    return Promise.resolve();
+                }
+            }
+        });
+        io = connection.io;
+        assert.strictEqual(server.received('reportSocketId')[0].socketId, 'expired');
+        assert.strictEqual(io.shared('profile').name, 'first');
+        await server.waitFor('sync');
+        await io.persist();
+        assert.strictEqual(saved[saved.length - 1].socketId, io.socketId);
+    });
+});
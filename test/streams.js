@@ -0,0 +1,27 @@
+const assert = require('assert');
+const {AsyncBuffer, createBufferStream} = require('../lib/streams');
+
+describe('buffer streams', () => {
+
+    it('pushes buffered values and ends with buffer', async () => {
+        let buffer = new AsyncBuffer(16, () => {});
+        let stream = createBufferStream(buffer, 16);
+        buffer.push(1);
+        buffer.push(2);
+        buffer.end();
+        let values = [];
+        for await (const value of stream) {
+            values.push(value);
+        }
+        assert.deepStrictEqual(values, [1, 2]);
+    });
+
+    it('emits error of failed buffer', async () => {
+        let buffer = new AsyncBuffer(16, () => {});
+        let stream = createBufferStream(buffer, 16);
+        let failed = new Promise(resolve => stream.on('error', resolve));
+        stream.resume();
+        buffer.end(new Error('broken'));
+        assert.strictEqual((await failed).message, 'broken');
+    });
+});